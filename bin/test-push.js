@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Test push CLI
+ *
+ * Sends a test notification through POST /admin/test-push and prints what APNs answered
+ * for each device. The caller must be listed in the function's ADMIN_EMAILS.
+ *
+ *   npm run test-push -- --email someone@example.com
+ *   npm run test-push -- --device <token> --env production --type background
+ *
+ * Exits 0 when every push was accepted, 1 when APNs rejected one and 2 when the request failed.
+ */
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: npm run test-push -- [--email <address>] [--device <token>] [options]
+
+Options:
+  --url <url>            Function URL (default: $MAILREADER_URL)
+  --token <token>        Google ID token or session token of an administrator (default: $MAILREADER_TOKEN)
+  --email <address>      Send to the mailbox's iOS devices (or only --device)
+  --device <token>       Send to this APNs device token
+  --env <environment>    production or sandbox (default: the device's recorded environment)
+  --type <push type>     alert or background (default: alert)
+  --topic <bundle id>    apns-topic (default: the device's app)
+  --payload <json>       Send this payload instead of the test notification
+  --payload-file <path>  Read the payload from a file
+  --json                 Print the response as JSON`;
+
+const OPTIONS = {
+  url: { type: 'string' },
+  token: { type: 'string' },
+  email: { type: 'string' },
+  device: { type: 'string' },
+  env: { type: 'string' },
+  type: { type: 'string' },
+  topic: { type: 'string' },
+  payload: { type: 'string' },
+  'payload-file': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Build the request body from command line options
+ * @param {Object} values - Parsed options
+ * @returns {Object} Body of POST /admin/test-push
+ */
+function buildRequest(values) {
+  if (!values.email && !values.device) {
+    throw new Error('Provide --email, --device or both');
+  }
+
+  let payload;
+  const payloadJson = values['payload-file'] ? fs.readFileSync(values['payload-file'], 'utf8') : values.payload;
+  if (payloadJson !== undefined) {
+    try {
+      payload = JSON.parse(payloadJson);
+    } catch (error) {
+      throw new Error(`The payload is not valid JSON: ${error.message}`);
+    }
+  }
+
+  return {
+    email: values.email,
+    deviceToken: values.device,
+    apnsEnvironment: values.env,
+    pushType: values.type,
+    apnsTopic: values.topic,
+    payload: payload
+  };
+}
+
+// One line per device, e.g. `740f4707… sandbox alert 200 Success apns-id=… 84 ms`
+function formatResult(result) {
+  const outcome = result.status === 200 ? '200 Success' : `${result.status || '---'} ${result.reason}`;
+  const ids = [
+    result.apnsId && `apns-id=${result.apnsId}`,
+    result.apnsUniqueId && `apns-unique-id=${result.apnsUniqueId}`,
+    result.timestamp && `invalid since ${new Date(result.timestamp).toISOString()}`,
+    result.error
+  ].filter(Boolean);
+
+  return [
+    `${result.deviceToken.slice(0, 8)}…`,
+    result.apnsEnvironment,
+    result.pushType,
+    outcome,
+    ...ids,
+    `${result.durationMs} ms`
+  ].join(' ');
+}
+
+/**
+ * Send a test push
+ * @param {Object} options - { url, token, request }
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+async function testPush({ url, token, request }) {
+  const response = await fetch(`${url.replace(/\/$/, '')}/admin/test-push`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+    body: JSON.stringify(request)
+  });
+
+  return { statusCode: response.status, body: await response.json() };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} output - { log, error } writers (console by default)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, output = console) {
+  let values;
+  let request;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS }));
+    if (values.help) {
+      output.log(USAGE);
+      return 0;
+    }
+    request = buildRequest(values);
+  } catch (error) {
+    output.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const url = values.url || process.env.MAILREADER_URL;
+  const token = values.token || process.env.MAILREADER_TOKEN;
+  if (!url || !token) {
+    output.error(`Set --url and --token (or MAILREADER_URL and MAILREADER_TOKEN)\n\n${USAGE}`);
+    return 2;
+  }
+
+  let response;
+  try {
+    response = await testPush({ url, token, request });
+  } catch (error) {
+    output.error(`Request failed: ${error.message}`);
+    return 2;
+  }
+
+  if (values.json) {
+    output.log(JSON.stringify(response.body, null, 2));
+  } else if (response.statusCode === 200) {
+    response.body.results.forEach(result => output.log(formatResult(result)));
+  }
+
+  if (response.statusCode !== 200) {
+    output.error(`Test push failed: ${response.statusCode} ${response.body.error}`);
+    return 2;
+  }
+  return response.body.success ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  buildRequest,
+  formatResult
+};
@@ -1,12 +1,16 @@
 const AWS = require('aws-sdk');
 const jwt = require('jsonwebtoken');
+const http = require('http');
 const https = require('https');
 const http2 = require('http2');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const log = require('./logger');
+const metrics = require('./metrics');
 
-// Initialize AWS clients
-const dynamodb = new AWS.DynamoDB.DocumentClient();
-const secretsManager = new AWS.SecretsManager();
+// Initialize AWS clients (DynamoDB and Secrets Manager live in `clients` so they can be swapped out)
+const kms = new AWS.KMS();
+const sqs = new AWS.SQS();
 
 // Environment variables (set these in Lambda configuration)
 const {
@@ -14,9 +18,90 @@ const {
   APNS_TEAM_ID,
   APNS_KEY_ID,
   APNS_SECRET_NAME,
-  APNS_BUNDLE_ID
+  APNS_BUNDLE_ID,
+  APNS_HOST,
+  APNS_PORT,
+  APNS_TLS = 'true',
+  PUBSUB_AUDIENCE,
+  PUBSUB_SERVICE_ACCOUNT,
+  PUBSUB_ALLOWED_SUBSCRIPTIONS,
+  GOOGLE_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs',
+  GOOGLE_JWKS,
+  GOOGLE_CLIENT_IDS,
+  SESSION_SECRET_NAME,
+  SESSION_TTL_SECONDS = '2592000',
+  GMAIL_OAUTH_SECRET_NAME,
+  GMAIL_API_BASE_URL = 'https://gmail.googleapis.com/gmail/v1',
+  GOOGLE_TOKEN_URI = 'https://oauth2.googleapis.com/token',
+  TOKEN_KMS_KEY_ID,
+  FCM_SECRET_NAME,
+  FCM_API_BASE_URL = 'https://fcm.googleapis.com',
+  VAPID_SECRET_NAME,
+  GMAIL_PUBSUB_TOPIC,
+  GRAPH_OAUTH_SECRET_NAME,
+  GRAPH_API_BASE_URL = 'https://graph.microsoft.com/v1.0',
+  GRAPH_TOKEN_URI = 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+  GRAPH_NOTIFICATION_URL,
+  DEVICE_TTL_DAYS = '90',
+  DELIVERY_DLQ_URL,
+  FANOUT_QUEUE_URL,
+  COALESCE_WINDOW_SECONDS = '0',
+  COALESCE_QUEUE_URL,
+  CORS_ALLOWED_ORIGINS = '*',
+  WEB_PUSH_ALLOWED_HOSTS = 'fcm.googleapis.com,.push.services.mozilla.com,.push.apple.com,.notify.windows.com',
+  ADMIN_EMAILS
 } = process.env;
 
+/**
+ * Make an HTTP(S) request and collect the response
+ * @param {string} url - Absolute URL; http: URLs are allowed so local fakes can stand in
+ * @param {Object} options - { method, headers, body }; a body that is not a string or Buffer is sent as JSON
+ * @returns {Promise<{statusCode: number, headers: Object, body: *}>} JSON responses are parsed
+ */
+function httpRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  const client = url.startsWith('http:') ? http : https;
+  const requestHeaders = { ...headers };
+  let payload = body;
+
+  if (payload !== undefined && typeof payload !== 'string' && !Buffer.isBuffer(payload)) {
+    payload = JSON.stringify(payload);
+    requestHeaders['content-type'] = 'application/json';
+  }
+  if (payload !== undefined) {
+    requestHeaders['content-length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers: requestHeaders }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        let parsed = data;
+        if (/json/.test(res.headers['content-type'] || '') && data) {
+          try {
+            parsed = JSON.parse(data);
+          } catch (error) {
+            reject(new Error(`${method} ${url} returned invalid JSON`));
+            return;
+          }
+        }
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
 // Cache for APNS private key to avoid repeated Secrets Manager calls
 let apnsPrivateKeyCache = null;
 
@@ -30,11 +115,11 @@ async function getAPNSPrivateKey() {
   }
 
   try {
-    const response = await secretsManager.getSecretValue({ SecretId: APNS_SECRET_NAME }).promise();
+    const response = await clients.secretsManager.getSecretValue({ SecretId: APNS_SECRET_NAME }).promise();
     apnsPrivateKeyCache = response.SecretString || Buffer.from(response.SecretBinary, 'base64').toString('ascii');
     return apnsPrivateKeyCache;
   } catch (error) {
-    console.error('Failed to retrieve APNS private key from Secrets Manager:', error);
+    log.error('Failed to retrieve APNS private key from Secrets Manager', { error });
     throw new Error('Unable to retrieve APNS private key');
   }
 }
@@ -60,6 +145,17 @@ async function getAPNSPrivateKey() {
 const APNS_PRODUCTION = 'api.push.apple.com';
 const APNS_SANDBOX = 'api.sandbox.push.apple.com';
 
+/**
+ * URL to connect to for an APNs host
+ *
+ * APNS_HOST and APNS_PORT send both gateways to another server, such as the local mock APNs;
+ * APNS_TLS=false connects over cleartext HTTP/2, which only a local server accepts.
+ */
+function apnsOrigin(host) {
+  const scheme = APNS_TLS === 'false' ? 'http' : 'https';
+  return `${scheme}://${APNS_HOST || host}${APNS_PORT ? `:${APNS_PORT}` : ''}`;
+}
+
 // Helper function to generate APNS JWT token
 async function generateAPNSToken() {
   // Validate required environment variables
@@ -82,7 +178,7 @@ async function generateAPNSToken() {
 
   const privateKey = await getAPNSPrivateKey();
 
-  console.log(`Generating APNs token with Team ID: ${APNS_TEAM_ID}, Key ID: ${APNS_KEY_ID}, Bundle ID: ${APNS_BUNDLE_ID}`);
+  log.debug('Generating APNs provider token');
 
   return jwt.sign(payload, privateKey, {
     algorithm: 'ES256',
@@ -90,351 +186,4511 @@ async function generateAPNSToken() {
   });
 }
 
-// Helper function to send APNS notification
-async function sendAPNSNotification(deviceToken, notification, isProduction = false) {
-  const token = await generateAPNSToken();
-  const host = isProduction ? APNS_PRODUCTION : APNS_SANDBOX;
+// APNs reasons meaning the device token will never be deliverable again
+const APNS_PERMANENT_REASONS = ['BadDeviceToken', 'Unregistered', 'ExpiredToken'];
 
-  console.log(`Attempting to connect to APNs host: ${host}`);
+/**
+ * Structured APNs rejection parsed from the response status and `{ reason, timestamp }` body
+ */
+class APNSError extends Error {
+  constructor(statusCode, reason, { apnsId, apnsUniqueId, timestamp } = {}) {
+    super(`APNS request failed: ${statusCode} ${reason}`);
+    this.name = 'APNSError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+    this.apnsId = apnsId;
+    // Sandbox only: the ID to look the push up by in Apple's Push Notifications Console
+    this.apnsUniqueId = apnsUniqueId;
+    // For 410 responses, the time APNs last confirmed the token was no longer valid
+    this.timestamp = timestamp;
+    this.permanent = statusCode === 410 || APNS_PERMANENT_REASONS.includes(reason);
+    // Throttling, server errors and an expired provider token (regenerated on the next send) can succeed later
+    this.transient = statusCode === 429 || statusCode >= 500 || reason === 'ExpiredProviderToken';
+  }
+}
 
-  const payload = {
-    aps: {
-      'content-available': 1
-    },
-    gmail: notification.gmailData || {}
-  };
+function parseAPNSError(statusCode, headers, data) {
+  let body = {};
+  try {
+    body = JSON.parse(data);
+  } catch (error) {
+    body = { reason: data || 'Unknown' };
+  }
 
-  const postData = JSON.stringify(payload);
+  return new APNSError(statusCode, body.reason, {
+    apnsId: headers['apns-id'],
+    apnsUniqueId: headers['apns-unique-id'],
+    timestamp: body.timestamp
+  });
+}
 
-  return new Promise((resolve, reject) => {
-    const session = http2.connect(`https://${host}`);
+/**
+ * APNs Client
+ *
+ * Kept at module scope so warm invocations reuse both the provider token and the HTTP/2
+ * connection. Apple rejects providers that refresh tokens more than once every 20 minutes
+ * (TooManyProviderTokenUpdates) and tokens older than an hour, so the token is refreshed
+ * once it is 50 minutes old. One multiplexed session is kept per host; it is dropped on
+ * GOAWAY, error or close and re-established by the next send, and no more streams are
+ * opened than the server's SETTINGS_MAX_CONCURRENT_STREAMS allows.
+ *
+ * A session reused after the Lambda was frozen can be half-open and swallow requests, so
+ * a session idle for APNS_IDLE_PING_MS is pinged before reuse and every stream gives up
+ * after APNS_STREAM_TIMEOUT_MS; either failure moves the send to a fresh session.
+ */
+const APNS_TOKEN_MIN_AGE_MS = 20 * 60 * 1000;
+const APNS_TOKEN_MAX_AGE_MS = 50 * 60 * 1000;
+// Stream errors that mean the whole session is unusable, not just one request
+const APNS_SESSION_ERROR_CODES = ['ERR_HTTP2_SESSION_ERROR', 'ERR_HTTP2_GOAWAY_SESSION', 'ERR_HTTP2_INVALID_SESSION'];
+const APNS_STREAM_TIMEOUT_MS = 5000;
+const APNS_IDLE_PING_MS = 60 * 1000;
+const APNS_PING_TIMEOUT_MS = 2000;
+
+class APNSClient {
+  constructor() {
+    // { promise: Promise<string>, issuedAt: number }
+    this.providerToken = null;
+    // host -> { session, active, waiting }
+    this.connections = new Map();
+  }
+
+  getProviderToken() {
+    if (!this.providerToken || Date.now() - this.providerToken.issuedAt >= APNS_TOKEN_MAX_AGE_MS) {
+      const providerToken = { promise: generateAPNSToken(), issuedAt: Date.now() };
+      providerToken.promise.catch(() => {
+        if (this.providerToken === providerToken) {
+          this.providerToken = null;
+        }
+      });
+      this.providerToken = providerToken;
+    }
+    return this.providerToken.promise;
+  }
+
+  // Called when APNs rejects the provider token; a token younger than 20 minutes is kept
+  // because replacing it would only trade this error for TooManyProviderTokenUpdates
+  invalidateProviderToken() {
+    if (this.providerToken && Date.now() - this.providerToken.issuedAt >= APNS_TOKEN_MIN_AGE_MS) {
+      this.providerToken = null;
+    }
+  }
+
+  getConnection(host) {
+    const existing = this.connections.get(host);
+    if (existing && !existing.session.closed && !existing.session.destroyed) {
+      return existing;
+    }
+
+    log.info('Connecting to APNs host', { host });
 
+    const session = http2.connect(apnsOrigin(host));
+    const connection = { session, active: 0, waiting: [], goaway: false, lastActive: Date.now(), ping: null };
+    const drop = () => {
+      if (this.connections.get(host) === connection) {
+        this.connections.delete(host);
+      }
+    };
+
+    session.on('goaway', () => {
+      connection.goaway = true;
+      drop();
+    });
+    session.on('close', drop);
     session.on('error', (error) => {
-      reject(error);
+      log.error('APNs session error', { host, error });
+      drop();
     });
+    // Don't keep short-lived processes (CLI, tests) alive just for an idle connection
+    session.unref();
 
-    const req = session.request({
-      ':method': 'POST',
-      ':path': `/3/device/${deviceToken}`,
-      'authorization': `bearer ${token}`,
-      'apns-id': uuidv4(),
-      'apns-push-type': 'background',
-      'apns-priority': '5',
-      'apns-topic': APNS_BUNDLE_ID,
-      'content-type': 'application/json',
-      'content-length': Buffer.byteLength(postData)
-    });
+    this.connections.set(host, connection);
+    return connection;
+  }
+
+  /**
+   * Check that an idle session still answers before reusing it
+   * @returns {Promise<boolean>} false when the ping failed or timed out
+   */
+  checkConnection(connection) {
+    if (connection.active > 0 || Date.now() - connection.lastActive < APNS_IDLE_PING_MS) {
+      return Promise.resolve(true);
+    }
+    if (!connection.ping) {
+      connection.ping = new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), APNS_PING_TIMEOUT_MS);
+        const settle = (alive) => {
+          clearTimeout(timer);
+          resolve(alive);
+        };
+        try {
+          connection.session.ping(error => settle(!error));
+        } catch (error) {
+          settle(false);
+        }
+      }).then((alive) => {
+        connection.ping = null;
+        if (alive) {
+          connection.lastActive = Date.now();
+        }
+        return alive;
+      });
+    }
+    return connection.ping;
+  }
+
+  acquireStream(connection) {
+    const settings = connection.session.remoteSettings || {};
+    const limit = settings.maxConcurrentStreams || Infinity;
+
+    if (connection.active < limit) {
+      connection.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => connection.waiting.push(resolve));
+  }
+
+  isSessionFailure(connection, error) {
+    const { session } = connection;
+    return session.closed || session.destroyed || connection.goaway || error.timedOut === true ||
+      APNS_SESSION_ERROR_CODES.includes(error.code);
+  }
 
-    req.on('response', (headers) => {
+  releaseStream(connection) {
+    const next = connection.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      connection.active--;
+    }
+  }
+
+  request(connection, headers, body) {
+    return new Promise((resolve, reject) => {
+      let req;
+      try {
+        req = connection.session.request(headers);
+      } catch (error) {
+        error.connectionLost = true;
+        reject(error);
+        return;
+      }
+
+      let responseHeaders = null;
       let data = '';
 
+      req.on('response', (received) => {
+        responseHeaders = received;
+      });
+
       req.on('data', (chunk) => {
         data += chunk;
       });
 
       req.on('end', () => {
-        const statusCode = headers[':status'];
-        if (statusCode === 200) {
-          resolve({ success: true, apnsId: headers['apns-id'] });
-        } else {
-          reject(new Error(`APNS request failed: ${statusCode} ${data}`));
-        }
-        session.close();
+        resolve({ headers: responseHeaders || {}, data });
+      });
+
+      req.on('error', (error) => {
+        // Streams that die before any response (GOAWAY, stale connection after a freeze)
+        // never reached APNs and are safe to resend
+        error.connectionLost = !responseHeaders;
+        reject(error);
       });
-    });
 
-    req.on('error', (error) => {
-      reject(error);
-      session.close();
+      req.setTimeout(APNS_STREAM_TIMEOUT_MS, () => {
+        const error = new Error(`APNs request timed out after ${APNS_STREAM_TIMEOUT_MS} ms`);
+        error.code = 'ETIMEDOUT';
+        error.timedOut = true;
+        error.connectionLost = !responseHeaders;
+        reject(error);
+        req.destroy();
+      });
+
+      req.end(body);
     });
+  }
 
-    req.write(postData);
-    req.end();
-  });
-}
+  /**
+   * Send one request to APNs, resending once if the stream was lost before a response
+   *
+   * Other requests share the session, so it is only torn down (and the resend goes over a
+   * fresh one) when the session itself failed; a single failed stream is just retried.
+   * @param {string} host - APNs host
+   * @param {Object} headers - HTTP/2 request headers (authorization is added here)
+   * @param {string} body - JSON payload
+   * @returns {Promise<{headers: Object, data: string}>} The raw APNs response
+   */
+  async send(host, headers, body, isRetry = false) {
+    const token = await this.getProviderToken();
+    let connection = this.getConnection(host);
+    if (!(await this.checkConnection(connection))) {
+      log.warn('APNs session did not answer a ping; reconnecting', { host });
+      connection.session.destroy();
+      connection = this.getConnection(host);
+    }
 
-// DynamoDB operations
-async function registerDevice(email, deviceToken) {
-  const params = {
-    TableName: DYNAMODB_TABLE_NAME,
-    Item: {
-      email: email,
-      deviceToken: deviceToken,
-      registeredAt: new Date().toISOString(),
-      lastActive: new Date().toISOString()
+    await this.acquireStream(connection);
+    let response;
+    try {
+      response = await this.request(connection, { ...headers, authorization: `bearer ${token}` }, body);
+    } catch (error) {
+      this.releaseStream(connection);
+      if (error.connectionLost && !isRetry) {
+        if (this.isSessionFailure(connection, error)) {
+          connection.session.destroy();
+        }
+        return this.send(host, headers, body, true);
+      }
+      throw error;
     }
-  };
+    this.releaseStream(connection);
+    connection.lastActive = Date.now();
 
-  try {
-    await dynamodb.put(params).promise();
-    return { success: true, message: 'Device registered successfully' };
-  } catch (error) {
-    // Since email + deviceToken is the composite key, duplicates will be updated
-    throw error;
+    return response;
+  }
+
+  close() {
+    this.connections.forEach(connection => connection.session.close());
+    this.connections.clear();
   }
 }
 
-async function unregisterDevice(email, deviceToken) {
-  const params = {
-    TableName: DYNAMODB_TABLE_NAME,
-    Key: {
-      email: email,
-      deviceToken: deviceToken
-    }
-  };
+const apnsClient = new APNSClient();
 
-  try {
-    await dynamodb.delete(params).promise();
-    return { success: true, message: 'Device unregistered successfully' };
-  } catch (error) {
-    throw error;
-  }
+/**
+ * Notification Modes
+ *
+ * Chosen per device at registration:
+ * - silent: background `content-available` push; the app syncs and decides what to show.
+ *   iOS heavily throttles these.
+ * - alert: visible generic alert ("You have a new email in your inbox")
+ * - preview: visible alert with the sender as title and the subject as body when known.
+ *   Sets `mutable-content` so the app's notification service extension can fill in the
+ *   preview itself when the server has no message metadata.
+ */
+const NOTIFICATION_MODES = ['silent', 'alert', 'preview'];
+const DEFAULT_NOTIFICATION_MODE = 'silent';
+
+// Provider data the app reads from every push: `gmail` for Gmail, `outlook` for Microsoft Graph
+function mailData(notification) {
+  return notification.outlookData
+    ? { outlook: notification.outlookData }
+    : { gmail: notification.gmailData || {} };
 }
 
-async function getUserDevices(email) {
-  const params = {
-    TableName: DYNAMODB_TABLE_NAME,
-    KeyConditionExpression: 'email = :email',
-    ExpressionAttributeValues: {
-      ':email': email
-    }
+/**
+ * Build the APNs payload and push headers for a notification mode
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {string} mode - One of NOTIFICATION_MODES
+ * @returns {{payload: Object, pushType: string, priority: string}}
+ */
+function buildAPNSPayload(notification, mode) {
+  if (mode !== 'alert' && mode !== 'preview') {
+    return {
+      payload: { aps: { 'content-available': 1 }, ...mailData(notification) },
+      pushType: 'background',
+      priority: '5'
+    };
+  }
+
+  const preview = mode === 'preview' && notification.preview;
+  const alert = preview
+    ? { title: preview.from, body: preview.subject }
+    : notification.alert;
+
+  const aps = {
+    alert: alert,
+    sound: notification.sound,
+    badge: notification.badge,
+    category: notification.category,
+    'thread-id': notification.threadId
   };
 
-  try {
-    const result = await dynamodb.query(params).promise();
-    return result.Items || [];
-  } catch (error) {
-    throw error;
+  if (mode === 'preview') {
+    aps['mutable-content'] = 1;
   }
+
+  return {
+    payload: { aps, ...mailData(notification) },
+    pushType: 'alert',
+    priority: '10'
+  };
 }
 
-// Parse Gmail pub/sub message
-function parseGmailMessage(message) {
-  try {
-    const decodedData = Buffer.from(message.data, 'base64').toString('utf-8');
-    const data = JSON.parse(decodedData);
-    const email = data.emailAddress || data.email;
-    const historyId = data.historyId;
-    
-    // Extract basic notification info
-    const notification = {
-      alert: {
-        title: 'New Gmail Message',
-        body: 'You have a new email in your inbox'
-      },
-      gmailData: {
-        email: email,
-        historyId: historyId,
-        timestamp: new Date().toISOString()
-      },
-      badge: 1,
-      sound: 'default',
-      category: 'GMAIL_NOTIFICATION'
-    };
+/**
+ * APNs environments a device token can belong to
+ *
+ * Tokens are only valid on the gateway of the build that created them: App Store and
+ * TestFlight builds use production, Xcode debug builds use sandbox. Devices record their
+ * environment at registration; older records fall back to the stack's ENVIRONMENT.
+ */
+const APNS_ENVIRONMENTS = ['production', 'sandbox'];
 
-    return { email, notification };
-  } catch (error) {
-    throw new Error(`Failed to parse Gmail message: ${error.message}`);
+function getAPNSEnvironment(device, isProduction) {
+  if (APNS_ENVIRONMENTS.includes(device.apnsEnvironment)) {
+    return device.apnsEnvironment;
   }
+  if (device.sandbox === true) {
+    return 'sandbox';
+  }
+  return isProduction ? 'production' : 'sandbox';
 }
 
-// Handle device registration/unregistration requests
-async function handleDeviceRequest(event) {
-  const method = event.requestContext.http.method;
-  const path = event.requestContext.http.path;
-  const body = event.body;
-
-  try {
-    const requestData = JSON.parse(body);
-    const { email, deviceToken } = requestData;
+// APNs round-trip time and response counts by reason (`Success`, `BadDeviceToken`, ...)
+function recordAPNSResponse(host, reason, started) {
+  const apnsEnvironment = host === APNS_PRODUCTION ? 'production' : 'sandbox';
+  metrics.timing('APNsLatency', Date.now() - started, { Platform: 'ios' }, { apnsEnvironment, reason });
+  metrics.count('APNsResponses', 1, { Reason: reason }, { apnsEnvironment });
+}
 
-    if (!email || !deviceToken) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type'
-        },
-        body: JSON.stringify({
-          error: 'Email and deviceToken are required'
-        })
-      };
-    }
+/**
+ * Send a notification to one device through APNs
+ * @param {string} deviceToken - APNs device token
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {boolean} isProduction - Use the production APNs host instead of sandbox
+ * @param {Object} options - Per-device delivery options
+ * @param {string} options.mode - Notification mode (defaults to silent)
+ * @param {string} options.topic - apns-topic of the app the token belongs to (defaults to APNS_BUNDLE_ID)
+ * @param {Object} options.payload - Payload to send as is instead of one built from the notification
+ * @param {string} options.pushType - `alert` or `background`, with options.payload
+ * @returns {Promise<{success: boolean, statusCode: number, apnsId: string, apnsUniqueId: string}>}
+ * @throws {APNSError} When APNs rejects the notification
+ */
+async function sendAPNSNotification(deviceToken, notification, isProduction = false, options = {}) {
+  const host = isProduction ? APNS_PRODUCTION : APNS_SANDBOX;
+  const { payload, pushType, priority } = options.payload
+    ? { payload: options.payload, pushType: options.pushType, priority: options.pushType === 'background' ? '5' : '10' }
+    : buildAPNSPayload(notification, options.mode || DEFAULT_NOTIFICATION_MODE);
 
-    let result;
-    if (method === 'POST' && path === '/device') {
-      result = await registerDevice(email, deviceToken);
-    } else if (method === 'DELETE' && path === '/device') {
-      result = await unregisterDevice(email, deviceToken);
-    } else {
-      return {
-        statusCode: 404,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          error: 'Endpoint not found'
-        })
-      };
-    }
+  const postData = JSON.stringify(payload);
+  const started = Date.now();
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
-      },
-      body: JSON.stringify(result)
-    };
+  let response;
+  try {
+    response = await apnsClient.send(host, {
+      ':method': 'POST',
+      ':path': `/3/device/${deviceToken}`,
+      'apns-id': uuidv4(),
+      'apns-push-type': pushType,
+      'apns-priority': priority,
+      'apns-topic': options.topic || APNS_BUNDLE_ID,
+      // Replaces an earlier push of the same burst still shown on the device
+      ...(notification.collapseId ? { 'apns-collapse-id': notification.collapseId } : {}),
+      'content-type': 'application/json',
+      'content-length': Buffer.byteLength(postData)
+    }, postData);
   } catch (error) {
-    console.error('Device request error:', error);
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        error: 'Internal server error',
-        message: error.message
-      })
-    };
+    recordAPNSResponse(host, error.code || 'ConnectionError', started);
+    throw error;
   }
-}
-
-// Handle Gmail pub/sub notifications via API Gateway
 
-// Handle Gmail pub/sub notifications via API Gateway
-async function handleGmailNotification(event) {
-  try {
-    // Parse the Pub/Sub message from API Gateway body
-    let message;
-    if (event.body) {
-      message = JSON.parse(event.body);
-    } else {
-      throw new Error('No message body in Gmail notification event');
-    }
+  const { headers, data } = response;
+  const statusCode = headers[':status'];
+  if (statusCode === 200) {
+    recordAPNSResponse(host, 'Success', started);
+    log.debug('APNs notification sent', { deviceToken, apnsId: headers['apns-id'], host });
+    return { success: true, statusCode: statusCode, apnsId: headers['apns-id'], apnsUniqueId: headers['apns-unique-id'] };
+  }
 
-    // Handle Pub/Sub push message format
-    let pubsubMessage;
-    if (message.message) {
-      // Pub/Sub push format
-      pubsubMessage = message.message;
-    } else if (message.data) {
-      // Direct Pub/Sub message format
-      pubsubMessage = message;
-    } else {
-      throw new Error('Invalid Pub/Sub message format');
-    }
+  const error = parseAPNSError(statusCode, headers, data);
+  recordAPNSResponse(host, error.reason || String(statusCode), started);
+  if (error.reason === 'ExpiredProviderToken' || error.reason === 'InvalidProviderToken') {
+    apnsClient.invalidateProviderToken();
+  }
+  throw error;
+}
 
-    const { email, notification } = parseGmailMessage(pubsubMessage);
+/**
+ * Firebase Cloud Messaging (Android)
+ *
+ * Sends through the FCM HTTP v1 API. Access tokens come from the OAuth2 JWT bearer grant,
+ * signed with the Firebase service account whose JSON key is stored in Secrets Manager
+ * under FCM_SECRET_NAME (its `token_uri` and FCM_API_BASE_URL can point at local mocks).
+ */
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
 
-    // Get all devices for this email
-    const devices = await getUserDevices(email);
+// FCM error codes meaning the registration token will never be deliverable again
+const FCM_PERMANENT_REASONS = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
 
-    if (devices.length === 0) {
-      console.log(`No devices found for email: ${email}`);
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ success: true, message: 'No devices to notify' })
-      };
-    }
+// Cache for the Firebase service account and its access token
+let fcmServiceAccountCache = null;
+let fcmAccessTokenCache = null;
+let fcmAccessTokenRequest = null;
 
-    // Determine if this is production environment
-    const isProduction = process.env.ENVIRONMENT === 'prod';
+/**
+ * Structured FCM rejection parsed from the v1 API error body
+ */
+class FCMError extends Error {
+  constructor(statusCode, reason, message) {
+    super(`FCM request failed: ${statusCode} ${reason}${message ? ` (${message})` : ''}`);
+    this.name = 'FCMError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+    this.permanent = statusCode === 404 || FCM_PERMANENT_REASONS.includes(reason);
+    this.transient = statusCode === 429 || statusCode >= 500;
+  }
+}
 
-    // Send notification to all devices
-    const results = await Promise.allSettled(
-      devices.map(device =>
-        sendAPNSNotification(device.deviceToken, notification, isProduction)
-      )
-    );
+function parseFCMError(statusCode, body) {
+  const error = (body && body.error) || {};
+  const fcmDetail = (error.details || []).find(detail => detail.errorCode);
 
-    const successful = results.filter(r => r.status === 'fulfilled').length;
-    const failed = results.filter(r => r.status === 'rejected').length;
+  return new FCMError(statusCode, fcmDetail ? fcmDetail.errorCode : (error.status || 'Unknown'), error.message);
+}
 
-    // Log details of failed notifications
-    results.forEach((result, index) => {
-      if (result.status === 'rejected') {
-        console.error(`Notification failed for device ${devices[index].deviceToken}:`, result.reason);
-      }
-    });
+async function getFCMServiceAccount() {
+  if (fcmServiceAccountCache) {
+    return fcmServiceAccountCache;
+  }
 
-    console.log(`Notifications sent: ${successful} successful, ${failed} failed for email: ${email}`);
+  if (!FCM_SECRET_NAME) {
+    throw new Error('Missing required FCM environment variable: FCM_SECRET_NAME');
+  }
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        success: true,
-        message: `Notifications sent to ${successful} devices`,
-        failed: failed
-      })
-    };
+  try {
+    const response = await clients.secretsManager.getSecretValue({ SecretId: FCM_SECRET_NAME }).promise();
+    fcmServiceAccountCache = JSON.parse(response.SecretString);
+    return fcmServiceAccountCache;
   } catch (error) {
-    console.error('Gmail notification error:', error);
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        error: 'Failed to process Gmail notification',
-        message: error.message
-      })
-    };
+    log.error('Failed to retrieve FCM service account from Secrets Manager', { error });
+    throw new Error('Unable to retrieve FCM service account');
   }
 }
 
-// Main Lambda handler
-exports.handler = async (event) => {
-  console.log('Lambda invoked with event:', JSON.stringify(event, null, 2));
+async function getFCMAccessToken() {
+  if (fcmAccessTokenCache && fcmAccessTokenCache.expiresAt > Date.now() + 60 * 1000) {
+    return fcmAccessTokenCache.accessToken;
+  }
 
-  try {
-    // Extract method and path for Function URL events
-    const method = event.requestContext.http.method;
-    const path = event.requestContext.http.path;
+  // Concurrent sends in one fan-out share a single token request
+  if (!fcmAccessTokenRequest) {
+    fcmAccessTokenRequest = requestFCMAccessToken().finally(() => {
+      fcmAccessTokenRequest = null;
+    });
+  }
+  return fcmAccessTokenRequest;
+}
 
-    // Check if this is device registration/unregistration
-    if (method && path === '/device') {
-      return await handleDeviceRequest(event);
-    }
+async function requestFCMAccessToken() {
+  const serviceAccount = await getFCMServiceAccount();
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = jwt.sign({
+    iss: serviceAccount.client_email,
+    scope: FCM_SCOPE,
+    aud: serviceAccount.token_uri,
+    iat: now,
+    exp: now + 3600
+  }, serviceAccount.private_key, {
+    algorithm: 'RS256',
+    keyid: serviceAccount.private_key_id
+  });
 
-    // Check if this is a Gmail pub/sub notification
-    if (method === 'POST' && path === '/gmail-notification') {
-      return await handleGmailNotification(event);
-    }
+  const { statusCode, body } = await httpRequest(serviceAccount.token_uri, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: assertion
+    }).toString()
+  });
 
-    return {
-      statusCode: 400,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        error: 'Invalid request format'
-      })
-    };
-  } catch (error) {
-    console.error('Lambda execution error:', error);
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        error: 'Internal server error',
-        message: error.message
-      })
+  if (statusCode !== 200) {
+    throw new Error(`FCM token request failed: ${statusCode} ${body.error || ''}`.trim());
+  }
+
+  fcmAccessTokenCache = {
+    accessToken: body.access_token,
+    expiresAt: Date.now() + (body.expires_in || 3600) * 1000
+  };
+  return fcmAccessTokenCache.accessToken;
+}
+
+/**
+ * Build the FCM v1 message for a notification mode
+ *
+ * FCM data values must be strings, so the mail payload is sent JSON-encoded under `gmail`
+ * (or `outlook`).
+ * @param {string} registrationToken - FCM registration token
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {string} mode - One of NOTIFICATION_MODES
+ * @returns {Object} The `message` object for messages:send
+ */
+function buildFCMMessage(registrationToken, notification, mode) {
+  const message = {
+    token: registrationToken,
+    data: {}
+  };
+  Object.entries(mailData(notification)).forEach(([key, value]) => {
+    message.data[key] = JSON.stringify(value);
+  });
+
+  if (mode !== 'alert' && mode !== 'preview') {
+    message.android = { priority: 'NORMAL' };
+    return message;
+  }
+
+  const preview = mode === 'preview' && notification.preview;
+  const alert = preview
+    ? { title: preview.from, body: preview.subject }
+    : notification.alert;
+
+  message.notification = { title: alert.title, body: alert.body };
+  message.android = {
+    priority: 'HIGH',
+    notification: {
+      tag: notification.threadId,
+      click_action: notification.category,
+      ...(notification.sound ? { default_sound: true } : {})
+    }
+  };
+  return message;
+}
+
+/**
+ * Send a notification to one Android device through FCM
+ * @param {string} registrationToken - FCM registration token
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {Object} options - Per-device delivery options
+ * @param {string} options.mode - Notification mode (defaults to silent)
+ * @returns {Promise<{success: boolean, messageId: string}>}
+ * @throws {FCMError} When FCM rejects the message
+ */
+async function sendFCMNotification(registrationToken, notification, options = {}) {
+  const serviceAccount = await getFCMServiceAccount();
+  const accessToken = await getFCMAccessToken();
+  const message = buildFCMMessage(registrationToken, notification, options.mode || DEFAULT_NOTIFICATION_MODE);
+
+  const { statusCode, body } = await httpRequest(
+    `${FCM_API_BASE_URL}/v1/projects/${serviceAccount.project_id}/messages:send`,
+    {
+      method: 'POST',
+      headers: { authorization: `Bearer ${accessToken}` },
+      body: { message }
+    }
+  );
+
+  if (statusCode === 200) {
+    return { success: true, messageId: body.name };
+  }
+
+  // A rejected access token is dropped so the next send fetches a fresh one
+  if (statusCode === 401) {
+    fcmAccessTokenCache = null;
+  }
+  throw parseFCMError(statusCode, body);
+}
+
+/**
+ * Web Push (browsers)
+ *
+ * Delivers to PushSubscription endpoints (RFC 8030) with VAPID authentication (RFC 8292)
+ * and aes128gcm payload encryption (RFC 8291). The VAPID key pair is stored in Secrets
+ * Manager under VAPID_SECRET_NAME as `{ publicKey, privateKey, subject }`, with the keys
+ * base64url-encoded in the raw form browsers use (65-byte public point, 32-byte private scalar).
+ *
+ * Endpoints come from the client, so only hosts in WEB_PUSH_ALLOWED_HOSTS are contacted:
+ * by default the push services of Chrome and Edge (FCM), Firefox, Safari and legacy Edge
+ * (WNS). Entries starting with a dot match subdomains.
+ */
+const WEB_PUSH_TTL_SECONDS = 24 * 60 * 60;
+const WEB_PUSH_RECORD_SIZE = 4096;
+const WEB_PUSH_HOSTS = WEB_PUSH_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Cache for the VAPID key pair
+let vapidKeysCache = null;
+
+/**
+ * Web Push rejection; 404 and 410 mean the subscription has expired
+ */
+class WebPushError extends Error {
+  constructor(statusCode, message) {
+    super(`Web Push request failed: ${statusCode}${message ? ` ${message}` : ''}`);
+    this.name = 'WebPushError';
+    this.statusCode = statusCode;
+    this.permanent = statusCode === 404 || statusCode === 410;
+    this.transient = statusCode === 429 || statusCode >= 500;
+  }
+}
+
+function isPushServiceEndpoint(endpoint) {
+  let hostname;
+  try {
+    hostname = new URL(endpoint).hostname;
+  } catch (error) {
+    return false;
+  }
+  return WEB_PUSH_HOSTS.some(host => (host.startsWith('.') ? hostname.endsWith(host) : hostname === host));
+}
+
+async function getVapidKeys() {
+  if (vapidKeysCache) {
+    return vapidKeysCache;
+  }
+
+  if (!VAPID_SECRET_NAME) {
+    throw new Error('Missing required Web Push environment variable: VAPID_SECRET_NAME');
+  }
+
+  try {
+    const response = await clients.secretsManager.getSecretValue({ SecretId: VAPID_SECRET_NAME }).promise();
+    const { publicKey, privateKey, subject } = JSON.parse(response.SecretString);
+    const point = Buffer.from(publicKey, 'base64url');
+
+    vapidKeysCache = {
+      publicKey: publicKey,
+      subject: subject,
+      signingKey: crypto.createPrivateKey({
+        key: {
+          kty: 'EC',
+          crv: 'P-256',
+          x: point.subarray(1, 33).toString('base64url'),
+          y: point.subarray(33, 65).toString('base64url'),
+          d: privateKey
+        },
+        format: 'jwk'
+      })
+    };
+    return vapidKeysCache;
+  } catch (error) {
+    log.error('Failed to retrieve VAPID keys from Secrets Manager', { error });
+    throw new Error('Unable to retrieve VAPID keys');
+  }
+}
+
+function hkdf(ikm, salt, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Encrypt a push message for a subscription (RFC 8291, single aes128gcm record)
+ * @param {Buffer} plaintext - Message to encrypt
+ * @param {Object} keys - Subscription keys `{ p256dh, auth }`, base64url-encoded
+ * @returns {Buffer} aes128gcm content-coding header followed by the encrypted record
+ */
+function encryptWebPushPayload(plaintext, keys) {
+  const uaPublic = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const ecdhSecret = ecdh.computeSecret(uaPublic);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = hkdf(ecdhSecret, authSecret, keyInfo, 32);
+  const cek = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  // 0x02 delimits the last (only) record
+  const record = Buffer.concat([
+    cipher.update(Buffer.concat([plaintext, Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(WEB_PUSH_RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+
+  return Buffer.concat([header, asPublic, record]);
+}
+
+/**
+ * Build the VAPID Authorization header for a push service origin
+ */
+async function getVapidAuthorization(endpoint) {
+  const { publicKey, subject, signingKey } = await getVapidKeys();
+  const token = jwt.sign({
+    aud: new URL(endpoint).origin,
+    sub: subject
+  }, signingKey, {
+    algorithm: 'ES256',
+    expiresIn: 12 * 60 * 60
+  });
+
+  return `vapid t=${token}, k=${publicKey}`;
+}
+
+/**
+ * Send a notification to one browser subscription
+ * @param {Object} subscription - `{ endpoint, keys: { p256dh, auth } }`
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {Object} options - Per-device delivery options
+ * @param {string} options.mode - Notification mode (defaults to silent)
+ * @returns {Promise<{success: boolean, location: string}>}
+ * @throws {WebPushError} When the push service rejects the message
+ * @throws {Error} Marked permanent when the endpoint is not on an allowed push service
+ */
+async function sendWebPushNotification(subscription, notification, options = {}) {
+  if (!isPushServiceEndpoint(subscription.endpoint)) {
+    // Registered before endpoints were checked; prune the device instead of posting to it
+    const error = new Error('Web Push endpoint is not on an allowed push service');
+    error.permanent = true;
+    throw error;
+  }
+
+  const mode = options.mode || DEFAULT_NOTIFICATION_MODE;
+  const visible = mode === 'alert' || mode === 'preview';
+  const preview = mode === 'preview' && notification.preview;
+
+  // The service worker decides what to display from the mode
+  const message = {
+    mode: mode,
+    ...mailData(notification),
+    ...(visible ? {
+      notification: {
+        title: preview ? preview.from : notification.alert.title,
+        body: preview ? preview.subject : notification.alert.body,
+        tag: notification.threadId
+      }
+    } : {})
+  };
+
+  const { statusCode, headers, body } = await httpRequest(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      authorization: await getVapidAuthorization(subscription.endpoint),
+      'content-encoding': 'aes128gcm',
+      'content-type': 'application/octet-stream',
+      ttl: String(WEB_PUSH_TTL_SECONDS),
+      urgency: visible ? 'high' : 'normal'
+    },
+    body: encryptWebPushPayload(Buffer.from(JSON.stringify(message)), subscription.keys)
+  });
+
+  if (statusCode >= 200 && statusCode < 300) {
+    return { success: true, location: headers.location };
+  }
+  throw new WebPushError(statusCode, typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Push Providers
+ *
+ * One provider per device platform, each exposing `send(device, notification, context)`.
+ * Rejections with `permanent: true` mean the device can be pruned.
+ */
+const PLATFORMS = ['ios', 'android', 'web'];
+const DEFAULT_PLATFORM = 'ios';
+
+/**
+ * Deliver to an iOS device in its recorded APNs environment
+ *
+ * A BadDeviceToken usually means the token belongs to the other environment, so it is
+ * retried there once; when that succeeds the device record is corrected.
+ * @param {Object} device - Device record
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {boolean} isProduction - Environment assumed for devices that never recorded one
+ */
+async function sendAPNSToDevice(device, notification, isProduction) {
+  const environment = getAPNSEnvironment(device, isProduction);
+  const options = { mode: device.notificationMode, topic: device.apnsTopic };
+
+  try {
+    return await sendAPNSNotification(device.deviceToken, notification, environment === 'production', options);
+  } catch (error) {
+    if (error.reason !== 'BadDeviceToken') {
+      throw error;
+    }
+
+    const otherEnvironment = environment === 'production' ? 'sandbox' : 'production';
+    log.info('APNs rejected device token; retrying in the other environment', {
+      deviceToken: device.deviceToken,
+      environment: environment,
+      retryEnvironment: otherEnvironment
+    });
+    const result = await sendAPNSNotification(device.deviceToken, notification, otherEnvironment === 'production', options);
+
+    try {
+      await updateDevice(device.email, device.deviceToken, { apnsEnvironment: otherEnvironment });
+    } catch (updateError) {
+      log.error('Failed to correct APNs environment of device', { deviceToken: device.deviceToken, error: updateError });
+    }
+    return result;
+  }
+}
+
+function createPushProviders() {
+  return {
+    ios: {
+      send: (device, notification, { isProduction }) => sendAPNSToDevice(device, notification, isProduction)
+    },
+    android: {
+      send: (device, notification) =>
+        sendFCMNotification(device.deviceToken, notification, {
+          mode: device.notificationMode
+        })
+    },
+    // Web devices are keyed by their subscription endpoint
+    web: {
+      send: (device, notification) =>
+        sendWebPushNotification({ endpoint: device.deviceToken, keys: device.webPushKeys }, notification, {
+          mode: device.notificationMode
+        })
+    }
+  };
+}
+
+/**
+ * Device Expiry
+ *
+ * Device records carry a sliding `ttl` (DEVICE_TTL_DAYS after lastActive) so DynamoDB
+ * removes abandoned installs by itself. Registration, the heartbeat endpoint and successful
+ * deliveries move it forward; deliveries only write once lastActive is older than
+ * DEVICE_ACTIVITY_REFRESH_MS so a busy mailbox does not cost a write per push.
+ * DynamoDB deletes expired items only eventually, so device reads skip them until then.
+ */
+const DEVICE_ACTIVITY_REFRESH_MS = 24 * 60 * 60 * 1000;
+
+function isExpiredDevice(device, now = clients.now()) {
+  return device.ttl !== undefined && device.ttl <= Math.floor(now.getTime() / 1000);
+}
+
+function deviceActivity(now = clients.now()) {
+  return {
+    lastActive: now.toISOString(),
+    ttl: Math.floor(now.getTime() / 1000) + parseInt(DEVICE_TTL_DAYS, 10) * 24 * 60 * 60
+  };
+}
+
+// Record activity of an existing device; 404 if it has been unregistered or expired.
+// Also fills in pushToken for devices registered before the pushToken-index existed.
+function touchDevice(email, deviceToken) {
+  return updateDevice(email, deviceToken, { ...deviceActivity(), pushToken: deviceToken });
+}
+
+/**
+ * Refresh lastActive/ttl of devices that just received a push, at most once per refresh interval
+ * @param {Object[]} devices - Device records the notification was sent to
+ * @param {Object[]} results - Promise.allSettled results, in the same order as devices
+ */
+async function refreshDeliveredDevices(devices, results) {
+  const cutoff = clients.now().getTime() - DEVICE_ACTIVITY_REFRESH_MS;
+  const stale = devices.filter((device, index) =>
+    results[index].status === 'fulfilled' && !(Date.parse(device.lastActive) > cutoff)
+  );
+
+  const refreshes = await Promise.allSettled(stale.map(device => touchDevice(device.email, device.deviceToken)));
+
+  refreshes.forEach((refresh, index) => {
+    if (refresh.status === 'rejected') {
+      log.error('Failed to refresh activity of device', { deviceToken: stale[index].deviceToken, error: refresh.reason });
+    }
+  });
+}
+
+/**
+ * Mail Providers
+ *
+ * A device registers for one mailbox account: the `email` key is the account's address
+ * and `provider` says where its change notifications come from (Gmail through Pub/Sub,
+ * Outlook.com and Microsoft 365 through Microsoft Graph). Records from before providers
+ * existed are Gmail registrations.
+ */
+const MAIL_PROVIDERS = ['gmail', 'outlook'];
+const DEFAULT_MAIL_PROVIDER = 'gmail';
+
+function deviceProvider(device) {
+  return device.provider || DEFAULT_MAIL_PROVIDER;
+}
+
+// DynamoDB operations
+async function registerDevice(email, deviceToken, options = {}) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Item: {
+      email: email,
+      deviceToken: deviceToken,
+      // Key of the sparse pushToken-index, which finds every account a device is registered for
+      pushToken: deviceToken,
+      provider: options.provider || DEFAULT_MAIL_PROVIDER,
+      platform: options.platform || DEFAULT_PLATFORM,
+      notificationMode: options.mode || DEFAULT_NOTIFICATION_MODE,
+      ...(options.webPushKeys ? { webPushKeys: options.webPushKeys } : {}),
+      ...(options.name ? { name: options.name } : {}),
+      ...(options.appVersion ? { appVersion: options.appVersion } : {}),
+      ...(options.apnsEnvironment ? { apnsEnvironment: options.apnsEnvironment } : {}),
+      ...(options.apnsTopic ? { apnsTopic: options.apnsTopic } : {}),
+      ...(options.installationId ? { owner: installationOwner(options.installationId) } : {}),
+      registeredAt: new Date().toISOString(),
+      ...deviceActivity()
+    }
+  };
+
+  try {
+    await clients.dynamodb.put(params).promise();
+    return { success: true, message: 'Device registered successfully' };
+  } catch (error) {
+    // Since email + deviceToken is the composite key, duplicates will be updated
+    throw error;
+  }
+}
+
+async function unregisterDevice(email, deviceToken) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: {
+      email: email,
+      deviceToken: deviceToken
+    }
+  };
+
+  try {
+    await clients.dynamodb.delete(params).promise();
+    return { success: true, message: 'Device unregistered successfully' };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Update metadata of an existing device
+ * @param {Object} fields - Attributes to set; null values remove the attribute
+ * @returns {Promise<Object>} The updated device record
+ * @throws {HttpError} 404 when the device is not registered for the email or has expired
+ */
+async function updateDevice(email, deviceToken, fields) {
+  const names = { '#ttl': 'ttl' };
+  const values = { ':now': Math.floor(clients.now().getTime() / 1000) };
+  const sets = [];
+  const removes = [];
+
+  Object.keys(fields).forEach((field, index) => {
+    names[`#f${index}`] = field;
+    if (fields[field] === null) {
+      removes.push(`#f${index}`);
+    } else {
+      values[`:v${index}`] = fields[field];
+      sets.push(`#f${index} = :v${index}`);
+    }
+  });
+
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: {
+      email: email,
+      deviceToken: deviceToken
+    },
+    UpdateExpression: [
+      sets.length ? `SET ${sets.join(', ')}` : '',
+      removes.length ? `REMOVE ${removes.join(', ')}` : ''
+    ].filter(Boolean).join(' '),
+    // Expired records DynamoDB has not deleted yet count as gone, as in getUserDevices
+    ConditionExpression: 'attribute_exists(deviceToken) AND (attribute_not_exists(#ttl) OR #ttl > :now)',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await clients.dynamodb.update(params).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      throw new HttpError(404, 'Device not found');
+    }
+    throw error;
+  }
+}
+
+async function getUserDevices(email) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    KeyConditionExpression: 'email = :email',
+    ExpressionAttributeValues: {
+      ':email': email
+    }
+  };
+
+  try {
+    const result = await clients.dynamodb.query(params).promise();
+    return (result.Items || []).filter(item => isDeviceRecord(item) && !isExpiredDevice(item));
+  } catch (error) {
+    throw error;
+  }
+}
+
+// The device record, or null when it is not registered or has expired
+async function getDevice(email, deviceToken) {
+  const result = await clients.dynamodb.get({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: {
+      email: email,
+      deviceToken: deviceToken
+    }
+  }).promise();
+  return result.Item && !isExpiredDevice(result.Item) ? result.Item : null;
+}
+
+/**
+ * Per-mailbox Records
+ *
+ * Per-email state lives in the devices table next to the device records, under sort keys
+ * starting with '#' (device tokens never do). The mailbox record holds the encrypted Gmail
+ * and Microsoft Graph refresh tokens, the last processed historyId and the state of the
+ * Gmail watch and Graph subscription.
+ */
+const MAILBOX_RECORD_KEY = '#mailbox';
+
+function isDeviceRecord(item) {
+  return !String(item.deviceToken).startsWith('#');
+}
+
+// Public view of a device record; keys used for delivery (such as webPushKeys) stay server-side
+function describeDevice(device) {
+  return {
+    deviceToken: device.deviceToken,
+    provider: deviceProvider(device),
+    platform: device.platform || DEFAULT_PLATFORM,
+    name: device.name || null,
+    appVersion: device.appVersion || null,
+    mode: device.notificationMode || DEFAULT_NOTIFICATION_MODE,
+    apnsEnvironment: device.apnsEnvironment || (device.sandbox === true ? 'sandbox' : null),
+    apnsTopic: device.apnsTopic || null,
+    sandbox: device.apnsEnvironment ? device.apnsEnvironment === 'sandbox' : device.sandbox === true,
+    registeredAt: device.registeredAt,
+    lastActive: device.lastActive
+  };
+}
+
+async function getMailboxState(email) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: {
+      email: email,
+      deviceToken: MAILBOX_RECORD_KEY
+    }
+  };
+
+  const result = await clients.dynamodb.get(params).promise();
+  return result.Item || {};
+}
+
+/**
+ * Set (or, for undefined values, remove) fields on the mailbox record
+ * @param {string} email - The mailbox
+ * @param {Object} fields - Attribute names and values
+ */
+async function updateMailboxState(email, fields) {
+  const names = {};
+  const values = { ':updatedAt': new Date().toISOString() };
+  const sets = ['updatedAt = :updatedAt'];
+  const removes = [];
+
+  Object.keys(fields).forEach((field, index) => {
+    names[`#f${index}`] = field;
+    if (fields[field] === undefined) {
+      removes.push(`#f${index}`);
+    } else {
+      values[`:v${index}`] = fields[field];
+      sets.push(`#f${index} = :v${index}`);
+    }
+  });
+
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: {
+      email: email,
+      deviceToken: MAILBOX_RECORD_KEY
+    },
+    UpdateExpression: `SET ${sets.join(', ')}${removes.length ? ` REMOVE ${removes.join(', ')}` : ''}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  };
+
+  await clients.dynamodb.update(params).promise();
+}
+
+/**
+ * Remove devices whose sends failed with a permanent provider error
+ * @param {string} email - The mailbox the devices belong to
+ * @param {Array<Object>} devices - Devices that were notified
+ * @param {Array<Object>} results - Promise.allSettled results, in the same order as devices
+ * @returns {Promise<number>} Number of devices removed
+ */
+async function pruneDeadDevices(email, devices, results) {
+  const deadDevices = devices.filter((device, index) =>
+    results[index].status === 'rejected' && results[index].reason && results[index].reason.permanent === true
+  );
+
+  const removals = await Promise.allSettled(
+    deadDevices.map(device => unregisterDevice(email, device.deviceToken))
+  );
+
+  removals.forEach((removal, index) => {
+    if (removal.status === 'rejected') {
+      log.error('Failed to prune device', { deviceToken: deadDevices[index].deviceToken, error: removal.reason });
+    }
+  });
+
+  const pruned = removals.filter(r => r.status === 'fulfilled').length;
+  if (pruned > 0) {
+    // Stop the watch or subscription if that was the provider's last device, as DELETE /device does
+    await releaseMailSubscriptions(email);
+  }
+  return pruned;
+}
+
+// Parse Gmail pub/sub message
+function parseGmailMessage(message) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(message.data, 'base64').toString('utf-8'));
+  } catch (error) {
+    data = null;
+  }
+  if (!isPlainObject(data)) {
+    throw validationError('invalid_format', 'message.data', 'message.data must be a base64-encoded JSON object');
+  }
+
+  const emailAddress = data.emailAddress || data.email;
+  const historyId = data.historyId;
+  if (emailAddress === undefined) {
+    throw validationError('missing_field', 'message.data.emailAddress', 'message.data.emailAddress is required');
+  }
+  if (typeof emailAddress !== 'string' || !FIELD_FORMATS.email.test(emailAddress)) {
+    throw validationError('invalid_format', 'message.data.emailAddress', 'message.data.emailAddress must be an email address');
+  }
+  const email = normalizeEmail(emailAddress);
+  if (historyId !== undefined && !/^\d{1,20}$/.test(String(historyId))) {
+    throw validationError('invalid_format', 'message.data.historyId', 'message.data.historyId must be a numeric history ID');
+  }
+
+  // Extract basic notification info
+  const notification = {
+    alert: {
+      title: 'New Gmail Message',
+      body: 'You have a new email in your inbox'
+    },
+    gmailData: {
+      email: email,
+      historyId: historyId,
+      timestamp: new Date().toISOString()
+    },
+    sound: 'default',
+    category: 'GMAIL_NOTIFICATION',
+    // Group notifications per account until message threads are known
+    threadId: email
+  };
+
+  return { email, notification };
+}
+
+/**
+ * Redelivery Protection
+ *
+ * Pub/Sub push delivers at least once. Each message is claimed by writing a marker item
+ * keyed on its messageId (expired by the table's TTL once Pub/Sub would have stopped
+ * retrying); a redelivered message finds the marker and is skipped. Microsoft Graph
+ * notifications are claimed the same way, keyed on subscription and message. Independently, the
+ * highest historyId notified per mailbox is tracked so that notifications arriving out of
+ * order, older than one already delivered, are skipped as stale.
+ */
+// Pub/Sub retains unacknowledged messages for at most 7 days (Graph retries for 4 hours)
+const DEDUPE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Marker item of a claimed message, e.g. `#pubsub:<messageId>` / `#pubsub-message`
+function dedupeKey(source, messageId) {
+  return {
+    email: `#${source}:${messageId}`,
+    deviceToken: `#${source}-message`
+  };
+}
+
+/**
+ * Claim a pushed message for processing
+ * @param {string} source - 'pubsub' or 'graph'
+ * @param {string} messageId - ID of the message within the source
+ * @returns {Promise<boolean>} False when the message was already claimed
+ */
+async function claimMessage(source, messageId) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Item: {
+      ...dedupeKey(source, messageId),
+      receivedAt: new Date().toISOString(),
+      ttl: Math.floor(Date.now() / 1000) + DEDUPE_TTL_SECONDS
+    },
+    ConditionExpression: 'attribute_not_exists(email)'
+  };
+
+  try {
+    await clients.dynamodb.put(params).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Release a claim after a failed attempt so the sender's retry is processed
+async function releaseMessage(source, messageId) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: dedupeKey(source, messageId)
+  };
+
+  try {
+    await clients.dynamodb.delete(params).promise();
+  } catch (error) {
+    log.error('Failed to release pushed message', { source, messageId, error });
+  }
+}
+
+// Fixed-width form of a historyId (validated as at most 20 digits) that sorts numerically
+function historyKey(historyId) {
+  return String(historyId).padStart(20, '0');
+}
+
+/**
+ * Record a mailbox's notified historyId unless a newer one was already notified
+ * @param {string} email - The mailbox
+ * @param {string} historyId - historyId from the notification
+ * @returns {Promise<boolean>} False when the notification is older than the last one notified
+ */
+async function advanceNotifiedHistoryId(email, historyId) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: {
+      email: email,
+      deviceToken: MAILBOX_RECORD_KEY
+    },
+    UpdateExpression: 'SET lastNotifiedHistoryKey = :historyKey, updatedAt = :updatedAt',
+    // Equal IDs pass: true redeliveries are caught by messageId, and a retry after a failed
+    // attempt must not be mistaken for a stale notification
+    ConditionExpression: 'attribute_not_exists(lastNotifiedHistoryKey) OR lastNotifiedHistoryKey <= :historyKey',
+    ExpressionAttributeValues: {
+      // historyIds run up to 20 digits, past what a JavaScript number holds exactly;
+      // zero-padded to a fixed width they compare in numeric order as strings
+      ':historyKey': historyKey(historyId),
+      ':updatedAt': new Date().toISOString()
+    }
+  };
+
+  try {
+    await clients.dynamodb.update(params).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gmail API Enrichment
+ *
+ * When a mailbox has stored Gmail credentials, the INBOX messages added since the last
+ * processed historyId are looked up (users.history.list, then users.messages.get for
+ * metadata) so the push can carry sender, subject and snippet. Refresh tokens are stored
+ * KMS-encrypted on the mailbox record. Every Google HTTP call goes through `clients.gmail`,
+ * which tests and local development replace via exports.setClients().
+ */
+// APNs payloads are capped at 4KB, so only the newest few messages are included
+const MAX_ENRICHED_MESSAGES = 3;
+const MAX_HISTORY_PAGES = 5;
+const MAX_PREVIEW_FIELD_LENGTH = 120;
+
+// Cache for the OAuth client used to refresh Gmail access tokens
+let gmailOAuthCredentialsCache = null;
+
+// Access tokens by email: { accessToken, expiresAt }
+const gmailAccessTokens = new Map();
+
+/**
+ * Error returned by Google's OAuth or Gmail API
+ */
+class GmailApiError extends Error {
+  constructor(statusCode, reason) {
+    super(`Gmail API request failed: ${statusCode} ${reason}`);
+    this.name = 'GmailApiError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+  }
+}
+
+async function getGmailOAuthCredentials() {
+  if (gmailOAuthCredentialsCache) {
+    return gmailOAuthCredentialsCache;
+  }
+
+  if (!GMAIL_OAUTH_SECRET_NAME) {
+    throw new Error('Missing required Gmail environment variable: GMAIL_OAUTH_SECRET_NAME');
+  }
+
+  const response = await clients.secretsManager.getSecretValue({ SecretId: GMAIL_OAUTH_SECRET_NAME }).promise();
+  gmailOAuthCredentialsCache = JSON.parse(response.SecretString);
+  return gmailOAuthCredentialsCache;
+}
+
+/**
+ * Create the HTTP client for Google's OAuth token endpoint and the Gmail API
+ * @returns {Object} Client with refreshAccessToken, listHistory, getMessage, getLabel, watch and stop
+ */
+function createGmailClient() {
+  async function request(accessToken, method, path, { query, body } = {}) {
+    const url = `${GMAIL_API_BASE_URL}/users/me/${path}${query ? `?${new URLSearchParams(query)}` : ''}`;
+    const response = await httpRequest(url, {
+      method: method,
+      headers: { authorization: `Bearer ${accessToken}` },
+      body: body
+    });
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new GmailApiError(response.statusCode, (response.body.error && response.body.error.message) || 'Unknown');
+    }
+    return response.body;
+  }
+
+  function get(accessToken, path, query) {
+    return request(accessToken, 'GET', path, { query });
+  }
+
+  return {
+    async refreshAccessToken(refreshToken) {
+      const { client_id: clientId, client_secret: clientSecret } = await getGmailOAuthCredentials();
+      const { statusCode, body } = await httpRequest(GOOGLE_TOKEN_URI, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken,
+          client_id: clientId,
+          client_secret: clientSecret
+        }).toString()
+      });
+
+      if (statusCode !== 200) {
+        throw new GmailApiError(statusCode, body.error || 'Unknown');
+      }
+      return { accessToken: body.access_token, expiresIn: body.expires_in };
+    },
+
+    listHistory(accessToken, params) {
+      return get(accessToken, 'history', params);
+    },
+
+    getMessage(accessToken, id, params) {
+      return get(accessToken, `messages/${encodeURIComponent(id)}`, params);
+    },
+
+    getLabel(accessToken, id) {
+      return get(accessToken, `labels/${encodeURIComponent(id)}`);
+    },
+
+    watch(accessToken, params) {
+      return request(accessToken, 'POST', 'watch', { body: params });
+    },
+
+    async stop(accessToken) {
+      await request(accessToken, 'POST', 'stop');
+    }
+  };
+}
+
+// Pluggable service clients, swapped out by tests and the local development server
+const clients = {
+  // AWS SDK clients; stand-ins only need the methods used here, returning `{ promise() }`
+  dynamodb: new AWS.DynamoDB.DocumentClient(),
+  secretsManager: new AWS.SecretsManager(),
+  gmail: createGmailClient(),
+  graph: createGraphClient(),
+  push: createPushProviders(),
+  // Wall clock for time-based decisions such as quiet hours
+  now: () => new Date(),
+  // Waits between delivery retries
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * Send a notification to a device through its platform's provider
+ * @param {Object} device - Device record
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {Object} context - { isProduction }
+ */
+async function sendToDevice(device, notification, context) {
+  const platform = device.platform || DEFAULT_PLATFORM;
+  const provider = clients.push[platform];
+
+  if (!provider) {
+    throw new Error(`No push provider for platform: ${platform}`);
+  }
+
+  const started = Date.now();
+  try {
+    return await provider.send(device, notification, context);
+  } finally {
+    metrics.timing('DeliveryLatency', Date.now() - started, { Platform: platform });
+  }
+}
+
+/**
+ * Delivery Retries
+ *
+ * Failed sends are either permanent (the token is dead and gets pruned) or transient
+ * (throttling, provider 5xx, dropped connections). Transient failures are retried a few
+ * times with exponential backoff inside the invocation; sends still failing are put on
+ * the delivery dead-letter queue (DELIVERY_DLQ_URL), whose messages invoke this function
+ * again later (see handleSQSEvent) to replay them.
+ */
+const DELIVERY_MAX_ATTEMPTS = 3;
+const DELIVERY_BACKOFF_BASE_MS = 250;
+const DELIVERY_BACKOFF_MAX_MS = 2000;
+const DELIVERY_REPLAY_DELAY_SECONDS = 60;
+const DELIVERY_RETRY_MESSAGE = 'delivery-retry';
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+function isTransientDeliveryError(error) {
+  if (!error || error.permanent === true) {
+    return false;
+  }
+  if (typeof error.transient === 'boolean') {
+    return error.transient;
+  }
+  return error.connectionLost === true ||
+    TRANSIENT_NETWORK_CODES.includes(error.code) ||
+    /^ERR_HTTP2_/.test(error.code || '');
+}
+
+// Exponential backoff with jitter in the upper half of each step
+function deliveryBackoff(attempt) {
+  const step = Math.min(DELIVERY_BACKOFF_BASE_MS * 2 ** (attempt - 1), DELIVERY_BACKOFF_MAX_MS);
+  return Math.round(step / 2 + Math.random() * step / 2);
+}
+
+/**
+ * Send to a device, retrying transient failures up to DELIVERY_MAX_ATTEMPTS times
+ * @returns {Promise<Object>} The provider's result
+ * @throws The last error, with `attempts` set to the number of sends made
+ */
+async function deliverWithRetry(device, notification, context) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await sendToDevice(device, notification, context);
+    } catch (error) {
+      if (attempt >= DELIVERY_MAX_ATTEMPTS || !isTransientDeliveryError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      log.warn('Transient delivery failure', { deviceToken: device.deviceToken, attempt, error });
+      await clients.sleep(deliveryBackoff(attempt));
+    }
+  }
+}
+
+/**
+ * Queue a send that kept failing transiently for a later replay
+ * @param {number} [badge] - The device's badge for this notification
+ * @returns {Promise<boolean>} Whether it was queued (false without a configured queue)
+ */
+async function enqueueFailedDelivery(email, device, notification, error, badge) {
+  if (!DELIVERY_DLQ_URL) {
+    return false;
+  }
+
+  await sqs.sendMessage({
+    QueueUrl: DELIVERY_DLQ_URL,
+    DelaySeconds: DELIVERY_REPLAY_DELAY_SECONDS,
+    MessageBody: JSON.stringify({
+      type: DELIVERY_RETRY_MESSAGE,
+      email: email,
+      deviceToken: device.deviceToken,
+      // Keeps a quiet-hours downgrade to silent when replayed
+      notificationMode: device.notificationMode,
+      notification: notification,
+      // The unread count when the push was sent, as the original would have shown it
+      badge: badge,
+      attempts: error.attempts,
+      error: { statusCode: error.statusCode, reason: error.reason || error.code, message: error.message },
+      failedAt: clients.now().toISOString()
+    })
+  }).promise();
+  return true;
+}
+
+/**
+ * Queue every transient failure of a fan-out
+ * @param {Map<string, number>} badges - Badge by device token, from getRecipientBadges
+ * @returns {Promise<number>} Number of sends queued
+ */
+async function deferFailedDeliveries(email, devices, notification, results, badges) {
+  const transient = devices.filter((device, index) =>
+    results[index].status === 'rejected' && isTransientDeliveryError(results[index].reason)
+  );
+
+  const queued = await Promise.allSettled(
+    transient.map(device => enqueueFailedDelivery(
+      email, device, notification, results[devices.indexOf(device)].reason, badges.get(device.deviceToken)
+    ))
+  );
+
+  queued.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      log.error('Failed to queue retry for device', { deviceToken: transient[index].deviceToken, error: result.reason });
+    }
+  });
+
+  return queued.filter(result => result.status === 'fulfilled' && result.value).length;
+}
+
+async function encryptRefreshToken(email, refreshToken) {
+  if (!TOKEN_KMS_KEY_ID) {
+    throw new Error('Missing required Gmail environment variable: TOKEN_KMS_KEY_ID');
+  }
+
+  const { CiphertextBlob } = await kms.encrypt({
+    KeyId: TOKEN_KMS_KEY_ID,
+    Plaintext: refreshToken,
+    EncryptionContext: { email: email }
+  }).promise();
+  return Buffer.from(CiphertextBlob).toString('base64');
+}
+
+async function decryptRefreshToken(email, ciphertext) {
+  const { Plaintext } = await kms.decrypt({
+    CiphertextBlob: Buffer.from(ciphertext, 'base64'),
+    EncryptionContext: { email: email }
+  }).promise();
+  return Buffer.from(Plaintext).toString('utf-8');
+}
+
+/**
+ * Get a Gmail access token for a mailbox, refreshing it when needed
+ *
+ * A refresh token Google reports as revoked (invalid_grant) is removed from the mailbox
+ * record so later notifications stop trying it.
+ */
+async function getGmailAccessToken(email, mailbox) {
+  const cached = gmailAccessTokens.get(email);
+  if (cached && cached.expiresAt > Date.now() + 60 * 1000) {
+    return cached.accessToken;
+  }
+
+  const refreshToken = await decryptRefreshToken(email, mailbox.gmailRefreshToken);
+
+  let token;
+  try {
+    token = await clients.gmail.refreshAccessToken(refreshToken);
+  } catch (error) {
+    if (error.reason === 'invalid_grant') {
+      log.warn('Gmail credentials were revoked; removing them', { email });
+      await updateMailboxState(email, { gmailRefreshToken: undefined });
+    }
+    throw error;
+  }
+
+  gmailAccessTokens.set(email, {
+    accessToken: token.accessToken,
+    expiresAt: Date.now() + (token.expiresIn || 3600) * 1000
+  });
+  return token.accessToken;
+}
+
+function truncate(value, length) {
+  if (!value || value.length <= length) {
+    return value;
+  }
+  return `${value.slice(0, length - 1)}…`;
+}
+
+// "Alice Example" <alice@example.com> → Alice Example
+function formatSender(from) {
+  const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(from || '');
+  if (!match) {
+    return from;
+  }
+  return match[1] || match[2];
+}
+
+function summarizeMessage(message) {
+  const headers = (message.payload && message.payload.headers) || [];
+  const header = (name) => {
+    const found = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+    return found ? found.value : undefined;
+  };
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    from: truncate(header('From'), MAX_PREVIEW_FIELD_LENGTH),
+    subject: truncate(header('Subject'), MAX_PREVIEW_FIELD_LENGTH),
+    snippet: truncate(message.snippet, MAX_PREVIEW_FIELD_LENGTH),
+    labelIds: message.labelIds || []
+  };
+}
+
+/**
+ * List INBOX messages added after a historyId
+ * @param {string} accessToken - Gmail access token
+ * @param {string} startHistoryId - Last processed historyId
+ * @returns {Promise<{total: number, messages: Array<Object>}>} Count of new messages and summaries of the newest ones
+ */
+async function fetchNewInboxMessages(accessToken, startHistoryId) {
+  const added = new Map();
+  let pageToken;
+
+  for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+    const result = await clients.gmail.listHistory(accessToken, {
+      startHistoryId: startHistoryId,
+      historyTypes: 'messageAdded',
+      labelId: 'INBOX',
+      ...(pageToken ? { pageToken } : {})
+    });
+
+    (result.history || []).forEach((entry) => {
+      (entry.messagesAdded || []).forEach(({ message }) => {
+        if ((message.labelIds || []).includes('INBOX')) {
+          added.set(message.id, message);
+        }
+      });
+    });
+
+    pageToken = result.nextPageToken;
+    if (!pageToken) {
+      break;
+    }
+  }
+
+  const newestIds = [...added.keys()].slice(-MAX_ENRICHED_MESSAGES);
+  const messages = await Promise.all(newestIds.map(id =>
+    clients.gmail.getMessage(accessToken, id, [
+      ['format', 'metadata'],
+      ['metadataHeaders', 'From'],
+      ['metadataHeaders', 'Subject']
+    ]).catch((error) => {
+      // Deleted since it was added
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    })
+  ));
+
+  return {
+    total: added.size,
+    messages: messages.filter(Boolean).map(summarizeMessage)
+  };
+}
+
+/**
+ * Add real message metadata to a notification when the mailbox has Gmail credentials
+ *
+ * Failures are logged and leave the generic notification in place; the last processed
+ * historyId is only advanced once the history was read (or has expired), so a transient
+ * failure is retried by the next notification.
+ * @param {string} email - The mailbox
+ * @param {string} historyId - historyId from the Pub/Sub notification
+ * @param {Object} notification - Notification built by parseGmailMessage, updated in place
+ */
+async function enrichNotification(email, historyId, notification) {
+  const mailbox = await getMailboxState(email);
+  if (!mailbox.gmailRefreshToken) {
+    return;
+  }
+
+  try {
+    if (mailbox.lastHistoryId) {
+      const accessToken = await getGmailAccessToken(email, mailbox);
+      const { total, messages } = await fetchNewInboxMessages(accessToken, mailbox.lastHistoryId);
+
+      if (messages.length > 0) {
+        const newest = messages[messages.length - 1];
+
+        notification.gmailData.messages = messages;
+        notification.gmailData.newMessageCount = total;
+        notification.threadId = newest.threadId;
+        notification.preview = {
+          from: formatSender(newest.from) || 'Unknown sender',
+          subject: newest.subject || '(no subject)'
+        };
+        if (total > 1) {
+          notification.alert.body = `You have ${total} new emails in your inbox`;
+        }
+      }
+    }
+  } catch (error) {
+    log.error('Gmail enrichment failed', { email, error });
+    // A 404 means startHistoryId is too old to list from; start over from this notification
+    if (error.statusCode !== 404) {
+      return;
+    }
+  }
+
+  await updateMailboxState(email, { lastHistoryId: historyId });
+}
+
+/**
+ * Unread Badge
+ *
+ * Alert pushes to iOS carry the INBOX unread count as `aps.badge`. The count of a Gmail
+ * account (users.labels.get for INBOX, `messagesUnread`) is read whenever it notifies one of
+ * these devices and kept on the mailbox record as `unreadCount`. A device registered for
+ * several accounts shows their sum; its accounts are found through the sparse
+ * `pushToken-index` GSI, which only holds device records. Accounts without a known count
+ * (no Gmail credentials, Outlook) add nothing, and when no account has one the badge is
+ * left as it is. The app resyncs or resets the count through POST /device/badge.
+ *
+ * Push tokens are not secret, so anyone can register one under their own address. Only
+ * accounts registered with the same `installationId` (a random secret the app keeps, stored
+ * hashed as the record's `owner`) are summed; a record without one counts alone.
+ */
+const PUSH_TOKEN_INDEX = 'pushToken-index';
+
+function installationOwner(installationId) {
+  return crypto.createHash('sha256').update(installationId).digest('base64url');
+}
+const BADGE_ACTIONS = ['resync', 'reset'];
+
+// Only visible alerts on iOS show a badge
+function showsBadge(device) {
+  return (device.platform || DEFAULT_PLATFORM) === 'ios' &&
+    (device.notificationMode === 'alert' || device.notificationMode === 'preview');
+}
+
+/**
+ * Read the INBOX unread count of a Gmail account and store it on its mailbox record
+ * @param {string} email - The mailbox
+ * @returns {Promise<number|undefined>} The count, or the stored one when the mailbox has no Gmail credentials
+ */
+async function refreshUnreadCount(email) {
+  const mailbox = await getMailboxState(email);
+  if (!mailbox.gmailRefreshToken) {
+    return mailbox.unreadCount;
+  }
+
+  const accessToken = await getGmailAccessToken(email, mailbox);
+  const label = await clients.gmail.getLabel(accessToken, 'INBOX');
+  const unreadCount = label.messagesUnread || 0;
+
+  await updateMailboxState(email, { unreadCount: unreadCount });
+  return unreadCount;
+}
+
+/**
+ * Find every account a device is registered for
+ * @param {string} deviceToken
+ * @returns {Promise<string[]>} Email addresses
+ */
+/**
+ * Accounts a device record shares its badge with: its own and those of the same installation
+ * @param {Object} device - Device record (`email`, `deviceToken`, `owner`)
+ * @returns {Promise<string[]>}
+ */
+async function getDeviceAccounts(device) {
+  if (!device.owner) {
+    return [device.email];
+  }
+
+  const result = await clients.dynamodb.query({
+    TableName: DYNAMODB_TABLE_NAME,
+    IndexName: PUSH_TOKEN_INDEX,
+    KeyConditionExpression: 'pushToken = :pushToken',
+    ExpressionAttributeValues: {
+      ':pushToken': device.deviceToken
+    }
+  }).promise();
+
+  // The index is keys only, so the owner is read from each record
+  const others = [...new Set((result.Items || []).map(item => item.email))].filter(email => email !== device.email);
+  const records = await Promise.all(others.map(email => getDevice(email, device.deviceToken)));
+  return [device.email, ...others.filter((email, index) => records[index] && records[index].owner === device.owner)];
+}
+
+/**
+ * Sum the unread counts of a device's accounts
+ * @param {Object} device - Device record
+ * @param {Map<string, number>} counts - Counts already read, by email
+ * @returns {Promise<number|undefined>} The badge, or undefined when no account has a count
+ */
+async function getDeviceBadge(device, counts = new Map()) {
+  const accounts = await getDeviceAccounts(device);
+  const unreadCounts = await Promise.all(accounts.map(async account =>
+    (counts.has(account) ? counts.get(account) : (await getMailboxState(account)).unreadCount)
+  ));
+
+  const known = unreadCounts.filter(count => typeof count === 'number');
+  return known.length > 0 ? known.reduce((sum, count) => sum + count, 0) : undefined;
+}
+
+/**
+ * Work out the badge of each recipient that shows one
+ *
+ * Failures are logged and leave the badge out, so they never hold up delivery.
+ * @param {string} email - The mailbox being notified
+ * @param {Object[]} recipients - Device records
+ * @returns {Promise<Map<string, number>>} Badge by device token
+ */
+async function getRecipientBadges(email, recipients) {
+  const badges = new Map();
+  const devices = recipients.filter(showsBadge);
+  if (devices.length === 0) {
+    return badges;
+  }
+
+  const counts = new Map();
+  try {
+    counts.set(email, await refreshUnreadCount(email));
+  } catch (error) {
+    log.error('Unread count refresh failed', { email, error });
+  }
+
+  await Promise.all(devices.map(async (device) => {
+    try {
+      const badge = await getDeviceBadge({ ...device, email }, counts);
+      if (badge !== undefined) {
+        badges.set(device.deviceToken, badge);
+      }
+    } catch (error) {
+      log.error('Badge lookup failed', { deviceToken: device.deviceToken, error });
+    }
+  }));
+  return badges;
+}
+
+/**
+ * Mailbox Subscriptions
+ *
+ * Gmail watches and Graph subscriptions share one lifecycle: the server starts a mailbox's
+ * subscription when the credentials or the first device of its provider arrive, renews it
+ * from the scheduled (EventBridge) invocation before it expires and stops it once that
+ * provider's last device is unregistered. Each provider describes its subscription with:
+ * - provider: the provider of the devices it notifies; label: its name in logs
+ * - credentialsAttribute, expirationAttribute (epoch ms) and activeAttribute (set while it
+ *   runs): the mailbox record attributes it uses
+ * - renewalWindowMs: how long before expiry it is renewed
+ * - unavailable(): why subscriptions cannot be managed in this deployment, or null
+ * - start(email, mailbox) and stop(email, mailbox)
+ */
+function needsSubscriptionRenewal(subscription, mailbox) {
+  const expiration = mailbox[subscription.expirationAttribute];
+  return !expiration || expiration - clients.now().getTime() < subscription.renewalWindowMs;
+}
+
+async function hasProviderDevices(subscription, email) {
+  return (await getUserDevices(email)).some(device => deviceProvider(device) === subscription.provider);
+}
+
+/**
+ * Start the mailbox's subscription unless it is already active for longer than the renewal window
+ *
+ * Failures are logged rather than thrown so device and credential requests still succeed;
+ * the scheduled renewal retries them.
+ */
+async function ensureMailSubscription(subscription, email) {
+  if (subscription.unavailable()) {
+    return;
+  }
+
+  try {
+    const mailbox = await getMailboxState(email);
+    if (mailbox[subscription.credentialsAttribute] && needsSubscriptionRenewal(subscription, mailbox)) {
+      await subscription.start(email, mailbox);
+    }
+  } catch (error) {
+    log.error(`${subscription.label} update failed`, { email, error });
+  }
+}
+
+// Stop the mailbox's subscription once no devices of its provider are left to notify
+async function releaseMailSubscription(subscription, email) {
+  try {
+    if (await hasProviderDevices(subscription, email)) {
+      return;
+    }
+
+    const mailbox = await getMailboxState(email);
+    if (mailbox[subscription.activeAttribute]) {
+      await subscription.stop(email, mailbox);
+    }
+  } catch (error) {
+    log.error(`${subscription.label} update failed`, { email, error });
+  }
+}
+
+// Mailboxes with the provider's credentials whose subscription is missing or expires within the renewal window
+async function getMailboxesDueForRenewal(subscription) {
+  const mailboxes = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await clients.dynamodb.scan({
+      TableName: DYNAMODB_TABLE_NAME,
+      FilterExpression: 'deviceToken = :mailbox AND attribute_exists(#credentials) AND ' +
+        '(attribute_not_exists(#expiration) OR #expiration < :renewBefore)',
+      ExpressionAttributeNames: {
+        '#credentials': subscription.credentialsAttribute,
+        '#expiration': subscription.expirationAttribute
+      },
+      ExpressionAttributeValues: {
+        ':mailbox': MAILBOX_RECORD_KEY,
+        ':renewBefore': clients.now().getTime() + subscription.renewalWindowMs
+      },
+      ExclusiveStartKey: exclusiveStartKey
+    }).promise();
+
+    mailboxes.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return mailboxes;
+}
+
+/**
+ * Renew every subscription of one provider nearing expiry (scheduled invocation)
+ *
+ * Mailboxes whose devices of that provider are all gone have their subscription stopped instead.
+ * @param {Object} subscription - GMAIL_WATCH or GRAPH_SUBSCRIPTION
+ * @returns {Promise<{renewed: number, stopped: number, failed: number}>}
+ */
+async function renewMailboxSubscriptions(subscription) {
+  const summary = { renewed: 0, stopped: 0, failed: 0 };
+
+  const unavailable = subscription.unavailable();
+  if (unavailable) {
+    log.info(`${unavailable}; skipping ${subscription.label} renewal`);
+    return summary;
+  }
+
+  const mailboxes = await getMailboxesDueForRenewal(subscription);
+
+  for (const mailbox of mailboxes) {
+    try {
+      if (await hasProviderDevices(subscription, mailbox.email)) {
+        await subscription.start(mailbox.email, mailbox);
+        summary.renewed++;
+      } else if (mailbox[subscription.activeAttribute]) {
+        await subscription.stop(mailbox.email, mailbox);
+        summary.stopped++;
+      }
+    } catch (error) {
+      log.error(`${subscription.label} update failed`, { email: mailbox.email, error });
+      summary.failed++;
+    }
+  }
+
+  log.info(`${subscription.label} renewal finished`, summary);
+  return summary;
+}
+
+/**
+ * Gmail Watch Lifecycle
+ *
+ * Gmail only publishes a mailbox's changes to Pub/Sub while a users.watch() registration
+ * is active, and registrations expire after 7 days. For mailboxes with stored Gmail
+ * credentials the server owns the watch: it is started when the first device or the
+ * credentials arrive, renewed by the scheduled (EventBridge) invocation before it expires,
+ * and stopped with users.stop() once the last device is unregistered. The watch
+ * `expiration` and `historyId` are kept on the mailbox record as watchExpiration (epoch
+ * milliseconds) and watchHistoryId.
+ */
+// Watches expiring within this window are renewed; the schedule must run more often than this
+const GMAIL_WATCH_RENEWAL_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+async function startGmailWatch(email, mailbox) {
+  const accessToken = await getGmailAccessToken(email, mailbox);
+  const watch = await clients.gmail.watch(accessToken, {
+    topicName: GMAIL_PUBSUB_TOPIC,
+    labelIds: ['INBOX'],
+    labelFilterBehavior: 'include'
+  });
+
+  await updateMailboxState(email, {
+    watchExpiration: Number(watch.expiration),
+    watchHistoryId: String(watch.historyId)
+  });
+  log.info('Gmail watch active', { email, expiration: new Date(Number(watch.expiration)).toISOString() });
+}
+
+async function stopGmailWatch(email, mailbox) {
+  if (mailbox.gmailRefreshToken) {
+    const accessToken = await getGmailAccessToken(email, mailbox);
+    await clients.gmail.stop(accessToken);
+  }
+
+  await updateMailboxState(email, { watchExpiration: undefined, watchHistoryId: undefined });
+  log.info('Gmail watch stopped', { email });
+}
+
+const GMAIL_WATCH = {
+  provider: 'gmail',
+  label: 'Gmail watch',
+  credentialsAttribute: 'gmailRefreshToken',
+  expirationAttribute: 'watchExpiration',
+  activeAttribute: 'watchExpiration',
+  renewalWindowMs: GMAIL_WATCH_RENEWAL_WINDOW_MS,
+  unavailable: () => (GMAIL_PUBSUB_TOPIC ? null : 'GMAIL_PUBSUB_TOPIC is not configured'),
+  start: startGmailWatch,
+  stop: stopGmailWatch
+};
+
+
+/**
+ * Microsoft Graph (Outlook.com / Microsoft 365)
+ *
+ * Outlook mailboxes are watched through Graph change notifications instead of Pub/Sub.
+ * POST /graph-credentials exchanges a Microsoft refresh token (granted Mail.Read and
+ * offline_access) for a session: the server redeems it, reads the account's address from
+ * /me and stores the token KMS-encrypted on that mailbox record. While the mailbox has
+ * Outlook devices the server owns a subscription to new Inbox messages, posting to
+ * GRAPH_NOTIFICATION_URL (the public URL of /graph-notification). Subscriptions expire
+ * within days, so they are renewed by the scheduled invocation like Gmail watches.
+ *
+ * Each subscription gets a random clientState. It is stored with the subscription's
+ * account under the sort key '#graph-subscription' and must come back with every
+ * notification. Every Graph HTTP call goes through `clients.graph`.
+ *
+ * Graph expects an answer within about three seconds, so notifications are always delivered
+ * from a queue: FANOUT_QUEUE_URL, or COALESCE_QUEUE_URL when AsyncFanout is off. Without
+ * either, no subscriptions are created or renewed.
+ */
+const GRAPH_QUEUE_URL = FANOUT_QUEUE_URL || COALESCE_QUEUE_URL;
+const GRAPH_SCOPES = 'offline_access User.Read Mail.Read';
+const GRAPH_MESSAGE_RESOURCE = "me/mailFolders('Inbox')/messages";
+const GRAPH_SUBSCRIPTION_LIFETIME_MS = 3 * 24 * 60 * 60 * 1000;
+// Subscriptions expiring within this window are renewed; the schedule must run more often than this
+const GRAPH_SUBSCRIPTION_RENEWAL_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+const GRAPH_SUBSCRIPTION_RECORD_KEY = '#graph-subscription';
+
+// Cache for the OAuth client used to redeem Microsoft refresh tokens
+let graphOAuthCredentialsCache = null;
+
+// Access tokens by email: { accessToken, expiresAt }
+const graphAccessTokens = new Map();
+
+/**
+ * Error returned by the Microsoft identity platform or the Graph API
+ */
+class GraphApiError extends Error {
+  constructor(statusCode, reason) {
+    super(`Graph API request failed: ${statusCode} ${reason}`);
+    this.name = 'GraphApiError';
+    this.statusCode = statusCode;
+    this.reason = reason;
+  }
+}
+
+async function getGraphOAuthCredentials() {
+  if (graphOAuthCredentialsCache) {
+    return graphOAuthCredentialsCache;
+  }
+
+  if (!GRAPH_OAUTH_SECRET_NAME) {
+    throw new Error('Missing required Graph environment variable: GRAPH_OAUTH_SECRET_NAME');
+  }
+
+  const response = await clients.secretsManager.getSecretValue({ SecretId: GRAPH_OAUTH_SECRET_NAME }).promise();
+  graphOAuthCredentialsCache = JSON.parse(response.SecretString);
+  return graphOAuthCredentialsCache;
+}
+
+/**
+ * Create the HTTP client for the Microsoft identity platform token endpoint and Graph
+ * @returns {Object} Client with refreshAccessToken, getProfile, createSubscription,
+ *   renewSubscription and deleteSubscription
+ */
+function createGraphClient() {
+  async function request(accessToken, method, path, body) {
+    const response = await httpRequest(`${GRAPH_API_BASE_URL}/${path}`, {
+      method: method,
+      headers: { authorization: `Bearer ${accessToken}` },
+      body: body
+    });
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      const error = response.body && response.body.error;
+      throw new GraphApiError(response.statusCode, (error && error.code) || 'Unknown');
+    }
+    return response.body;
+  }
+
+  return {
+    async refreshAccessToken(refreshToken) {
+      const { client_id: clientId, client_secret: clientSecret } = await getGraphOAuthCredentials();
+      const { statusCode, body } = await httpRequest(GRAPH_TOKEN_URI, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken,
+          client_id: clientId,
+          // Public (mobile) client registrations have no secret
+          ...(clientSecret ? { client_secret: clientSecret } : {}),
+          scope: GRAPH_SCOPES
+        }).toString()
+      });
+
+      if (statusCode !== 200) {
+        throw new GraphApiError(statusCode, body.error || 'Unknown');
+      }
+      // The identity platform rotates refresh tokens on redemption
+      return { accessToken: body.access_token, expiresIn: body.expires_in, refreshToken: body.refresh_token };
+    },
+
+    getProfile(accessToken) {
+      return request(accessToken, 'GET', 'me?$select=userPrincipalName');
+    },
+
+    createSubscription(accessToken, params) {
+      return request(accessToken, 'POST', 'subscriptions', params);
+    },
+
+    renewSubscription(accessToken, id, params) {
+      return request(accessToken, 'PATCH', `subscriptions/${encodeURIComponent(id)}`, params);
+    },
+
+    async deleteSubscription(accessToken, id) {
+      await request(accessToken, 'DELETE', `subscriptions/${encodeURIComponent(id)}`);
+    }
+  };
+}
+
+/**
+ * Redeem a Microsoft refresh token, keeping the rotated refresh token when the mailbox is known
+ * @param {string} refreshToken
+ * @param {string} [email] - Mailbox the token is stored for
+ * @returns {Promise<{accessToken: string, expiresIn: number, refreshToken: string}>}
+ */
+async function redeemGraphRefreshToken(refreshToken, email) {
+  const token = await clients.graph.refreshAccessToken(refreshToken);
+
+  if (email) {
+    graphAccessTokens.set(email, {
+      accessToken: token.accessToken,
+      expiresAt: Date.now() + (token.expiresIn || 3600) * 1000
+    });
+    if (token.refreshToken && token.refreshToken !== refreshToken) {
+      await updateMailboxState(email, { graphRefreshToken: await encryptRefreshToken(email, token.refreshToken) });
+    }
+  }
+  return token;
+}
+
+/**
+ * Get a Graph access token for a mailbox, refreshing it when needed
+ *
+ * A refresh token the identity platform reports as revoked (invalid_grant) is removed from
+ * the mailbox record so the scheduled renewal stops trying it.
+ */
+async function getGraphAccessToken(email, mailbox) {
+  const cached = graphAccessTokens.get(email);
+  if (cached && cached.expiresAt > Date.now() + 60 * 1000) {
+    return cached.accessToken;
+  }
+
+  const refreshToken = await decryptRefreshToken(email, mailbox.graphRefreshToken);
+
+  try {
+    return (await redeemGraphRefreshToken(refreshToken, email)).accessToken;
+  } catch (error) {
+    if (error.reason === 'invalid_grant') {
+      log.warn('Microsoft credentials were revoked; removing them', { email });
+      await updateMailboxState(email, { graphRefreshToken: undefined });
+    }
+    throw error;
+  }
+}
+
+function graphSubscriptionKey(subscriptionId) {
+  return {
+    email: `#graph:${subscriptionId}`,
+    deviceToken: GRAPH_SUBSCRIPTION_RECORD_KEY
+  };
+}
+
+/**
+ * Look up the account and clientState of a Graph subscription
+ * @param {string} subscriptionId
+ * @returns {Promise<Object|null>} `{ account, clientState }`, or null for unknown subscriptions
+ */
+async function getGraphSubscription(subscriptionId) {
+  const result = await clients.dynamodb.get({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: graphSubscriptionKey(subscriptionId)
+  }).promise();
+  return result.Item || null;
+}
+
+async function deleteGraphSubscriptionRecord(subscriptionId) {
+  await clients.dynamodb.delete({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: graphSubscriptionKey(subscriptionId)
+  }).promise();
+}
+
+async function createGraphSubscription(email, accessToken) {
+  const clientState = crypto.randomBytes(32).toString('base64url');
+  const subscription = await clients.graph.createSubscription(accessToken, {
+    changeType: 'created',
+    notificationUrl: GRAPH_NOTIFICATION_URL,
+    lifecycleNotificationUrl: GRAPH_NOTIFICATION_URL,
+    resource: GRAPH_MESSAGE_RESOURCE,
+    expirationDateTime: new Date(clients.now().getTime() + GRAPH_SUBSCRIPTION_LIFETIME_MS).toISOString(),
+    clientState: clientState
+  });
+
+  await clients.dynamodb.put({
+    TableName: DYNAMODB_TABLE_NAME,
+    Item: {
+      ...graphSubscriptionKey(subscription.id),
+      account: email,
+      clientState: clientState,
+      createdAt: new Date().toISOString()
+    }
+  }).promise();
+  return subscription;
+}
+
+/**
+ * Renew the mailbox's subscription, or create one when it has none or Graph has dropped it
+ */
+async function startGraphSubscription(email, mailbox) {
+  const accessToken = await getGraphAccessToken(email, mailbox);
+  let subscription = null;
+
+  if (mailbox.graphSubscriptionId) {
+    try {
+      subscription = await clients.graph.renewSubscription(accessToken, mailbox.graphSubscriptionId, {
+        expirationDateTime: new Date(clients.now().getTime() + GRAPH_SUBSCRIPTION_LIFETIME_MS).toISOString()
+      });
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      await deleteGraphSubscriptionRecord(mailbox.graphSubscriptionId);
+    }
+  }
+  if (!subscription) {
+    subscription = await createGraphSubscription(email, accessToken);
+  }
+
+  await updateMailboxState(email, {
+    graphSubscriptionId: subscription.id,
+    graphSubscriptionExpiration: Date.parse(subscription.expirationDateTime)
+  });
+  log.info('Graph subscription active', { email, expiration: subscription.expirationDateTime });
+}
+
+async function stopGraphSubscription(email, mailbox) {
+  if (mailbox.graphRefreshToken) {
+    const accessToken = await getGraphAccessToken(email, mailbox);
+    await clients.graph.deleteSubscription(accessToken, mailbox.graphSubscriptionId).catch((error) => {
+      // Already expired or removed by Graph
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    });
+  }
+
+  await deleteGraphSubscriptionRecord(mailbox.graphSubscriptionId);
+  await updateMailboxState(email, { graphSubscriptionId: undefined, graphSubscriptionExpiration: undefined });
+  log.info('Graph subscription stopped', { email });
+}
+
+const GRAPH_SUBSCRIPTION = {
+  provider: 'outlook',
+  label: 'Graph subscription',
+  credentialsAttribute: 'graphRefreshToken',
+  expirationAttribute: 'graphSubscriptionExpiration',
+  activeAttribute: 'graphSubscriptionId',
+  renewalWindowMs: GRAPH_SUBSCRIPTION_RENEWAL_WINDOW_MS,
+  unavailable: () => {
+    if (!GRAPH_NOTIFICATION_URL) {
+      return 'GRAPH_NOTIFICATION_URL is not configured';
+    }
+    return GRAPH_QUEUE_URL ? null : 'No queue is configured for Graph notifications';
+  },
+  start: startGraphSubscription,
+  stop: stopGraphSubscription
+};
+
+
+// Subscriptions by the provider of the devices they notify
+const MAIL_SUBSCRIPTIONS = { gmail: GMAIL_WATCH, outlook: GRAPH_SUBSCRIPTION };
+
+// Stop every subscription of the mailbox whose provider has no devices left
+async function releaseMailSubscriptions(email) {
+  for (const subscription of Object.values(MAIL_SUBSCRIPTIONS)) {
+    await releaseMailSubscription(subscription, email);
+  }
+}
+
+// Renew Gmail watches and Graph subscriptions (scheduled invocation); counts are summed
+async function renewMailSubscriptions() {
+  const total = { renewed: 0, stopped: 0, failed: 0 };
+
+  for (const subscription of Object.values(MAIL_SUBSCRIPTIONS)) {
+    const summary = await renewMailboxSubscriptions(subscription);
+    total.renewed += summary.renewed;
+    total.stopped += summary.stopped;
+    total.failed += summary.failed;
+  }
+  return total;
+}
+
+/**
+ * Notification Preferences
+ *
+ * Stored per mailbox (sort key '#preferences') and optionally per device
+ * ('#preferences:<deviceToken>'); device preferences override mailbox ones field by field.
+ * - timezone: IANA zone quiet hours are evaluated in (default UTC)
+ * - quietHours: windows `{ start: 'HH:MM', end: 'HH:MM', days?: ['mon', ...] }`; a window
+ *   may cross midnight, in which case `days` names the day it starts on
+ * - quietHoursAction: 'suppress' (default) skips the push, 'silent' downgrades it to a silent push
+ * - muteUntil: ISO 8601 timestamp before which nothing is sent
+ * - labels / categories: only notify for messages carrying one of these Gmail labels or
+ *   inbox categories. Needs message metadata (see Gmail API Enrichment); without it the
+ *   filters cannot be evaluated and the push is sent.
+ */
+const PREFERENCES_RECORD_KEY = '#preferences';
+const QUIET_HOURS_ACTIONS = ['suppress', 'silent'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const INBOX_CATEGORIES = {
+  primary: 'CATEGORY_PERSONAL',
+  social: 'CATEGORY_SOCIAL',
+  promotions: 'CATEGORY_PROMOTIONS',
+  updates: 'CATEGORY_UPDATES',
+  forums: 'CATEGORY_FORUMS'
+};
+
+function preferencesKey(deviceToken) {
+  return deviceToken ? `${PREFERENCES_RECORD_KEY}:${deviceToken}` : PREFERENCES_RECORD_KEY;
+}
+
+/**
+ * Load the mailbox and per-device preferences of an email
+ * @returns {Promise<{mailbox: Object, devices: Map<string, Object>}>}
+ */
+async function getNotificationPreferences(email) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    KeyConditionExpression: 'email = :email AND begins_with(deviceToken, :prefix)',
+    ExpressionAttributeValues: {
+      ':email': email,
+      ':prefix': PREFERENCES_RECORD_KEY
+    }
+  };
+
+  const result = await clients.dynamodb.query(params).promise();
+  const preferences = { mailbox: {}, devices: new Map() };
+
+  (result.Items || []).forEach((item) => {
+    if (item.deviceToken === PREFERENCES_RECORD_KEY) {
+      preferences.mailbox = item.preferences || {};
+    } else {
+      preferences.devices.set(item.deviceToken.slice(PREFERENCES_RECORD_KEY.length + 1), item.preferences || {});
+    }
+  });
+  return preferences;
+}
+
+async function getPreferencesRecord(email, deviceToken) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: {
+      email: email,
+      deviceToken: preferencesKey(deviceToken)
+    }
+  };
+
+  const result = await clients.dynamodb.get(params).promise();
+  return (result.Item && result.Item.preferences) || {};
+}
+
+async function putPreferencesRecord(email, deviceToken, preferences) {
+  const params = {
+    TableName: DYNAMODB_TABLE_NAME,
+    Item: {
+      email: email,
+      deviceToken: preferencesKey(deviceToken),
+      preferences: preferences,
+      updatedAt: new Date().toISOString()
+    }
+  };
+
+  await clients.dynamodb.put(params).promise();
+}
+
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Schema of a preferences document (see Request Validation)
+const PREFERENCES_SCHEMA = {
+  timezone: { type: 'string', maxLength: 64, format: 'timeZone' },
+  quietHours: {
+    type: 'array',
+    maxLength: 14,
+    items: {
+      type: 'object',
+      properties: {
+        start: { type: 'string', required: true, format: 'time' },
+        end: { type: 'string', required: true, format: 'time' },
+        days: { type: 'array', maxLength: WEEKDAYS.length, items: { type: 'string', enum: WEEKDAYS } }
+      }
+    }
+  },
+  quietHoursAction: { type: 'string', enum: QUIET_HOURS_ACTIONS },
+  muteUntil: { type: 'string', nullable: true, maxLength: 64, format: 'timestamp' },
+  labels: { type: 'array', maxLength: 100, items: { type: 'string', maxLength: 225, format: 'nonBlank' } },
+  categories: { type: 'array', maxLength: Object.keys(INBOX_CATEGORIES).length, items: { type: 'string', enum: Object.keys(INBOX_CATEGORIES) } }
+};
+
+// Local weekday and minutes since midnight of an instant in a time zone
+function localTime(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+  };
+}
+
+function isInQuietHours(preferences, now) {
+  const { day, minutes } = localTime(now, preferences.timezone || 'UTC');
+  const toMinutes = value => parseInt(value.slice(0, 2), 10) * 60 + parseInt(value.slice(3), 10);
+
+  return (preferences.quietHours || []).some((window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const startsOn = (startDay) => !window.days || window.days.includes(WEEKDAYS[(startDay + 7) % 7]);
+
+    if (start <= end) {
+      return minutes >= start && minutes < end && startsOn(day);
+    }
+    // Crosses midnight: either the evening part of today or the morning part of yesterday's window
+    return (minutes >= start && startsOn(day)) || (minutes < end && startsOn(day - 1));
+  });
+}
+
+function matchesMessageFilters(preferences, messages) {
+  const labels = [
+    ...(preferences.labels || []),
+    ...(preferences.categories || []).map(category => INBOX_CATEGORIES[category])
+  ];
+
+  if (labels.length === 0 || !messages) {
+    return true;
+  }
+  return messages.some(message => (message.labelIds || []).some(label => labels.includes(label)));
+}
+
+/**
+ * Decide how a device should be notified under its preferences
+ * @param {Object} preferences - Effective preferences for the device
+ * @param {Object} notification - Notification built by parseGmailMessage
+ * @param {Date} now - Current time
+ * @returns {{action: string, reason: string}} action is 'send', 'silent' or 'skip'
+ */
+function applyPreferences(preferences, notification, now) {
+  if (preferences.muteUntil && Date.parse(preferences.muteUntil) > now.getTime()) {
+    return { action: 'skip', reason: 'muted' };
+  }
+
+  if (!matchesMessageFilters(preferences, (notification.gmailData || {}).messages)) {
+    return { action: 'skip', reason: 'filtered' };
+  }
+
+  if (isInQuietHours(preferences, now)) {
+    return preferences.quietHoursAction === 'silent'
+      ? { action: 'silent', reason: 'quiet_hours' }
+      : { action: 'skip', reason: 'quiet_hours' };
+  }
+
+  return { action: 'send' };
+}
+
+/**
+ * Error carrying the HTTP status code it should be reported with
+ *
+ * Validation errors also carry a machine-readable `code` and the offending `field`.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, { code, field } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Build a JSON response; the router adds CORS headers
+ * @param {number} statusCode
+ * @param {Object} body - Serialized as JSON
+ * @param {Object} headers - Extra headers
+ */
+function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode: statusCode,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+// Response of a failed request: HttpErrors keep their status, message and code; anything else is a 500
+function errorResponse(error) {
+  if (error instanceof HttpError) {
+    return jsonResponse(error.statusCode, { error: error.message, code: error.code, field: error.field });
+  }
+  return jsonResponse(500, { error: 'Internal server error', code: 'internal_error' });
+}
+
+/**
+ * Request Validation
+ *
+ * JSON bodies are checked against small declarative schemas before a handler acts on them:
+ * - 415 `unsupported_media_type` when the Content-Type is not JSON
+ * - 400 `missing_body`, `invalid_json` or `invalid_body` when the body is not a JSON object
+ * - 422 `missing_field`, `unknown_field`, `invalid_type`, `invalid_format`, `invalid_value`
+ *   or `too_long` when the object does not match the schema; `field` names the offending
+ *   field as a path (e.g. `subscription.keys.auth`)
+ *
+ * A schema maps field names to rules: `type` (string, number, integer, boolean, object,
+ * array), `required`, `nullable`, `maxLength`, `maxBytes` (UTF-8 length of a string),
+ * `format` (a key of FIELD_FORMATS), `enum`, `properties` for nested objects and `items`
+ * for array elements.
+ */
+const FIELD_FORMATS = {
+  email: {
+    description: 'an email address',
+    test: value => value.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+  },
+  apnsToken: {
+    description: 'an APNs device token (64 hexadecimal characters)',
+    test: value => /^[0-9a-f]{64}$/i.test(value)
+  },
+  fcmToken: {
+    description: 'an FCM registration token',
+    test: value => /^[A-Za-z0-9_:-]+$/.test(value)
+  },
+  installationId: {
+    description: 'a random installation ID (22 to 128 base64url characters)',
+    test: value => /^[A-Za-z0-9_-]{22,128}$/.test(value)
+  },
+  pushServiceUrl: {
+    description: 'an https URL of a browser push service',
+    test: (value) => {
+      try {
+        return new URL(value).protocol === 'https:' && isPushServiceEndpoint(value);
+      } catch (error) {
+        return false;
+      }
+    }
+  },
+  // Uncompressed P-256 public key and 16-byte auth secret of a PushSubscription (RFC 8291)
+  p256dhKey: {
+    description: 'a base64url P-256 public key',
+    test: value => /^[A-Za-z0-9+/_-]+={0,2}$/.test(value) && Buffer.from(value, 'base64').length === 65 &&
+      Buffer.from(value, 'base64')[0] === 0x04
+  },
+  authSecret: {
+    description: 'a base64url 16-byte secret',
+    test: value => /^[A-Za-z0-9+/_-]+={0,2}$/.test(value) && Buffer.from(value, 'base64').length === 16
+  },
+  base64: {
+    description: 'base64',
+    test: value => /^[A-Za-z0-9+/_-]*={0,2}$/.test(value)
+  },
+  bundleId: {
+    description: 'a bundle identifier',
+    test: value => /^[A-Za-z0-9.-]+$/.test(value)
+  },
+  nonBlank: {
+    description: 'a non-empty string',
+    test: value => value.trim().length > 0
+  },
+  timeZone: {
+    description: 'an IANA time zone',
+    test: value => isValidTimeZone(value)
+  },
+  time: {
+    description: 'a time of day (HH:MM)',
+    test: value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+  },
+  timestamp: {
+    description: 'an ISO 8601 timestamp',
+    test: value => !isNaN(Date.parse(value))
+  }
+};
+
+const TYPE_DESCRIPTIONS = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'a list'
+};
+
+// Rules shared by several routes
+// Device tokens are the table's sort key and the pushToken-index key, which DynamoDB caps at 1024 bytes
+const MAX_DEVICE_TOKEN_BYTES = 1024;
+const EMAIL_RULE = { type: 'string', required: true, format: 'email' };
+const DEVICE_TOKEN_RULE = { type: 'string', maxBytes: MAX_DEVICE_TOKEN_BYTES, format: 'nonBlank' };
+
+// Mailbox addresses are keys and are compared with session subjects, so keep one spelling
+function normalizeEmail(email) {
+  return email.toLowerCase();
+}
+
+function validationError(code, field, message) {
+  return new HttpError(422, message, { code, field });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasType(type, value) {
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function checkValue(rule, value, field) {
+  if (value === null && rule.nullable) {
+    return;
+  }
+  if (!hasType(rule.type, value)) {
+    throw validationError('invalid_type', field, `${field} must be ${TYPE_DESCRIPTIONS[rule.type]}`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    throw validationError('too_long', field, `${field} must be at most ${rule.maxLength} ${rule.type === 'array' ? 'items' : 'characters'}`);
+  }
+  if (rule.maxBytes !== undefined && Buffer.byteLength(value) > rule.maxBytes) {
+    throw validationError('too_long', field, `${field} must be at most ${rule.maxBytes} bytes`);
+  }
+  if (rule.format && !FIELD_FORMATS[rule.format].test(value)) {
+    throw validationError('invalid_format', field, `${field} must be ${FIELD_FORMATS[rule.format].description}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    throw validationError('invalid_value', field, `${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.properties) {
+    checkObject(rule.properties, value, field);
+  }
+  if (rule.items) {
+    value.forEach((item, index) => checkValue(rule.items, item, `${field}[${index}]`));
+  }
+}
+
+/**
+ * Check an object against a schema
+ * @param {Object} schema - Rules by field name
+ * @param {Object} value - The object to check
+ * @param {string} prefix - Path of the object, prepended to field names in errors
+ * @throws {HttpError} 422 describing the first invalid field
+ */
+function checkObject(schema, value, prefix = '') {
+  const path = field => (prefix ? `${prefix}.${field}` : field);
+
+  const unknown = Object.keys(value).find(field => !Object.prototype.hasOwnProperty.call(schema, field));
+  if (unknown !== undefined) {
+    throw validationError('unknown_field', path(unknown), `Unknown field: ${path(unknown)}`);
+  }
+
+  Object.keys(schema).forEach((field) => {
+    if (value[field] === undefined) {
+      if (schema[field].required) {
+        throw validationError('missing_field', path(field), `${path(field)} is required`);
+      }
+      return;
+    }
+    checkValue(schema[field], value[field], path(field));
+  });
+}
+
+/**
+ * Parse a JSON request body and check it against a schema
+ * @param {Object} event - Function URL event
+ * @param {Object|Function} schema - Rules by field name, or a function choosing them from the parsed body
+ * @returns {Object} The parsed body
+ * @throws {HttpError} 415, 400 or 422 with a machine-readable code
+ */
+function parseJsonBody(event, schema) {
+  const headers = event.headers || {};
+  const contentType = headers['content-type'] || headers['Content-Type'];
+  if (contentType && !/^application\/([\w.-]+\+)?json\s*(;|$)/i.test(contentType)) {
+    throw new HttpError(415, 'Content-Type must be application/json', { code: 'unsupported_media_type' });
+  }
+
+  if (event.body === undefined || event.body === null || event.body === '') {
+    throw new HttpError(400, 'Request body is required', { code: 'missing_body' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf-8') : event.body);
+  } catch (error) {
+    throw new HttpError(400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (!isPlainObject(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object', { code: 'invalid_body' });
+  }
+
+  checkObject(typeof schema === 'function' ? schema(body) : schema, body);
+  return body;
+}
+
+/**
+ * Google OIDC Token Verification
+ *
+ * Pub/Sub push subscriptions configured with an authentication service account attach
+ * a Google-signed OIDC token as `Authorization: Bearer <jwt>`. The token is verified
+ * against Google's JWKS (cached per Cache-Control, or supplied locally via GOOGLE_JWKS)
+ * and its `aud`, `iss`, `email` and expiry claims are checked.
+ */
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+// Cache for Google's signing keys: { keys: Map<kid, KeyObject>, expiresAt: number }
+let googleJwksCache = null;
+
+function parseJwks(jwks) {
+  const keys = new Map();
+  (jwks.keys || []).forEach((jwk) => {
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  });
+  return keys;
+}
+
+/**
+ * Retrieve Google's OIDC signing keys
+ * @param {boolean} forceRefresh - Bypass the cache (used when a token names an unknown key)
+ * @returns {Promise<Map<string, crypto.KeyObject>>} Public keys indexed by key ID
+ */
+async function getGoogleSigningKeys(forceRefresh = false) {
+  if (GOOGLE_JWKS) {
+    if (!googleJwksCache) {
+      googleJwksCache = { keys: parseJwks(JSON.parse(GOOGLE_JWKS)), expiresAt: Infinity };
+    }
+    return googleJwksCache.keys;
+  }
+
+  if (googleJwksCache && !forceRefresh && googleJwksCache.expiresAt > Date.now()) {
+    return googleJwksCache.keys;
+  }
+
+  const { statusCode, body, headers } = await httpRequest(GOOGLE_JWKS_URI);
+  if (statusCode !== 200) {
+    throw new Error(`Failed to fetch Google signing keys: ${statusCode}`);
+  }
+  const maxAge = /max-age=(\d+)/.exec(headers['cache-control'] || '');
+
+  googleJwksCache = {
+    keys: parseJwks(body),
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1], 10) : 3600) * 1000
+  };
+  return googleJwksCache.keys;
+}
+
+function getBearerToken(event) {
+  const headers = event.headers || {};
+  const authorization = headers.authorization || headers.Authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+  return match ? match[1] : null;
+}
+
+/**
+ * Verify a Google-signed OIDC token
+ * @param {string} token - The raw JWT
+ * @param {string|string[]} audience - Expected `aud` claim (any of, when an array)
+ * @returns {Promise<Object>} The verified claims
+ * @throws {HttpError} 401 when the token is malformed, unsigned by Google, expired or for another audience
+ */
+async function verifyGoogleIdToken(token, audience) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new HttpError(401, 'Malformed bearer token');
+  }
+
+  let keys = await getGoogleSigningKeys();
+  if (!keys.has(decoded.header.kid)) {
+    keys = await getGoogleSigningKeys(true);
+  }
+
+  const key = keys.get(decoded.header.kid);
+  if (!key) {
+    throw new HttpError(401, 'Bearer token signed with unknown key');
+  }
+
+  try {
+    return jwt.verify(token, key, {
+      algorithms: ['RS256'],
+      audience: audience,
+      issuer: GOOGLE_ISSUERS
+    });
+  } catch (error) {
+    throw new HttpError(401, `Invalid bearer token: ${error.message}`);
+  }
+}
+
+/**
+ * Authenticate a Pub/Sub push request
+ *
+ * The expected audience defaults to the push endpoint URL (Pub/Sub's default) and can be
+ * overridden with PUBSUB_AUDIENCE. The token must belong to PUBSUB_SERVICE_ACCOUNT.
+ * @param {Object} event - Function URL event
+ * @returns {Promise<Object>} The verified claims
+ */
+async function verifyPubSubRequest(event) {
+  if (!PUBSUB_SERVICE_ACCOUNT) {
+    throw new Error('Missing required Pub/Sub environment variable: PUBSUB_SERVICE_ACCOUNT');
+  }
+
+  const token = getBearerToken(event);
+  if (!token) {
+    throw new HttpError(401, 'Missing bearer token');
+  }
+
+  const audience = PUBSUB_AUDIENCE || `https://${event.requestContext.domainName}${event.rawPath || event.requestContext.http.path}`;
+  const claims = await verifyGoogleIdToken(token, audience);
+
+  if (claims.email !== PUBSUB_SERVICE_ACCOUNT || claims.email_verified !== true) {
+    throw new HttpError(403, 'Bearer token is not from the Pub/Sub service account');
+  }
+
+  return claims;
+}
+
+/**
+ * Check the envelope's subscription against PUBSUB_ALLOWED_SUBSCRIPTIONS
+ *
+ * Entries may be full resource names (projects/p/subscriptions/s) or bare subscription names.
+ * An empty allow-list accepts any subscription.
+ */
+function verifyPubSubSubscription(subscription) {
+  const allowed = (PUBSUB_ALLOWED_SUBSCRIPTIONS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (allowed.length === 0) {
+    return;
+  }
+
+  const shortName = (subscription || '').split('/').pop();
+  if (!subscription || !(allowed.includes(subscription) || allowed.includes(shortName))) {
+    throw new HttpError(403, `Subscription not allowed: ${subscription || '(none)'}`);
+  }
+}
+
+/**
+ * User Authentication for Device Management
+ *
+ * Device endpoints require proof that the caller owns the mailbox. Callers present either:
+ * - A Google ID token (RS256) issued to one of GOOGLE_CLIENT_IDS, whose verified `email` claim
+ *   must match the email in the request body
+ * - A session token (HS256) minted by POST /session after such a verification, or by
+ *   POST /graph-credentials for a Microsoft account, signed with the secret stored under
+ *   SESSION_SECRET_NAME
+ *
+ * Sessions record who verified the address in their `prov` claim. Microsoft only vouches
+ * for the Outlook mailbox it serves, so Microsoft sessions are limited to Outlook devices
+ * and settings; Google-verified callers may manage every provider of their address.
+ */
+const SESSION_ISSUER = 'mailreader-server';
+const SESSION_AUDIENCE = 'mailreader-session';
+const IDENTITY_PROVIDERS = ['google', 'microsoft'];
+
+// Cache for the session signing secret to avoid repeated Secrets Manager calls
+let sessionSecretCache = null;
+
+async function getSessionSecret() {
+  if (sessionSecretCache) {
+    return sessionSecretCache;
+  }
+
+  if (!SESSION_SECRET_NAME) {
+    throw new Error('Missing required session environment variable: SESSION_SECRET_NAME');
+  }
+
+  try {
+    const response = await clients.secretsManager.getSecretValue({ SecretId: SESSION_SECRET_NAME }).promise();
+    sessionSecretCache = response.SecretString || Buffer.from(response.SecretBinary, 'base64').toString('ascii');
+    return sessionSecretCache;
+  } catch (error) {
+    log.error('Failed to retrieve session secret from Secrets Manager', { error });
+    throw new Error('Unable to retrieve session secret');
+  }
+}
+
+/**
+ * Verify a Google ID token presented by the app and return the caller's email
+ * @param {string} token - The raw JWT
+ * @returns {Promise<string>} The verified, lower-cased email address
+ */
+async function verifyGoogleUserToken(token) {
+  const clientIds = (GOOGLE_CLIENT_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (clientIds.length === 0) {
+    throw new Error('Missing required authentication environment variable: GOOGLE_CLIENT_IDS');
+  }
+
+  const claims = await verifyGoogleIdToken(token, clientIds);
+  if (!claims.email || claims.email_verified !== true) {
+    throw new HttpError(401, 'Bearer token has no verified email');
+  }
+
+  return claims.email.toLowerCase();
+}
+
+/**
+ * Verify a server-issued session token and return the caller
+ * @param {string} token - The raw JWT
+ * @returns {Promise<{email: string, identityProvider: string}>} The email the session was minted for and who verified it
+ */
+async function verifySessionToken(token) {
+  const secret = await getSessionSecret();
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret, {
+      algorithms: ['HS256'],
+      audience: SESSION_AUDIENCE,
+      issuer: SESSION_ISSUER
+    });
+  } catch (error) {
+    throw new HttpError(401, `Invalid session token: ${error.message}`);
+  }
+
+  // Sessions minted before `prov` existed cannot tell Google from Microsoft verification
+  if (!IDENTITY_PROVIDERS.includes(claims.prov)) {
+    throw new HttpError(401, 'Invalid session token: sign in again');
+  }
+  return { email: claims.sub, identityProvider: claims.prov };
+}
+
+/**
+ * Authenticate the caller of a user-facing endpoint
+ * @param {Object} event - Function URL event
+ * @returns {Promise<{email: string, identityProvider: string}>} The caller's verified email
+ *   address and who verified it (`google` or `microsoft`)
+ * @throws {HttpError} 401 when the bearer token is missing or invalid
+ */
+async function authenticateUser(event) {
+  const token = getBearerToken(event);
+  if (!token) {
+    throw new HttpError(401, 'Missing bearer token');
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new HttpError(401, 'Malformed bearer token');
+  }
+
+  if (decoded.header.alg === 'HS256') {
+    return verifySessionToken(token);
+  }
+  return { email: await verifyGoogleUserToken(token), identityProvider: 'google' };
+}
+
+/**
+ * Ensure the authenticated caller owns the mailbox named in the request
+ * @param {Object} caller - Result of authenticateUser
+ * @param {string} email - The mailbox
+ * @param {string} [provider] - Mail provider the request acts on; omit for all of the mailbox
+ * @throws {HttpError} 403 when the emails differ or a Microsoft session reaches beyond Outlook
+ */
+function authorizeMailbox(caller, email, provider) {
+  if (caller.email !== email) {
+    throw new HttpError(403, 'Bearer token does not belong to this email');
+  }
+  if (caller.identityProvider === 'microsoft' && provider !== 'outlook') {
+    throw new HttpError(403, 'Microsoft sessions can only manage Outlook notifications');
+  }
+}
+
+/**
+ * Ensure the authenticated caller may manage a device of the mailbox
+ *
+ * For Microsoft sessions the device must be registered for Outlook; unknown devices are
+ * left to the operation, which finds nothing to change.
+ */
+async function authorizeDevice(caller, email, deviceToken) {
+  const device = caller.identityProvider === 'microsoft' ? await getDevice(email, deviceToken) : null;
+  authorizeMailbox(caller, email, device ? deviceProvider(device) : 'outlook');
+}
+
+/**
+ * Ensure the authenticated caller may change settings shared by every provider of the mailbox
+ *
+ * Microsoft sessions may only while the mailbox has no Gmail devices.
+ */
+async function authorizeMailboxSettings(caller, email) {
+  let provider;
+  if (caller.identityProvider === 'microsoft') {
+    const devices = await getUserDevices(email);
+    provider = devices.some(device => deviceProvider(device) !== 'outlook') ? DEFAULT_MAIL_PROVIDER : 'outlook';
+  }
+  authorizeMailbox(caller, email, provider);
+}
+
+/**
+ * Mint a session token for a caller whose address Google or Microsoft verified
+ * @param {string} email - The verified email address
+ * @param {string} identityProvider - `google` or `microsoft`
+ * @returns {Promise<Object>} The session token and its expiry
+ */
+async function createSession(email, identityProvider) {
+  const secret = await getSessionSecret();
+  const ttl = parseInt(SESSION_TTL_SECONDS, 10);
+  const now = Math.floor(Date.now() / 1000);
+
+  const sessionToken = jwt.sign({ sub: email, prov: identityProvider }, secret, {
+    algorithm: 'HS256',
+    audience: SESSION_AUDIENCE,
+    issuer: SESSION_ISSUER,
+    expiresIn: ttl
+  });
+
+  return {
+    sessionToken: sessionToken,
+    email: email,
+    expiresAt: new Date((now + ttl) * 1000).toISOString()
+  };
+}
+
+const DEVICE_OPERATIONS = { POST: 'register', PATCH: 'update', DELETE: 'unregister' };
+
+// Count device requests by operation, platform and outcome (success, rejected, error)
+function recordDeviceRequest(event, statusCode) {
+  const method = event.requestContext.http.method;
+  let platform;
+  try {
+    platform = JSON.parse(event.body).platform;
+  } catch (error) {
+    // Malformed bodies are already answered with an error
+  }
+  if (!PLATFORMS.includes(platform)) {
+    // Registrations default to iOS; updates and removals may omit the platform
+    platform = method === 'POST' ? DEFAULT_PLATFORM : 'unknown';
+  }
+
+  const outcome = statusCode < 400 ? 'success' : statusCode < 500 ? 'rejected' : 'error';
+  metrics.count('DeviceRequests', 1, {
+    Operation: DEVICE_OPERATIONS[method] || method,
+    Platform: platform,
+    Outcome: outcome
+  }, { statusCode });
+}
+
+// Handle device registration/unregistration requests
+async function handleDeviceRequest(event) {
+  const response = await processDeviceRequest(event);
+  recordDeviceRequest(event, response.statusCode);
+  return response;
+}
+
+async function processDeviceRequest(event) {
+  const method = event.requestContext.http.method;
+
+  try {
+    const caller = await authenticateUser(event);
+
+    const requestData = parseJsonBody(event, DEVICE_REQUEST_SCHEMA);
+    const { provider, mode, platform, subscription, name, appVersion, sandbox, apnsTopic, installationId } = requestData;
+    const email = normalizeEmail(requestData.email);
+
+    // Browsers register a PushSubscription; its endpoint identifies the device
+    const webSubscription = platform === 'web' && subscription ? subscription : null;
+    const deviceToken = webSubscription ? webSubscription.endpoint : requestData.deviceToken;
+
+    if (!deviceToken) {
+      throw validationError('missing_field', 'deviceToken', 'deviceToken is required');
+    }
+
+    if (method === 'POST') {
+      authorizeMailbox(caller, email, provider || DEFAULT_MAIL_PROVIDER);
+      validateRegistration(requestData);
+    } else {
+      await authorizeDevice(caller, email, deviceToken);
+    }
+    if (requestData.apnsEnvironment !== undefined && sandbox !== undefined && sandbox !== (requestData.apnsEnvironment === 'sandbox')) {
+      throw validationError('invalid_value', 'sandbox', 'sandbox contradicts apnsEnvironment');
+    }
+    // `sandbox` is shorthand for the APNs environment
+    const apnsEnvironment = requestData.apnsEnvironment !== undefined
+      ? requestData.apnsEnvironment
+      : sandbox === undefined ? undefined : (sandbox ? 'sandbox' : 'production');
+
+    const webPushKeys = platform === 'web' && method === 'POST'
+      ? { p256dh: webSubscription.keys.p256dh, auth: webSubscription.keys.auth }
+      : undefined;
+
+    let result;
+    if (method === 'POST') {
+      result = await registerDevice(email, deviceToken, { provider, mode, platform, webPushKeys, name, appVersion, apnsEnvironment, apnsTopic, installationId });
+      await ensureMailSubscription(MAIL_SUBSCRIPTIONS[provider || DEFAULT_MAIL_PROVIDER], email);
+    } else if (method === 'PATCH') {
+      const fields = {};
+      if (name !== undefined) fields.name = name;
+      if (appVersion !== undefined) fields.appVersion = appVersion;
+      if (mode !== undefined) fields.notificationMode = mode;
+      if (apnsEnvironment !== undefined) fields.apnsEnvironment = apnsEnvironment;
+      if (apnsTopic !== undefined) fields.apnsTopic = apnsTopic;
+
+      if (platform !== undefined) {
+        throw validationError('invalid_value', 'platform', 'The platform of a device cannot be changed');
+      }
+      if (provider !== undefined) {
+        throw validationError('invalid_value', 'provider', 'The provider of a device cannot be changed');
+      }
+      if (installationId !== undefined) {
+        throw validationError('invalid_value', 'installationId', 'The installation of a device cannot be changed');
+      }
+      if (Object.keys(fields).length === 0) {
+        throw new HttpError(422, 'Provide at least one of: name, appVersion, mode, apnsEnvironment, sandbox, apnsTopic', { code: 'missing_field' });
+      }
+      result = { success: true, device: describeDevice(await updateDevice(email, deviceToken, fields)) };
+    } else {
+      result = await unregisterDevice(email, deviceToken);
+      await releaseMailSubscriptions(email);
+    }
+
+    return jsonResponse(200, result);
+  } catch (error) {
+    log.error('Device request error', { error });
+    return errorResponse(error);
+  }
+}
+
+// Handle Gmail credential requests: store (POST) or remove (DELETE) a mailbox's refresh token
+async function handleGmailCredentialsRequest(event) {
+  const method = event.requestContext.http.method;
+
+  try {
+    const caller = await authenticateUser(event);
+    const { refreshToken, ...body } = parseJsonBody(event, method === 'POST'
+      ? { email: EMAIL_RULE, refreshToken: { type: 'string', required: true, maxLength: 2048, format: 'nonBlank' } }
+      : { email: EMAIL_RULE });
+    const email = normalizeEmail(body.email);
+
+    authorizeMailbox(caller, email, 'gmail');
+
+    gmailAccessTokens.delete(email);
+    if (method === 'POST') {
+      await updateMailboxState(email, { gmailRefreshToken: await encryptRefreshToken(email, refreshToken) });
+      if ((await getUserDevices(email)).length > 0) {
+        await ensureMailSubscription(GMAIL_WATCH, email);
+      }
+    } else {
+      // The watch can only be stopped while the credentials are still there
+      const mailbox = await getMailboxState(email);
+      if (mailbox.watchExpiration) {
+        await stopGmailWatch(email, mailbox).catch((error) => {
+          log.error('Gmail watch update failed', { email, error });
+        });
+      }
+      // The stored count would otherwise keep adding to the badge without ever being refreshed
+      await updateMailboxState(email, { gmailRefreshToken: undefined, unreadCount: undefined });
+      gmailAccessTokens.delete(email);
+    }
+
+    return jsonResponse(200, {
+      success: true,
+      message: method === 'POST' ? 'Gmail credentials stored successfully' : 'Gmail credentials removed successfully'
+    });
+  } catch (error) {
+    log.error('Gmail credentials request error', { error });
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Handle Microsoft credential requests
+ *
+ * POST needs no bearer token: redeeming the refresh token and reading /me proves the caller
+ * owns the account, so the response carries a session for its address (as POST /session
+ * does for Google ID tokens), limited to Outlook. The address is the user principal name,
+ * whose domain the account's tenant has verified (or the sign-in address of a personal
+ * account); `mail` is never used, as tenant administrators can set it to anything. Guest
+ * accounts, whose UPN is not an address of theirs, are rejected. DELETE removes the
+ * subscription and credentials of a mailbox.
+ */
+async function handleGraphCredentialsRequest(event) {
+  const method = event.requestContext.http.method;
+
+  try {
+    let email;
+    let session = {};
+
+    if (method === 'POST') {
+      const { refreshToken } = parseJsonBody(event, {
+        // KMS encrypts at most 4KB of plaintext
+        refreshToken: { type: 'string', required: true, maxLength: 4096, format: 'nonBlank' }
+      });
+
+      let token;
+      let profile;
+      try {
+        token = await redeemGraphRefreshToken(refreshToken);
+        profile = await clients.graph.getProfile(token.accessToken);
+      } catch (error) {
+        if (error.statusCode >= 400 && error.statusCode < 500) {
+          throw new HttpError(401, 'Microsoft rejected the refresh token');
+        }
+        throw error;
+      }
+
+      email = String(profile.userPrincipalName || '').toLowerCase();
+      if (!FIELD_FORMATS.email.test(email) || email.includes('#ext#')) {
+        throw new HttpError(422, 'The Microsoft account has no email address', { code: 'invalid_value' });
+      }
+
+      await updateMailboxState(email, { graphRefreshToken: await encryptRefreshToken(email, token.refreshToken || refreshToken) });
+      graphAccessTokens.set(email, {
+        accessToken: token.accessToken,
+        expiresAt: Date.now() + (token.expiresIn || 3600) * 1000
+      });
+      if ((await getUserDevices(email)).some(device => deviceProvider(device) === 'outlook')) {
+        await ensureMailSubscription(GRAPH_SUBSCRIPTION, email);
+      }
+      session = await createSession(email, 'microsoft');
+    } else {
+      const caller = await authenticateUser(event);
+      email = normalizeEmail(parseJsonBody(event, { email: EMAIL_RULE }).email);
+
+      authorizeMailbox(caller, email, 'outlook');
+
+      // The subscription can only be removed while the credentials are still there
+      const mailbox = await getMailboxState(email);
+      if (mailbox.graphSubscriptionId) {
+        await stopGraphSubscription(email, mailbox).catch((error) => {
+          log.error('Graph subscription update failed', { email, error });
+        });
+      }
+      await updateMailboxState(email, { graphRefreshToken: undefined });
+      graphAccessTokens.delete(email);
+    }
+
+    return jsonResponse(200, {
+      success: true,
+      message: method === 'POST' ? 'Microsoft credentials stored successfully' : 'Microsoft credentials removed successfully',
+      ...session
+    });
+  } catch (error) {
+    log.error('Graph credentials request error', { error });
+    return errorResponse(error);
+  }
+}
+
+// Handle heartbeats: the app reports it is still installed and signed in
+async function handleHeartbeatRequest(event) {
+  try {
+    const caller = await authenticateUser(event);
+    const { deviceToken, ...body } = parseJsonBody(event, {
+      email: EMAIL_RULE,
+      deviceToken: { ...DEVICE_TOKEN_RULE, required: true }
+    });
+    const email = normalizeEmail(body.email);
+
+    await authorizeDevice(caller, email, deviceToken);
+
+    const device = await touchDevice(email, deviceToken);
+
+    return jsonResponse(200, {
+      success: true,
+      lastActive: device.lastActive,
+      expiresAt: new Date(device.ttl * 1000).toISOString()
+    });
+  } catch (error) {
+    log.error('Heartbeat request error', { error });
+    return errorResponse(error);
+  }
+}
+
+const BADGE_REQUEST_SCHEMA = {
+  email: EMAIL_RULE,
+  deviceToken: { ...DEVICE_TOKEN_RULE, required: true },
+  // resync (default) reads every account of the device from Gmail; reset zeroes this account
+  action: { type: 'string', enum: BADGE_ACTIONS }
+};
+
+// Handle badge requests: the app resyncs or resets its badge after the user read mail
+async function handleBadgeRequest(event) {
+  try {
+    const caller = await authenticateUser(event);
+    const { deviceToken, action = 'resync', ...body } = parseJsonBody(event, BADGE_REQUEST_SCHEMA);
+    const email = normalizeEmail(body.email);
+
+    if (action === 'reset') {
+      // The stored count is the Gmail one
+      authorizeMailbox(caller, email, 'gmail');
+    } else {
+      await authorizeDevice(caller, email, deviceToken);
+    }
+
+    // 404 unless the device is registered for the mailbox
+    const device = await touchDevice(email, deviceToken);
+
+    const counts = new Map();
+    if (action === 'reset') {
+      await updateMailboxState(email, { unreadCount: 0 });
+      counts.set(email, 0);
+    } else {
+      const accounts = await getDeviceAccounts(device);
+      await Promise.all(accounts.map(async (account) => {
+        try {
+          counts.set(account, await refreshUnreadCount(account));
+        } catch (error) {
+          log.error('Unread count refresh failed', { email: account, error });
+        }
+      }));
+    }
+
+    const badge = (await getDeviceBadge(device, counts)) || 0;
+    log.info('Badge updated', { email, deviceToken, action, badge });
+
+    return jsonResponse(200, { success: true, badge: badge });
+  } catch (error) {
+    log.error('Badge request error', { error });
+    return errorResponse(error);
+  }
+}
+
+const MAX_DEVICE_NAME_LENGTH = 100;
+const MAX_APP_VERSION_LENGTH = 50;
+const MAX_APNS_TOPIC_LENGTH = 155;
+
+// Schema of /device requests; null clears an optional field on PATCH
+const DEVICE_REQUEST_SCHEMA = {
+  email: EMAIL_RULE,
+  deviceToken: DEVICE_TOKEN_RULE,
+  provider: { type: 'string', enum: MAIL_PROVIDERS },
+  platform: { type: 'string', enum: PLATFORMS },
+  mode: { type: 'string', enum: NOTIFICATION_MODES },
+  subscription: {
+    type: 'object',
+    properties: {
+      endpoint: { type: 'string', required: true, maxBytes: MAX_DEVICE_TOKEN_BYTES, format: 'pushServiceUrl' },
+      expirationTime: { type: 'number', nullable: true },
+      keys: {
+        type: 'object',
+        properties: {
+          p256dh: { type: 'string', required: true, maxLength: 128, format: 'p256dhKey' },
+          auth: { type: 'string', required: true, maxLength: 32, format: 'authSecret' }
+        }
+      }
+    }
+  },
+  name: { type: 'string', nullable: true, maxLength: MAX_DEVICE_NAME_LENGTH, format: 'nonBlank' },
+  appVersion: { type: 'string', nullable: true, maxLength: MAX_APP_VERSION_LENGTH, format: 'nonBlank' },
+  sandbox: { type: 'boolean' },
+  apnsEnvironment: { type: 'string', enum: APNS_ENVIRONMENTS },
+  apnsTopic: { type: 'string', nullable: true, maxLength: MAX_APNS_TOPIC_LENGTH, format: 'bundleId' },
+  // Links the accounts registered from one app installation; only sent at registration
+  installationId: { type: 'string', format: 'installationId' }
+};
+
+// A registration must carry a token in the shape its platform's provider issues
+function validateRegistration({ platform = DEFAULT_PLATFORM, deviceToken, subscription }) {
+  if (platform === 'web') {
+    if (!subscription) {
+      throw validationError('missing_field', 'subscription', 'Web devices register with a subscription');
+    }
+    if (!subscription.keys) {
+      throw validationError('missing_field', 'subscription.keys', 'subscription.keys is required');
+    }
+    return;
+  }
+
+  checkValue({ type: 'string', format: platform === 'ios' ? 'apnsToken' : 'fcmToken' }, deviceToken, 'deviceToken');
+}
+
+// Handle device collection requests: list devices (GET) or sign out everywhere (DELETE)
+async function handleDevicesRequest(event) {
+  const method = event.requestContext.http.method;
+
+  try {
+    const caller = await authenticateUser(event);
+
+    let email;
+    if (method === 'GET') {
+      email = normalizeEmail((event.queryStringParameters || {}).email || caller.email);
+    } else {
+      email = normalizeEmail(parseJsonBody(event, { email: EMAIL_RULE }).email);
+    }
+
+    // Microsoft sessions see and sign out only the Outlook devices
+    const provider = caller.identityProvider === 'microsoft' ? 'outlook' : undefined;
+    authorizeMailbox(caller, email, provider);
+
+    const devices = (await getUserDevices(email)).filter(device => !provider || deviceProvider(device) === provider);
+    let result;
+
+    if (method === 'GET') {
+      result = { email: email, devices: devices.map(describeDevice) };
+    } else {
+      await Promise.all(devices.map(device => unregisterDevice(email, device.deviceToken)));
+      await releaseMailSubscriptions(email);
+      log.info('Signed out all devices', { email, removed: devices.length });
+      result = { success: true, message: `${devices.length} devices unregistered`, removed: devices.length };
+    }
+
+    return jsonResponse(200, result);
+  } catch (error) {
+    log.error('Devices request error', { error });
+    return errorResponse(error);
+  }
+}
+
+const PREFERENCES_REQUEST_SCHEMA = {
+  email: EMAIL_RULE,
+  deviceToken: DEVICE_TOKEN_RULE,
+  preferences: { type: 'object', required: true, properties: PREFERENCES_SCHEMA }
+};
+
+// Handle preference requests: read (GET) or replace (PUT) mailbox or device preferences
+async function handlePreferencesRequest(event) {
+  const method = event.requestContext.http.method;
+
+  try {
+    const caller = await authenticateUser(event);
+
+    let email;
+    let deviceToken;
+    let preferences;
+    if (method === 'GET') {
+      const query = event.queryStringParameters || {};
+      email = query.email || caller.email;
+      deviceToken = query.deviceToken;
+    } else {
+      ({ email, deviceToken, preferences } = parseJsonBody(event, PREFERENCES_REQUEST_SCHEMA));
+    }
+    email = normalizeEmail(email);
+
+    if (deviceToken) {
+      await authorizeDevice(caller, email, deviceToken);
+    } else {
+      await authorizeMailboxSettings(caller, email);
+    }
+
+    if (method === 'PUT') {
+      await putPreferencesRecord(email, deviceToken, preferences);
+    } else {
+      preferences = await getPreferencesRecord(email, deviceToken);
+    }
+
+    return jsonResponse(200, {
+      email: email,
+      ...(deviceToken ? { deviceToken } : {}),
+      preferences: preferences
+    });
+  } catch (error) {
+    log.error('Preferences request error', { error });
+    return errorResponse(error);
+  }
+}
+
+// Handle Web Push key requests: browsers need the VAPID public key to subscribe
+async function handleWebPushKeyRequest() {
+  try {
+    const { publicKey } = await getVapidKeys();
+    return jsonResponse(200, { publicKey });
+  } catch (error) {
+    log.error('Web Push key request error', { error });
+    return errorResponse(error);
+  }
+}
+
+// Handle session requests: exchange a Google ID token for a session token
+async function handleSessionRequest(event) {
+  try {
+    const token = getBearerToken(event);
+    if (!token) {
+      throw new HttpError(401, 'Missing bearer token');
+    }
+
+    const email = await verifyGoogleUserToken(token);
+    const session = await createSession(email, 'google');
+
+    return jsonResponse(200, session);
+  } catch (error) {
+    log.error('Session request error', { error });
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Test Pushes
+ *
+ * POST /admin/test-push sends a test notification on demand, for support cases where a user
+ * gets no notifications. Callers authenticate like the app (Google ID token or session) and
+ * must be listed in ADMIN_EMAILS. `deviceToken` alone targets any APNs token, registered or
+ * not; `email` targets the mailbox's iOS devices, or only the one named by `deviceToken`.
+ *
+ * Pushes go straight through sendAPNSNotification, without the retry in the other
+ * environment that deliveries get, so each result is exactly what APNs answered in the
+ * chosen environment: status, reason, apns-id, apns-unique-id and round-trip time.
+ */
+const TEST_PUSH_TYPES = ['alert', 'background'];
+
+const TEST_PUSH_SCHEMA = {
+  email: { type: 'string', format: 'email' },
+  deviceToken: { type: 'string', format: 'apnsToken' },
+  // Default to the device's recorded environment and topic
+  apnsEnvironment: { type: 'string', enum: APNS_ENVIRONMENTS },
+  apnsTopic: { type: 'string', maxLength: MAX_APNS_TOPIC_LENGTH, format: 'bundleId' },
+  pushType: { type: 'string', enum: TEST_PUSH_TYPES },
+  // Sent as is instead of the built test notification
+  payload: { type: 'object' }
+};
+
+/**
+ * Ensure the authenticated caller is an administrator
+ * @param {Object} caller - Result of authenticateUser; only Google-verified addresses count
+ * @throws {HttpError} 403 when the caller is not listed in ADMIN_EMAILS
+ */
+function authorizeAdmin(caller) {
+  const admins = (ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (caller.identityProvider !== 'google' || !admins.includes(caller.email)) {
+    throw new HttpError(403, 'Caller is not an administrator');
+  }
+}
+
+// Notification shaped like a real one for the device's provider, marked as a test
+function buildTestNotification(device) {
+  const data = { email: device.email, test: true, timestamp: new Date().toISOString() };
+
+  return {
+    alert: {
+      title: 'Test notification',
+      body: 'Push notifications are working'
+    },
+    sound: 'default',
+    ...(deviceProvider(device) === 'outlook' ? { outlookData: data } : { gmailData: data })
+  };
+}
+
+async function getTestPushTargets({ email, deviceToken }) {
+  if (!email) {
+    return [{ deviceToken: deviceToken }];
+  }
+
+  const devices = (await getUserDevices(email)).filter(device =>
+    (device.platform || DEFAULT_PLATFORM) === 'ios' && (!deviceToken || device.deviceToken === deviceToken));
+
+  if (devices.length === 0) {
+    throw new HttpError(404, deviceToken ? 'Device not registered for this email' : 'No iOS devices registered for this email', { code: 'not_found' });
+  }
+  return devices;
+}
+
+/**
+ * Send one test push and describe the APNs response
+ * @param {Object} device - Device record, or `{ deviceToken }` for an unregistered token
+ * @param {Object} request - The validated request body
+ * @returns {Promise<Object>} { deviceToken, apnsEnvironment, apnsTopic, pushType, status, reason, apnsId, apnsUniqueId, durationMs }
+ */
+async function sendTestPush(device, request) {
+  const apnsEnvironment = request.apnsEnvironment || getAPNSEnvironment(device, process.env.ENVIRONMENT === 'prod');
+  const pushType = request.pushType || 'alert';
+  const result = {
+    deviceToken: device.deviceToken,
+    apnsEnvironment: apnsEnvironment,
+    apnsTopic: request.apnsTopic || device.apnsTopic || APNS_BUNDLE_ID,
+    pushType: pushType
+  };
+  const started = Date.now();
+
+  try {
+    const response = await sendAPNSNotification(device.deviceToken, buildTestNotification(device), apnsEnvironment === 'production', {
+      mode: pushType === 'alert' ? 'alert' : 'silent',
+      topic: result.apnsTopic,
+      payload: request.payload,
+      pushType: pushType
+    });
+    return {
+      ...result,
+      status: response.statusCode,
+      reason: null,
+      apnsId: response.apnsId,
+      apnsUniqueId: response.apnsUniqueId,
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    if (!(error instanceof APNSError)) {
+      // The request never got an answer from APNs
+      return { ...result, status: null, reason: error.code || 'ConnectionError', error: error.message, durationMs: Date.now() - started };
+    }
+    return {
+      ...result,
+      status: error.statusCode,
+      reason: error.reason,
+      apnsId: error.apnsId,
+      apnsUniqueId: error.apnsUniqueId,
+      timestamp: error.timestamp,
+      durationMs: Date.now() - started
     };
   }
+}
+
+// Handle test push requests from administrators
+async function handleTestPushRequest(event) {
+  try {
+    const caller = await authenticateUser(event);
+    authorizeAdmin(caller);
+
+    const request = parseJsonBody(event, TEST_PUSH_SCHEMA);
+    if (request.email) {
+      request.email = normalizeEmail(request.email);
+    }
+    if (!request.email && !request.deviceToken) {
+      throw new HttpError(422, 'Provide email, deviceToken or both', { code: 'missing_field' });
+    }
+
+    const targets = await getTestPushTargets(request);
+    const results = await Promise.all(targets.map(device => sendTestPush(device, request)));
+    const delivered = results.filter(result => result.status === 200).length;
+
+    log.info('Test push sent', { callerEmail: caller.email, email: request.email, devices: results.length, delivered });
+
+    return jsonResponse(200, { success: delivered === results.length, results: results });
+  } catch (error) {
+    log.error('Test push request error', { error });
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Burst Coalescing
+ *
+ * A burst of replies in a thread, or a bulk label change, produces many Pub/Sub events (or
+ * Graph notifications) within seconds. With COALESCE_WINDOW_SECONDS set, the first event of a
+ * burst is delivered at once and opens a window for its email. Events arriving inside the
+ * window are not delivered but kept on the `#coalesce:<provider>` record of the email, and a
+ * delayed job on COALESCE_QUEUE_URL delivers the newest of them when the window ends, with
+ * the `messageCount` of the whole burst. That delivery opens the next window, so a long burst
+ * yields at most one push per window; a window that ends without events closes the burst.
+ *
+ * The pushes of a burst share an `apns-collapse-id`, so the device replaces the one it is
+ * showing instead of stacking them. All times come from clients.now().
+ */
+const COALESCE_RECORD_PREFIX = '#coalesce:';
+const COALESCED_NOTIFICATION_MESSAGE = 'coalesced-notification';
+// SQS delays messages by at most 15 minutes
+const MAX_COALESCE_WINDOW_SECONDS = 900;
+// Burst records outlive their window by this much before DynamoDB removes them
+const COALESCE_RECORD_TTL_SECONDS = 24 * 60 * 60;
+
+function coalesceWindowMs() {
+  return Math.min(parseInt(COALESCE_WINDOW_SECONDS, 10) || 0, MAX_COALESCE_WINDOW_SECONDS) * 1000;
+}
+
+function coalesceKey(email, provider) {
+  return {
+    email: email,
+    deviceToken: `${COALESCE_RECORD_PREFIX}${provider}`
+  };
+}
+
+// Collapse IDs are limited to 64 bytes, so the address is hashed
+function burstCollapseId(email, startedAt) {
+  const account = crypto.createHash('sha256').update(email).digest('hex').slice(0, 32);
+  return `${account}-${startedAt}`;
+}
+
+// The notification as delivered for a burst: its collapse ID and how many events it covers
+function burstNotification(notification, collapseId, messageCount) {
+  const dataField = notification.outlookData ? 'outlookData' : 'gmailData';
+  const result = {
+    ...notification,
+    collapseId: collapseId,
+    [dataField]: { ...notification[dataField], messageCount: messageCount }
+  };
+
+  if (messageCount > 1) {
+    result.alert = { ...notification.alert, body: `You have ${messageCount} new emails in your inbox` };
+  }
+  return result;
+}
+
+/**
+ * Deliver a notification now or fold it into the open burst of its email
+ * @param {string} email - The mailbox
+ * @param {Object} notification - Notification built by parseGmailMessage or buildGraphNotification
+ * @returns {Promise<Object|null>} The notification to deliver now, or null when it is left
+ *   to the delivery at the end of the window
+ */
+async function coalesceNotification(email, notification) {
+  const windowMs = coalesceWindowMs();
+  if (!windowMs || !COALESCE_QUEUE_URL) {
+    return notification;
+  }
+
+  const provider = notification.provider || DEFAULT_MAIL_PROVIDER;
+  const now = clients.now().getTime();
+
+  // Start a burst unless a window is open or a delivery is still pending
+  try {
+    await clients.dynamodb.update({
+      TableName: DYNAMODB_TABLE_NAME,
+      Key: coalesceKey(email, provider),
+      UpdateExpression: 'SET windowEndsAt = :windowEndsAt, burstStartedAt = :now, messageCount = :one, #ttl = :ttl',
+      ConditionExpression: 'attribute_not_exists(pendingNotification) AND (attribute_not_exists(windowEndsAt) OR windowEndsAt <= :now)',
+      ExpressionAttributeNames: { '#ttl': 'ttl' },
+      ExpressionAttributeValues: {
+        ':windowEndsAt': now + windowMs,
+        ':now': now,
+        ':one': 1,
+        ':ttl': Math.floor((now + windowMs) / 1000) + COALESCE_RECORD_TTL_SECONDS
+      }
+    }).promise();
+    return burstNotification(notification, burstCollapseId(email, now), 1);
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  // Events arrive newest last (older Gmail historyIds were dropped as stale), so the latest is kept
+  const { Attributes: previous = {} } = await clients.dynamodb.update({
+    TableName: DYNAMODB_TABLE_NAME,
+    Key: coalesceKey(email, provider),
+    UpdateExpression: 'SET pendingNotification = :notification ADD messageCount :one',
+    ExpressionAttributeValues: { ':notification': notification, ':one': 1 },
+    ReturnValues: 'ALL_OLD'
+  }).promise();
+
+  // The first event held back schedules the delivery at the end of the window
+  if (!previous.pendingNotification) {
+    const delaySeconds = Math.ceil(((previous.windowEndsAt || now) - now) / 1000);
+    try {
+      await sqs.sendMessage({
+        QueueUrl: COALESCE_QUEUE_URL,
+        DelaySeconds: Math.min(Math.max(delaySeconds, 0), MAX_COALESCE_WINDOW_SECONDS),
+        MessageBody: JSON.stringify({ type: COALESCED_NOTIFICATION_MESSAGE, email: email, provider: provider })
+      }).promise();
+    } catch (error) {
+      // Without a scheduled delivery the event would never be sent; undo it and let the sender retry
+      await clients.dynamodb.update({
+        TableName: DYNAMODB_TABLE_NAME,
+        Key: coalesceKey(email, provider),
+        UpdateExpression: 'REMOVE pendingNotification ADD messageCount :minusOne',
+        ExpressionAttributeValues: { ':minusOne': -1 }
+      }).promise();
+      throw error;
+    }
+  }
+
+  log.info('Coalesced notification into burst', { email, provider, messageCount: (previous.messageCount || 0) + 1 });
+  return null;
+}
+
+/**
+ * Deliver the events held back during a burst window (the job queued by coalesceNotification)
+ * @param {Object} message - { email, provider }
+ */
+async function deliverCoalescedNotification({ email, provider }) {
+  const now = clients.now().getTime();
+
+  let burst;
+  try {
+    ({ Attributes: burst } = await clients.dynamodb.update({
+      TableName: DYNAMODB_TABLE_NAME,
+      Key: coalesceKey(email, provider),
+      UpdateExpression: 'SET windowEndsAt = :windowEndsAt REMOVE pendingNotification',
+      ConditionExpression: 'attribute_exists(pendingNotification)',
+      ExpressionAttributeValues: { ':windowEndsAt': now + coalesceWindowMs() },
+      ReturnValues: 'ALL_OLD'
+    }).promise());
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      log.info('No coalesced notification left to deliver', { email, provider });
+      return;
+    }
+    throw error;
+  }
+
+  const notification = burstNotification(burst.pendingNotification, burstCollapseId(email, burst.burstStartedAt), burst.messageCount);
+  try {
+    await notifyDevices(email, notification);
+  } catch (error) {
+    // Put the events back for the redelivered job, unless a newer one already took their place
+    try {
+      await clients.dynamodb.update({
+        TableName: DYNAMODB_TABLE_NAME,
+        Key: coalesceKey(email, provider),
+        UpdateExpression: 'SET pendingNotification = :notification',
+        ConditionExpression: 'attribute_not_exists(pendingNotification)',
+        ExpressionAttributeValues: { ':notification': burst.pendingNotification }
+      }).promise();
+    } catch (restoreError) {
+      if (restoreError.code !== 'ConditionalCheckFailedException') {
+        log.error('Failed to restore coalesced notification', { email, error: restoreError });
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Asynchronous Fan-out
+ *
+ * With FANOUT_QUEUE_URL set, the webhooks only verify, dedupe and order the Pub/Sub
+ * message (or Graph notification), queue one job per email and answer 204 (202 for Graph),
+ * so the sender is acknowledged without waiting on DynamoDB, the Gmail API or push
+ * providers. The SQS-triggered branch of exports.handler runs the jobs through notifyDevices().
+ * Graph notifications are queued even without it (see Microsoft Graph).
+ */
+// Jobs of both providers keep the original type so queued jobs survive deploys
+const MAIL_NOTIFICATION_MESSAGE = 'gmail-notification';
+
+async function enqueueMailNotification(email, notification, messageId, queueUrl = FANOUT_QUEUE_URL) {
+  await sqs.sendMessage({
+    QueueUrl: queueUrl,
+    MessageBody: JSON.stringify({
+      type: MAIL_NOTIFICATION_MESSAGE,
+      email: email,
+      notification: notification,
+      // Pub/Sub messageId or Graph message ID, for log correlation
+      messageId: messageId
+    })
+  }).promise();
+}
+
+function deliveryOutcome(result) {
+  if (result.status === 'fulfilled') {
+    return 'delivered';
+  }
+  if (result.reason && result.reason.permanent === true) {
+    return 'pruned';
+  }
+  // Transient failures are only replayed when the delivery dead-letter queue is configured
+  return isTransientDeliveryError(result.reason) && DELIVERY_DLQ_URL ? 'deferred' : 'failed';
+}
+
+// Fan-out size and per-platform delivery counts by outcome (delivered, pruned, deferred, failed, skipped)
+function recordDeliveries(recipients, results, skipped) {
+  const counts = new Map();
+  const tally = (device, outcome) => {
+    const platform = device.platform || DEFAULT_PLATFORM;
+    const outcomes = counts.get(platform) || {};
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    counts.set(platform, outcomes);
+  };
+
+  recipients.forEach((device, index) => tally(device, deliveryOutcome(results[index])));
+  skipped.forEach(device => tally(device, 'skipped'));
+
+  metrics.count('FanoutSize', recipients.length);
+  counts.forEach((outcomes, platform) => {
+    Object.keys(outcomes).forEach((outcome) => {
+      metrics.count('Deliveries', outcomes[outcome], { Platform: platform, Outcome: outcome });
+    });
+  });
+}
+
+// Run a step that follows the sends, logging its failure and returning `fallback` instead
+async function afterDelivery(step, email, fallback, run) {
+  try {
+    return await run();
+  } catch (error) {
+    log.error(`${step} failed after delivery`, { email, error });
+    return fallback;
+  }
+}
+
+/**
+ * Enrich a notification and deliver it to every device registered for its provider
+ *
+ * Shared by the synchronous webhooks and the SQS fan-out worker. Errors before the sends
+ * fail the job so it is retried whole; each send's failure is handled per device.
+ * @param {string} email - The mailbox
+ * @param {Object} notification - Notification built by parseGmailMessage or buildGraphNotification
+ * @returns {Promise<Object|null>} Delivery summary, or null when the mailbox has no devices
+ */
+async function notifyDevices(email, notification) {
+  // Get the devices of this email that registered for the notification's provider
+  const provider = notification.provider || DEFAULT_MAIL_PROVIDER;
+  const devices = (await getUserDevices(email)).filter(device => deviceProvider(device) === provider);
+
+  if (devices.length === 0) {
+    log.info('No devices found', { email, provider });
+    return null;
+  }
+
+  if (provider === 'gmail') {
+    await enrichNotification(email, notification.gmailData.historyId, notification);
+  }
+
+  // Apply mute, filters and quiet hours before fan-out
+  const preferences = await getNotificationPreferences(email);
+  const now = clients.now();
+  const recipients = [];
+  const skipped = [];
+  const skippedDevices = [];
+  let downgraded = 0;
+
+  devices.forEach((device) => {
+    const effective = { ...preferences.mailbox, ...preferences.devices.get(device.deviceToken) };
+    const { action, reason } = applyPreferences(effective, notification, now);
+
+    if (action === 'skip') {
+      log.info('Skipping device', { email, deviceToken: device.deviceToken, reason });
+      skipped.push(device);
+      skippedDevices.push({ deviceToken: device.deviceToken, reason: reason });
+    } else if (action === 'silent') {
+      downgraded++;
+      recipients.push({ ...device, notificationMode: 'silent' });
+    } else {
+      recipients.push(device);
+    }
+  });
+
+  // Determine if this is production environment
+  const isProduction = process.env.ENVIRONMENT === 'prod';
+  const badges = await getRecipientBadges(email, recipients);
+
+  // Send notification to all devices
+  const results = await Promise.allSettled(recipients.map((device) => {
+    const badge = badges.get(device.deviceToken);
+    return deliverWithRetry(device, badge === undefined ? notification : { ...notification, badge }, { isProduction });
+  }));
+
+  const successful = results.filter(r => r.status === 'fulfilled').length;
+  const failed = results.filter(r => r.status === 'rejected').length;
+
+  // Log details of failed notifications
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      log.error('Notification failed for device', { deviceToken: recipients[index].deviceToken, error: result.reason });
+    }
+  });
+
+  // From here on the sends have happened: a failing step must not fail the job, or SQS would
+  // redeliver it and resend to every device. Sends that did not happen are queued per device.
+  const pruned = await afterDelivery('Pruning dead devices', email, 0, () => pruneDeadDevices(email, recipients, results));
+  const deferred = await afterDelivery('Queueing failed deliveries', email, 0, () => deferFailedDeliveries(email, recipients, notification, results, badges));
+  await afterDelivery('Refreshing device activity', email, undefined, () => refreshDeliveredDevices(recipients, results));
+  await afterDelivery('Recording delivery metrics', email, undefined, () => recordDeliveries(recipients, results, skipped));
+
+  log.info('Notifications sent', {
+    email,
+    successful,
+    failed,
+    pruned,
+    deferred,
+    skipped: skippedDevices.length
+  });
+
+  return {
+    successful: successful,
+    failed: failed,
+    pruned: pruned,
+    deferred: deferred,
+    downgraded: downgraded,
+    skippedDevices: skippedDevices
+  };
+}
+
+// Pub/Sub message fields (https://cloud.google.com/pubsub/docs/push#receive_push)
+const PUBSUB_MESSAGE_SCHEMA = {
+  data: { type: 'string', required: true, maxLength: 65536, format: 'base64' },
+  messageId: { type: 'string', maxLength: 128 },
+  message_id: { type: 'string', maxLength: 128 },
+  publishTime: { type: 'string', maxLength: 64, format: 'timestamp' },
+  publish_time: { type: 'string', maxLength: 64, format: 'timestamp' },
+  attributes: { type: 'object' },
+  orderingKey: { type: 'string', maxLength: 1024 }
+};
+
+const PUBSUB_PUSH_SCHEMA = {
+  message: { type: 'object', required: true, properties: PUBSUB_MESSAGE_SCHEMA },
+  subscription: { type: 'string', maxLength: 255 },
+  deliveryAttempt: { type: 'integer' }
+};
+
+/**
+ * Parse and check the body of a Pub/Sub push: the push envelope, or a bare message
+ * @returns {{message: Object, subscription: string}}
+ * @throws {HttpError} 415, 400 or 422 with a machine-readable code
+ */
+function parsePubSubEnvelope(event) {
+  const body = parseJsonBody(event, body => (body.message === undefined && body.data !== undefined
+    ? PUBSUB_MESSAGE_SCHEMA
+    : PUBSUB_PUSH_SCHEMA));
+
+  return body.message === undefined ? { message: body } : body;
+}
+
+// Handle Gmail pub/sub notifications via API Gateway
+async function handleGmailNotification(event) {
+  let claimedMessageId = null;
+
+  try {
+    await verifyPubSubRequest(event);
+
+    const { message: pubsubMessage, subscription } = parsePubSubEnvelope(event);
+
+    verifyPubSubSubscription(subscription);
+
+    const messageId = pubsubMessage.messageId || pubsubMessage.message_id;
+    log.addContext({ messageId });
+    if (messageId) {
+      if (!(await claimMessage('pubsub', messageId))) {
+        log.info('Skipping duplicate Pub/Sub message');
+        metrics.count('GmailNotifications', 1, { Outcome: 'duplicate' });
+        return jsonResponse(200, { success: true, skipped: 'duplicate', message: `Pub/Sub message ${messageId} already processed` });
+      }
+      claimedMessageId = messageId;
+    }
+
+    const { email, notification } = parseGmailMessage(pubsubMessage);
+    const { historyId } = notification.gmailData;
+
+    if (historyId && !(await advanceNotifiedHistoryId(email, historyId))) {
+      log.info('Skipping stale notification', { email, historyId });
+      metrics.count('GmailNotifications', 1, { Outcome: 'stale' });
+      return jsonResponse(200, { success: true, skipped: 'stale', message: `historyId ${historyId} is older than the last notification` });
+    }
+
+    const delivery = await coalesceNotification(email, notification);
+    if (!delivery) {
+      metrics.count('GmailNotifications', 1, { Outcome: 'coalesced' });
+      return jsonResponse(200, { success: true, skipped: 'coalesced', message: 'Delivered with the burst when its window ends' });
+    }
+
+    // Hand the sends to the fan-out queue and acknowledge Pub/Sub right away
+    if (FANOUT_QUEUE_URL) {
+      await enqueueMailNotification(email, delivery, claimedMessageId);
+      metrics.count('GmailNotifications', 1, { Outcome: 'queued' });
+      return { statusCode: 204, headers: {}, body: '' };
+    }
+
+    const summary = await notifyDevices(email, delivery);
+    metrics.count('GmailNotifications', 1, { Outcome: summary ? 'processed' : 'no_devices' });
+
+    if (!summary) {
+      return jsonResponse(200, { success: true, message: 'No devices to notify' });
+    }
+
+    return jsonResponse(200, {
+      success: true,
+      message: `Notifications sent to ${summary.successful} devices`,
+      failed: summary.failed,
+      pruned: summary.pruned,
+      deferred: summary.deferred,
+      downgraded: summary.downgraded,
+      skippedDevices: summary.skippedDevices
+    });
+  } catch (error) {
+    log.error('Gmail notification error', { error });
+    metrics.count('GmailNotifications', 1, { Outcome: error instanceof HttpError ? 'rejected' : 'error' });
+
+    if (claimedMessageId) {
+      await releaseMessage('pubsub', claimedMessageId);
+    }
+
+    return errorResponse(error);
+  }
+}
+
+// Graph change notification collection (https://learn.microsoft.com/graph/change-notifications-delivery-webhooks);
+// the fields of each notification are checked individually since Graph adds new ones over time
+const GRAPH_NOTIFICATION_SCHEMA = {
+  value: { type: 'array', required: true, maxLength: 1000, items: { type: 'object' } },
+  validationTokens: { type: 'array' }
+};
+
+/**
+ * Build the push notification for a new Outlook message
+ * @param {string} email - The mailbox
+ * @param {string} messageId - Graph ID of the new message
+ */
+function buildGraphNotification(email, messageId) {
+  return {
+    provider: 'outlook',
+    alert: {
+      title: 'New Outlook Message',
+      body: 'You have a new email in your inbox'
+    },
+    outlookData: {
+      email: email,
+      messageId: messageId,
+      timestamp: new Date().toISOString()
+    },
+    sound: 'default',
+    category: 'OUTLOOK_NOTIFICATION',
+    threadId: email
+  };
+}
+
+function clientStateMatches(expected, received) {
+  return typeof received === 'string' && received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+/**
+ * Process one notification of a Graph collection
+ *
+ * Notifications for unknown subscriptions or with the wrong clientState are dropped.
+ * Lifecycle notifications renew (reauthorizationRequired) or recreate (subscriptionRemoved)
+ * the subscription.
+ * @returns {Promise<string>} Outcome for the GraphNotifications metric
+ */
+async function processGraphNotification(item) {
+  const subscription = await getGraphSubscription(item.subscriptionId);
+  if (!subscription || !clientStateMatches(subscription.clientState, item.clientState)) {
+    log.warn('Ignoring Graph notification with unknown subscription or clientState', { subscriptionId: item.subscriptionId });
+    return 'rejected';
+  }
+
+  const email = subscription.account;
+  if (item.lifecycleEvent) {
+    log.info('Graph lifecycle notification', { email, lifecycleEvent: item.lifecycleEvent });
+    const mailbox = await getMailboxState(email);
+    const current = mailbox.graphRefreshToken && mailbox.graphSubscriptionId === item.subscriptionId;
+
+    if (item.lifecycleEvent === 'subscriptionRemoved') {
+      await deleteGraphSubscriptionRecord(item.subscriptionId);
+      if (current) {
+        await startGraphSubscription(email, { ...mailbox, graphSubscriptionId: undefined });
+      }
+    } else if (item.lifecycleEvent === 'reauthorizationRequired' && current) {
+      await startGraphSubscription(email, mailbox);
+    }
+    return 'lifecycle';
+  }
+
+  const messageId = item.resourceData && item.resourceData.id;
+  if (item.changeType !== 'created' || typeof messageId !== 'string') {
+    return 'ignored';
+  }
+
+  const dedupeId = `${item.subscriptionId}:${messageId}`;
+  if (!(await claimMessage('graph', dedupeId))) {
+    log.info('Skipping duplicate Graph notification', { email });
+    return 'duplicate';
+  }
+
+  try {
+    const notification = await coalesceNotification(email, buildGraphNotification(email, messageId));
+    if (!notification) {
+      return 'coalesced';
+    }
+
+    // Subscriptions left over from before the queue was removed still get delivered, late
+    if (!GRAPH_QUEUE_URL) {
+      return (await notifyDevices(email, notification)) ? 'processed' : 'no_devices';
+    }
+    await enqueueMailNotification(email, notification, messageId, GRAPH_QUEUE_URL);
+    return 'queued';
+  } catch (error) {
+    await releaseMessage('graph', dedupeId);
+    throw error;
+  }
+}
+
+/**
+ * Handle Microsoft Graph change notifications
+ *
+ * A `validationToken` query parameter is Graph checking the notification URL while creating
+ * a subscription and is echoed back as plain text. Otherwise the body is a collection of
+ * notifications, acknowledged with 202; when one fails the
+ * request answers 500 so Graph redelivers the collection, whose processed notifications are
+ * then skipped as duplicates.
+ */
+async function handleGraphNotification(event) {
+  try {
+    const { validationToken } = event.queryStringParameters || {};
+    if (validationToken !== undefined) {
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'text/plain', 'X-Content-Type-Options': 'nosniff' },
+        body: validationToken
+      };
+    }
+
+    const { value } = parseJsonBody(event, GRAPH_NOTIFICATION_SCHEMA);
+    value.forEach((item, index) => {
+      if (item.subscriptionId === undefined) {
+        throw validationError('missing_field', `value[${index}].subscriptionId`, `value[${index}].subscriptionId is required`);
+      }
+      checkValue({ type: 'string', maxLength: 128 }, item.subscriptionId, `value[${index}].subscriptionId`);
+    });
+
+    const results = await Promise.allSettled(value.map(processGraphNotification));
+    const failure = results.find(result => result.status === 'rejected');
+
+    results.forEach((result) => {
+      metrics.count('GraphNotifications', 1, { Outcome: result.status === 'fulfilled' ? result.value : 'error' });
+    });
+    if (failure) {
+      throw failure.reason;
+    }
+
+    return { statusCode: 202, headers: {}, body: '' };
+  } catch (error) {
+    log.error('Graph notification error', { error });
+    return errorResponse(error);
+  }
+}
+
+/**
+ * Replay a send from the delivery dead-letter queue
+ *
+ * Devices unregistered in the meantime are skipped and permanent failures prune the
+ * device; a transient failure is thrown so SQS redelivers the message later.
+ */
+async function replayFailedDelivery(message) {
+  const { email, deviceToken, notificationMode, notification, badge } = message;
+  const device = (await getUserDevices(email)).find(d => d.deviceToken === deviceToken);
+
+  if (!device) {
+    log.info('Dropping queued delivery for unregistered device', { email, deviceToken });
+    return;
+  }
+
+  try {
+    const replayed = badge === undefined ? notification : { ...notification, badge };
+    await sendToDevice({ ...device, notificationMode: notificationMode }, replayed, {
+      isProduction: process.env.ENVIRONMENT === 'prod'
+    });
+    log.info('Replayed delivery', { email, deviceToken });
+  } catch (error) {
+    if (error.permanent === true) {
+      log.info('Pruning device rejected on replay', { email, deviceToken, error });
+      await unregisterDevice(email, deviceToken);
+      await releaseMailSubscriptions(email);
+      return;
+    }
+    throw error;
+  }
+}
+
+// Handle SQS batches (fan-out jobs, burst deliveries and delivery replays); failed records are reported
+// individually so only they are redelivered
+async function handleSQSEvent(event) {
+  const results = await Promise.allSettled(event.Records.map(record => log.withContext({ sqsMessageId: record.messageId }, async () => {
+    const message = JSON.parse(record.body);
+
+    if (message.type === MAIL_NOTIFICATION_MESSAGE) {
+      log.addContext({ messageId: message.messageId });
+      await notifyDevices(message.email, message.notification);
+    } else if (message.type === DELIVERY_RETRY_MESSAGE) {
+      await replayFailedDelivery(message);
+    } else if (message.type === COALESCED_NOTIFICATION_MESSAGE) {
+      await deliverCoalescedNotification(message);
+    } else {
+      log.warn('Ignoring SQS message of unknown type', { type: message.type });
+    }
+  })));
+
+  const batchItemFailures = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      log.error('SQS message failed', { sqsMessageId: event.Records[index].messageId, error: result.reason });
+      batchItemFailures.push({ itemIdentifier: event.Records[index].messageId });
+    }
+  });
+
+  return { batchItemFailures };
+}
+
+/**
+ * Replace service clients (e.g. `{ gmail }`) with local fakes
+ * @param {Object} overrides - Clients to replace
+ */
+exports.setClients = (overrides) => {
+  Object.assign(clients, overrides);
+};
+
+// Main Lambda handler
+exports.handler = async (event, context) => {
+  const requestId = (event.requestContext && event.requestContext.requestId) || (context && context.awsRequestId);
+  return log.withContext({ requestId }, () => routeEvent(event));
+};
+
+/**
+ * HTTP Routing
+ *
+ * Requests arrive as Lambda Function URL events (payload 2.0) or API Gateway REST proxy
+ * events (payload 1.0). Both are normalized to the Function URL shape, with
+ * `requestContext.http.{method,path}` and lowercase header names, before dispatch.
+ *
+ * ROUTES maps each path to its handlers by method. Unknown paths answer 404, other methods
+ * on a known path 405 with an `Allow` header. Browser-facing routes (`cors: true`) answer
+ * OPTIONS preflights and get CORS headers, as do their 405s and every 404; `Access-Control-Allow-Origin` is `*` unless
+ * CORS_ALLOWED_ORIGINS lists origins, in which case only a listed request Origin is echoed.
+ */
+const ROUTES = {
+  '/device': { cors: true, methods: { POST: handleDeviceRequest, PATCH: handleDeviceRequest, DELETE: handleDeviceRequest } },
+  '/device/heartbeat': { cors: true, methods: { POST: handleHeartbeatRequest } },
+  '/device/badge': { cors: true, methods: { POST: handleBadgeRequest } },
+  '/devices': { cors: true, methods: { GET: handleDevicesRequest, DELETE: handleDevicesRequest } },
+  '/gmail-credentials': { cors: true, methods: { POST: handleGmailCredentialsRequest, DELETE: handleGmailCredentialsRequest } },
+  '/graph-credentials': { cors: true, methods: { POST: handleGraphCredentialsRequest, DELETE: handleGraphCredentialsRequest } },
+  '/preferences': { cors: true, methods: { GET: handlePreferencesRequest, PUT: handlePreferencesRequest } },
+  '/web-push/public-key': { cors: true, methods: { GET: handleWebPushKeyRequest } },
+  '/session': { cors: true, methods: { POST: handleSessionRequest } },
+  // Support tooling, not called from browsers
+  '/admin/test-push': { methods: { POST: handleTestPushRequest } },
+  // Called by Pub/Sub and Microsoft Graph only
+  '/gmail-notification': { methods: { POST: handleGmailNotification } },
+  '/graph-notification': { methods: { POST: handleGraphNotification } }
 };
+
+const CORS_MAX_AGE_SECONDS = 86400;
+
+function isHttpEvent(event) {
+  return Boolean((event.requestContext && event.requestContext.http) || event.httpMethod);
+}
+
+/**
+ * Normalize a Function URL or API Gateway REST event to the Function URL shape
+ *
+ * `rawPath` keeps the path as requested (with the REST API stage), which is what Pub/Sub
+ * tokens are issued for.
+ */
+function normalizeHttpEvent(event) {
+  const headers = {};
+  Object.keys(event.headers || {}).forEach((name) => {
+    headers[name.toLowerCase()] = event.headers[name];
+  });
+
+  if (event.requestContext && event.requestContext.http) {
+    return { ...event, headers: headers };
+  }
+
+  const requestContext = event.requestContext || {};
+  return {
+    ...event,
+    headers: headers,
+    rawPath: requestContext.path || event.path,
+    requestContext: { ...requestContext, http: { method: event.httpMethod, path: event.path } }
+  };
+}
+
+function allowedMethods(route) {
+  const methods = Object.keys(route.methods);
+  return route.cors ? [...methods, 'OPTIONS'] : methods;
+}
+
+// Without a route (unknown paths) no methods are advertised, but the browser can still read the 404
+function corsHeaders(request, route) {
+  const allowedOrigins = CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  const headers = {
+    ...(route && { 'Access-Control-Allow-Methods': allowedMethods(route).join(', ') }),
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  };
+
+  if (allowedOrigins.includes('*')) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  } else {
+    const origin = request.headers.origin;
+    if (origin && allowedOrigins.includes(origin)) {
+      headers['Access-Control-Allow-Origin'] = origin;
+    }
+    headers.Vary = 'Origin';
+  }
+  return headers;
+}
+
+/**
+ * Dispatch an HTTP request to its route's handler
+ * @param {Object} event - Function URL or API Gateway REST event
+ * @returns {Promise<Object>} The response, with CORS headers for browser-facing routes
+ */
+async function routeHttpRequest(event) {
+  const request = normalizeHttpEvent(event);
+  const { method, path } = request.requestContext.http;
+  const route = ROUTES[path.length > 1 ? path.replace(/\/+$/, '') : path];
+
+  if (!route) {
+    return jsonResponse(404, { error: `No route for ${path}`, code: 'not_found' }, corsHeaders(request));
+  }
+
+  const cors = route.cors ? corsHeaders(request, route) : {};
+
+  if (method === 'OPTIONS' && route.cors) {
+    return {
+      statusCode: 204,
+      headers: { ...cors, 'Access-Control-Max-Age': String(CORS_MAX_AGE_SECONDS) },
+      body: ''
+    };
+  }
+
+  const handler = route.methods[method];
+  if (!handler) {
+    const allow = allowedMethods(route).join(', ');
+    return jsonResponse(405, { error: `Method ${method} not allowed on ${path}`, code: 'method_not_allowed' }, { ...cors, Allow: allow });
+  }
+
+  const response = await handler(request);
+  return { ...response, headers: { ...response.headers, ...cors } };
+}
+
+// Only the shape of the event is logged; headers and bodies carry tokens and addresses
+function describeEvent(event) {
+  if (Array.isArray(event.Records)) {
+    return { source: 'sqs', records: event.Records.length };
+  }
+  if (event.requestContext && event.requestContext.http) {
+    return { method: event.requestContext.http.method, path: event.requestContext.http.path };
+  }
+  if (event.httpMethod) {
+    return { method: event.httpMethod, path: event.path };
+  }
+  return { source: event.source, detailType: event['detail-type'] };
+}
+
+async function routeEvent(event) {
+  log.info('Lambda invoked', describeEvent(event));
+
+  try {
+    // SQS: fan-out jobs and delivery replays
+    if (Array.isArray(event.Records) && event.Records.length > 0 && event.Records[0].eventSource === 'aws:sqs') {
+      return await handleSQSEvent(event);
+    }
+
+    // EventBridge schedule: renew Gmail watches and Graph subscriptions nearing expiry
+    if (event.source === 'aws.events' && event['detail-type'] === 'Scheduled Event') {
+      return await renewMailSubscriptions();
+    }
+
+    // Function URL or API Gateway request
+    if (isHttpEvent(event)) {
+      return await routeHttpRequest(event);
+    }
+
+    return jsonResponse(400, { error: 'Invalid request format', code: 'unknown_event' });
+  } catch (error) {
+    log.error('Lambda execution error', { error });
+    return errorResponse(error);
+  }
+}
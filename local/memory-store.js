@@ -0,0 +1,299 @@
+/**
+ * In-memory DynamoDB DocumentClient
+ *
+ * Stands in for the devices table in local development and integration tests. Implements
+ * the calls index.js makes (get, put, delete, update, query, scan) with the SDK v2 shape,
+ * `client.put(params).promise()`, including the expression syntax they use: comparisons,
+ * AND/OR/NOT, parentheses, attribute_exists, attribute_not_exists and begins_with in
+ * condition, key and filter expressions, and SET/REMOVE/ADD in update expressions. Failed
+ * conditions reject with `code: 'ConditionalCheckFailedException'` like DynamoDB. Queries
+ * on a secondary index (IndexName) match items by the index key like any other attribute,
+ * so items without it are left out as in a sparse index; projections are not applied.
+ */
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function compare(left, right) {
+  if (left === undefined || right === undefined || typeof left !== typeof right) {
+    return NaN;
+  }
+  if (left < right) {
+    return -1;
+  }
+  return left > right ? 1 : 0;
+}
+
+const COMPARATORS = {
+  '=': (left, right) => left !== undefined && JSON.stringify(left) === JSON.stringify(right),
+  '<>': (left, right) => JSON.stringify(left) !== JSON.stringify(right),
+  '<': (left, right) => compare(left, right) < 0,
+  '<=': (left, right) => compare(left, right) <= 0,
+  '>': (left, right) => compare(left, right) > 0,
+  '>=': (left, right) => compare(left, right) >= 0
+};
+
+const FUNCTIONS = {
+  attribute_exists: path => path !== undefined,
+  attribute_not_exists: path => path === undefined,
+  begins_with: (path, prefix) => typeof path === 'string' && typeof prefix === 'string' && path.startsWith(prefix)
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(<>|<=|>=|[=<>(),]|[#:]?[A-Za-z_][\w.-]*)/y;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (/^\s*$/.test(expression.slice(start))) {
+        break;
+      }
+      throw new Error(`Unsupported expression: ${expression}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate a condition, key condition or filter expression against an item
+ * @param {string} expression
+ * @param {Object} item - The item (an empty object when it does not exist)
+ * @param {Object} params - Request parameters holding ExpressionAttributeNames/Values
+ * @returns {boolean}
+ */
+function evaluate(expression, item, params) {
+  const names = params.ExpressionAttributeNames || {};
+  const values = params.ExpressionAttributeValues || {};
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected ${token} in expression: ${expression}`);
+    }
+  };
+
+  function operand() {
+    const token = next();
+    if (token.startsWith(':')) {
+      return values[token];
+    }
+    return item[token.startsWith('#') ? names[token] : token];
+  }
+
+  function primary() {
+    if (peek() === '(') {
+      next();
+      const result = or();
+      expect(')');
+      return result;
+    }
+    if (FUNCTIONS[peek()]) {
+      const fn = FUNCTIONS[next()];
+      expect('(');
+      const args = [operand()];
+      while (peek() === ',') {
+        next();
+        args.push(operand());
+      }
+      expect(')');
+      return fn(...args);
+    }
+
+    const left = operand();
+    const comparator = next();
+    if (!COMPARATORS[comparator]) {
+      throw new Error(`Unsupported comparator ${comparator} in expression: ${expression}`);
+    }
+    return COMPARATORS[comparator](left, operand());
+  }
+
+  function not() {
+    if (/^not$/i.test(peek())) {
+      next();
+      return !not();
+    }
+    return primary();
+  }
+
+  function and() {
+    let result = not();
+    while (/^and$/i.test(peek() || '')) {
+      next();
+      result = not() && result;
+    }
+    return result;
+  }
+
+  function or() {
+    let result = and();
+    while (/^or$/i.test(peek() || '')) {
+      next();
+      result = and() || result;
+    }
+    return result;
+  }
+
+  const result = or();
+  if (position !== tokens.length) {
+    throw new Error(`Unexpected ${peek()} in expression: ${expression}`);
+  }
+  return result;
+}
+
+/**
+ * Apply a SET/REMOVE/ADD update expression to an item in place (ADD only for numbers)
+ */
+function applyUpdate(expression, item, params) {
+  const names = params.ExpressionAttributeNames || {};
+  const values = params.ExpressionAttributeValues || {};
+  const attribute = name => (name.startsWith('#') ? names[name] : name);
+  const sections = expression.split(/\b(SET|REMOVE|ADD)\b/i).map(part => part.trim()).filter(Boolean);
+
+  for (let index = 0; index < sections.length; index += 2) {
+    const action = sections[index].toUpperCase();
+    const clauses = (sections[index + 1] || '').split(',').map(clause => clause.trim());
+
+    clauses.forEach((clause) => {
+      if (action === 'SET') {
+        const [name, value] = clause.split('=').map(part => part.trim());
+        if (!value || !value.startsWith(':')) {
+          throw new Error(`Unsupported SET clause: ${clause}`);
+        }
+        item[attribute(name)] = clone(values[value]);
+      } else if (action === 'REMOVE') {
+        delete item[attribute(clause)];
+      } else if (action === 'ADD') {
+        const [name, value] = clause.split(/\s+/);
+        item[attribute(name)] = (item[attribute(name)] || 0) + values[value];
+      } else {
+        throw new Error(`Unsupported update action: ${action}`);
+      }
+    });
+  }
+}
+
+function conditionFailed() {
+  return Object.assign(new Error('The conditional request failed'), {
+    code: 'ConditionalCheckFailedException',
+    statusCode: 400
+  });
+}
+
+class MemoryDocumentClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.hashKey - Partition key attribute (default `email`)
+   * @param {string} options.rangeKey - Sort key attribute (default `deviceToken`)
+   */
+  constructor({ hashKey = 'email', rangeKey = 'deviceToken' } = {}) {
+    this.hashKey = hashKey;
+    this.rangeKey = rangeKey;
+    // table -> Map(key -> item)
+    this.tables = new Map();
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, new Map());
+    }
+    return this.tables.get(name);
+  }
+
+  keyOf(item) {
+    return JSON.stringify([item[this.hashKey], item[this.rangeKey]]);
+  }
+
+  /**
+   * Every item of a table, e.g. for assertions in tests
+   * @param {string} tableName
+   * @returns {Object[]}
+   */
+  items(tableName) {
+    return [...this.table(tableName).values()].map(clone);
+  }
+
+  checkCondition(params, existing) {
+    if (params.ConditionExpression && !evaluate(params.ConditionExpression, existing || {}, params)) {
+      throw conditionFailed();
+    }
+  }
+
+  request(fn) {
+    return { promise: () => new Promise(resolve => resolve(fn())) };
+  }
+
+  get(params) {
+    return this.request(() => {
+      const item = this.table(params.TableName).get(this.keyOf(params.Key));
+      return item ? { Item: clone(item) } : {};
+    });
+  }
+
+  put(params) {
+    return this.request(() => {
+      const table = this.table(params.TableName);
+      const key = this.keyOf(params.Item);
+      this.checkCondition(params, table.get(key));
+      table.set(key, clone(params.Item));
+      return {};
+    });
+  }
+
+  delete(params) {
+    return this.request(() => {
+      const table = this.table(params.TableName);
+      const key = this.keyOf(params.Key);
+      this.checkCondition(params, table.get(key));
+      table.delete(key);
+      return {};
+    });
+  }
+
+  update(params) {
+    return this.request(() => {
+      const table = this.table(params.TableName);
+      const key = this.keyOf(params.Key);
+      const existing = table.get(key);
+      this.checkCondition(params, existing);
+
+      const item = clone(existing) || clone(params.Key);
+      applyUpdate(params.UpdateExpression, item, params);
+      table.set(key, item);
+      if (params.ReturnValues === 'ALL_NEW') {
+        return { Attributes: clone(item) };
+      }
+      return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+    });
+  }
+
+  query(params) {
+    return this.request(() => {
+      const items = this.items(params.TableName)
+        .filter(item => evaluate(params.KeyConditionExpression, item, params))
+        .filter(item => !params.FilterExpression || evaluate(params.FilterExpression, item, params))
+        .sort((a, b) => compare(a[this.rangeKey], b[this.rangeKey]));
+      return { Items: items, Count: items.length };
+    });
+  }
+
+  scan(params) {
+    return this.request(() => {
+      const items = this.items(params.TableName)
+        .filter(item => !params.FilterExpression || evaluate(params.FilterExpression, item, params));
+      return { Items: items, Count: items.length };
+    });
+  }
+}
+
+module.exports = {
+  MemoryDocumentClient,
+  evaluate
+};
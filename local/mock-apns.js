@@ -0,0 +1,280 @@
+/**
+ * Mock APNs
+ *
+ * A local HTTP/2 server that accepts the same requests as api.push.apple.com and checks
+ * them the way Apple does: the `bearer` provider token must be an ES256 JWT signed with
+ * the APNs key, naming its key ID (`kid`) and team ID (`iss`), and the push headers and
+ * payload must be well formed. Rejections use Apple's status codes and `{ reason }` bodies
+ * (https://developer.apple.com/documentation/usernotifications/handling-notification-responses-from-apns).
+ *
+ * Every request is recorded in `mock.requests`. Error responses can be scripted for a
+ * device token (`respondTo`) or for the next requests (`respondNext`), e.g. a 410
+ * Unregistered to exercise pruning. The server speaks cleartext HTTP/2 (h2c), so point
+ * the function at it with APNS_HOST, APNS_PORT and APNS_TLS=false.
+ *
+ * Run standalone with `npm run mock-apns`; it prints the key it generated and verifies with.
+ */
+const http2 = require('http2');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const MAX_PAYLOAD_BYTES = 4096;
+const MAX_COLLAPSE_ID_BYTES = 64;
+const PUSH_TYPES = ['alert', 'background', 'location', 'voip', 'complication', 'fileprovider', 'mdm', 'liveactivity', 'pushtotalk'];
+const PRIORITIES = ['1', '5', '10'];
+// Apple rejects provider tokens issued more than an hour ago
+const PROVIDER_TOKEN_MAX_AGE = '1h';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check a request's provider token
+ * @returns {string|null} The APNs reason to reject with, or null when the token is valid
+ */
+function checkProviderToken(authorization, { publicKey, keyId, teamId }) {
+  const match = /^bearer (\S+)$/i.exec(authorization || '');
+  if (!match) {
+    return 'MissingProviderToken';
+  }
+
+  const decoded = jwt.decode(match[1], { complete: true });
+  if (!decoded || decoded.header.alg !== 'ES256' || decoded.header.kid !== keyId) {
+    return 'InvalidProviderToken';
+  }
+
+  try {
+    jwt.verify(match[1], publicKey, {
+      algorithms: ['ES256'],
+      issuer: teamId,
+      maxAge: PROVIDER_TOKEN_MAX_AGE
+    });
+  } catch (error) {
+    return error.name === 'TokenExpiredError' ? 'ExpiredProviderToken' : 'InvalidProviderToken';
+  }
+  return null;
+}
+
+/**
+ * Check the push headers and payload of a request
+ * @returns {{status: number, reason: string}|null} The rejection, or null when the push is valid
+ */
+function checkPush(headers, body, deviceToken, topics) {
+  if (!/^[0-9a-f]{64}$/i.test(deviceToken)) {
+    return { status: 400, reason: 'BadDeviceToken' };
+  }
+  if (headers['apns-id'] !== undefined && !UUID_PATTERN.test(headers['apns-id'])) {
+    return { status: 400, reason: 'BadMessageId' };
+  }
+  if (headers['apns-collapse-id'] !== undefined && Buffer.byteLength(headers['apns-collapse-id']) > MAX_COLLAPSE_ID_BYTES) {
+    return { status: 400, reason: 'BadCollapseId' };
+  }
+  if (!headers['apns-topic']) {
+    return { status: 400, reason: 'MissingTopic' };
+  }
+  if (topics.length > 0 && !topics.includes(headers['apns-topic'])) {
+    return { status: 400, reason: 'TopicDisallowed' };
+  }
+  if (!PUSH_TYPES.includes(headers['apns-push-type'])) {
+    return { status: 400, reason: 'InvalidPushType' };
+  }
+  if (headers['apns-priority'] !== undefined && !PRIORITIES.includes(headers['apns-priority'])) {
+    return { status: 400, reason: 'BadPriority' };
+  }
+  // Background pushes must not ask for immediate delivery
+  if (headers['apns-push-type'] === 'background' && headers['apns-priority'] === '10') {
+    return { status: 400, reason: 'BadPriority' };
+  }
+
+  if (body.length === 0) {
+    return { status: 400, reason: 'PayloadEmpty' };
+  }
+  if (body.length > MAX_PAYLOAD_BYTES) {
+    return { status: 413, reason: 'PayloadTooLarge' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+  // Apple has no documented reason for a payload without `aps`; this one is the mock's own
+  if (!payload || typeof payload.aps !== 'object' || payload.aps === null) {
+    return { status: 400, reason: 'BadPayload' };
+  }
+  return null;
+}
+
+/**
+ * Create a mock APNs server
+ * @param {Object} options
+ * @param {string|crypto.KeyObject} options.publicKey - Public half of the APNs signing key
+ * @param {string} options.keyId - Expected `kid` of provider tokens (APNS_KEY_ID)
+ * @param {string} options.teamId - Expected `iss` of provider tokens (APNS_TEAM_ID)
+ * @param {string[]} options.topics - Accepted `apns-topic` values; empty accepts any
+ * @returns {Object} { requests, respondTo, respondNext, reset, listen, close, port }
+ */
+function createMockAPNs({ publicKey, keyId, teamId, topics = [] }) {
+  const server = http2.createServer();
+  const sessions = new Set();
+  // deviceToken -> response, for every request to that token
+  const tokenResponses = new Map();
+  // Responses for the next requests, in order
+  const nextResponses = [];
+
+  const mock = {
+    requests: [],
+    port: null,
+
+    /**
+     * Answer every push to a device token with a scripted response
+     * @param {string} deviceToken
+     * @param {Object} response - { status, reason, timestamp }; 410 responses default the timestamp to now
+     */
+    respondTo(deviceToken, response) {
+      tokenResponses.set(deviceToken.toLowerCase(), response);
+    },
+
+    // Answer the next valid push (whatever its token) with a scripted response
+    respondNext(response) {
+      nextResponses.push(response);
+    },
+
+    reset() {
+      mock.requests.length = 0;
+      tokenResponses.clear();
+      nextResponses.length = 0;
+    },
+
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.removeListener('error', reject);
+          mock.port = server.address().port;
+          resolve(mock.port);
+        });
+      });
+    },
+
+    close() {
+      sessions.forEach(session => session.destroy());
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+
+  function scriptedResponse(deviceToken) {
+    if (nextResponses.length > 0) {
+      return nextResponses.shift();
+    }
+    return tokenResponses.get(deviceToken.toLowerCase()) || null;
+  }
+
+  function answer(stream, request, { status, reason, timestamp }) {
+    request.status = status;
+    request.reason = reason;
+
+    const headers = {
+      ':status': status,
+      'apns-id': request.apnsId
+    };
+    if (status === 200) {
+      // Sandbox responses also carry the ID shown in the Push Notifications Console
+      headers['apns-unique-id'] = crypto.randomUUID();
+      request.apnsUniqueId = headers['apns-unique-id'];
+      stream.respond(headers, { endStream: true });
+      return;
+    }
+
+    const body = { reason };
+    if (status === 410) {
+      body.timestamp = timestamp || Date.now();
+    }
+    headers['content-type'] = 'application/json';
+    stream.respond(headers);
+    stream.end(JSON.stringify(body));
+  }
+
+  server.on('session', (session) => {
+    sessions.add(session);
+    session.on('close', () => sessions.delete(session));
+  });
+
+  server.on('stream', (stream, headers) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const match = /^\/3\/device\/([^/?]+)$/.exec(headers[':path'] || '');
+      const deviceToken = match ? match[1] : null;
+
+      let payload = null;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch (error) {
+        // Rejected below
+      }
+
+      const request = {
+        method: headers[':method'],
+        path: headers[':path'],
+        deviceToken: deviceToken,
+        headers: { ...headers },
+        payload: payload,
+        apnsId: headers['apns-id'] || crypto.randomUUID(),
+        receivedAt: new Date().toISOString()
+      };
+      mock.requests.push(request);
+
+      if (headers[':method'] !== 'POST') {
+        answer(stream, request, { status: 405, reason: 'MethodNotAllowed' });
+        return;
+      }
+      if (!deviceToken) {
+        answer(stream, request, { status: 404, reason: 'BadPath' });
+        return;
+      }
+
+      const tokenReason = checkProviderToken(headers.authorization, { publicKey, keyId, teamId });
+      if (tokenReason) {
+        answer(stream, request, { status: 403, reason: tokenReason });
+        return;
+      }
+
+      const rejection = checkPush(headers, body, deviceToken, topics);
+      if (rejection) {
+        answer(stream, request, rejection);
+        return;
+      }
+
+      answer(stream, request, scriptedResponse(deviceToken) || { status: 200 });
+    });
+  });
+
+  return mock;
+}
+
+async function main() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const keyId = process.env.APNS_KEY_ID || 'LOCALKEY01';
+  const teamId = process.env.APNS_TEAM_ID || 'LOCALTEAM1';
+  const topics = (process.env.APNS_BUNDLE_ID || '').split(',').map(topic => topic.trim()).filter(Boolean);
+
+  const mock = createMockAPNs({ publicKey, keyId, teamId, topics });
+  const port = await mock.listen(parseInt(process.env.APNS_PORT || '2197', 10));
+
+  console.log(`Mock APNs listening on http://127.0.0.1:${port} (key ID ${keyId}, team ID ${teamId})`);
+  console.log('Sign provider tokens with:');
+  console.log(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMockAPNs,
+  MAX_PAYLOAD_BYTES
+};
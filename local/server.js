@@ -0,0 +1,335 @@
+/**
+ * Local Development Server
+ *
+ * Runs the function outside Lambda: a Node HTTP server turns each request into a Lambda
+ * Function URL event (payload 2.0) and answers with the handler's response. Everything the
+ * function needs from AWS, Google and Apple is local:
+ *
+ * - Devices are kept in memory, or in DynamoDB Local when DYNAMODB_ENDPOINT is set
+ *   (the table is created on start)
+ * - Secrets Manager is replaced by generated secrets: an APNs signing key and a session secret
+ * - Google ID tokens and Pub/Sub OIDC tokens are signed with a generated key that the
+ *   function trusts through GOOGLE_JWKS
+ * - APNs is the mock from mock-apns.js, which verifies every push
+ *
+ * Development-only routes under /_local/ stand in for the outside world:
+ * - GET  /_local/id-token?email=...  Google ID token for the app's `Authorization` header
+ * - POST /_local/notify              Signed Pub/Sub push for `{ "email", "historyId" }`
+ * - GET  /_local/apns                Pushes the mock APNs received
+ *
+ * Start with `npm run start:local` (PORT, default 3000).
+ */
+const http = require('http');
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+const jwt = require('jsonwebtoken');
+const { MemoryDocumentClient } = require('./memory-store');
+const { createMockAPNs } = require('./mock-apns');
+
+const GOOGLE_ISSUER = 'https://accounts.google.com';
+const GOOGLE_KEY_ID = 'local-google-key';
+const ID_TOKEN_TTL_SECONDS = 3600;
+
+// Configuration the generated keys and mock APNs depend on; always overrides the environment
+function localEnvironment({ apnsPort, googleJwks }) {
+  return {
+    APNS_HOST: '127.0.0.1',
+    APNS_PORT: String(apnsPort),
+    APNS_TLS: 'false',
+    APNS_SECRET_NAME: 'local/apns-key',
+    SESSION_SECRET_NAME: 'local/session-secret',
+    GOOGLE_JWKS: JSON.stringify(googleJwks)
+  };
+}
+
+// Configuration with local defaults that the environment may override
+const DEFAULT_ENVIRONMENT = {
+  ENVIRONMENT: 'dev',
+  DYNAMODB_TABLE_NAME: 'mailreader-local-devices',
+  APNS_TEAM_ID: 'LOCALTEAM1',
+  APNS_KEY_ID: 'LOCALKEY01',
+  APNS_BUNDLE_ID: 'com.example.mailreader',
+  GOOGLE_CLIENT_IDS: 'local-client-id',
+  PUBSUB_SERVICE_ACCOUNT: 'gmail-push@local.iam.gserviceaccount.com',
+  PUBSUB_AUDIENCE: 'mailreader-local',
+  AWS_REGION: 'us-east-1'
+};
+
+function secretsManagerStandIn(secrets) {
+  return {
+    getSecretValue: ({ SecretId }) => ({
+      promise: async () => {
+        if (secrets[SecretId] === undefined) {
+          throw Object.assign(new Error(`Secret ${SecretId} not found`), { code: 'ResourceNotFoundException' });
+        }
+        return { SecretString: secrets[SecretId] };
+      }
+    })
+  };
+}
+
+/**
+ * DynamoDB Local client, creating the devices table if it is missing
+ * @param {string} endpoint - e.g. http://localhost:8000
+ */
+async function dynamoDBLocal(endpoint, tableName) {
+  const options = {
+    endpoint: endpoint,
+    region: process.env.AWS_REGION,
+    // DynamoDB Local accepts any credentials
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'local',
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'local'
+  };
+
+  try {
+    await new AWS.DynamoDB(options).createTable({
+      TableName: tableName,
+      AttributeDefinitions: [
+        { AttributeName: 'email', AttributeType: 'S' },
+        { AttributeName: 'deviceToken', AttributeType: 'S' },
+        { AttributeName: 'pushToken', AttributeType: 'S' }
+      ],
+      KeySchema: [
+        { AttributeName: 'email', KeyType: 'HASH' },
+        { AttributeName: 'deviceToken', KeyType: 'RANGE' }
+      ],
+      GlobalSecondaryIndexes: [{
+        IndexName: 'pushToken-index',
+        KeySchema: [{ AttributeName: 'pushToken', KeyType: 'HASH' }],
+        Projection: { ProjectionType: 'KEYS_ONLY' }
+      }],
+      BillingMode: 'PAY_PER_REQUEST'
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ResourceInUseException') {
+      throw error;
+    }
+  }
+
+  return new AWS.DynamoDB.DocumentClient(options);
+}
+
+/**
+ * Convert a Node request into a Lambda Function URL event
+ * @param {http.IncomingMessage} req
+ * @param {Buffer} body
+ */
+function toFunctionUrlEvent(req, body) {
+  const url = new URL(req.url, 'http://localhost');
+  const headers = {};
+  Object.keys(req.headers).forEach((name) => {
+    const value = req.headers[name];
+    headers[name] = Array.isArray(value) ? value.join(',') : value;
+  });
+
+  const query = {};
+  url.searchParams.forEach((value, name) => {
+    query[name] = query[name] === undefined ? value : `${query[name]},${value}`;
+  });
+
+  return {
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: url.pathname,
+    rawQueryString: url.search.slice(1),
+    headers: headers,
+    queryStringParameters: Object.keys(query).length > 0 ? query : undefined,
+    requestContext: {
+      domainName: headers.host || 'localhost',
+      requestId: crypto.randomUUID(),
+      timeEpoch: Date.now(),
+      http: {
+        method: req.method,
+        path: url.pathname,
+        protocol: `HTTP/${req.httpVersion}`,
+        sourceIp: req.socket.remoteAddress,
+        userAgent: headers['user-agent'] || ''
+      }
+    },
+    body: body.length > 0 ? body.toString('utf8') : undefined,
+    isBase64Encoded: false
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, { statusCode = 200, headers = {}, body = '', isBase64Encoded = false }) {
+  res.writeHead(statusCode, headers);
+  res.end(isBase64Encoded ? Buffer.from(body, 'base64') : body);
+}
+
+function sendJson(res, statusCode, body) {
+  send(res, { statusCode, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+/**
+ * Start the local server
+ * @param {Object} options
+ * @param {number} options.port - HTTP port (0 picks a free one)
+ * @param {number} options.apnsPort - Mock APNs port (0 picks a free one)
+ * @param {string} options.dynamodbEndpoint - DynamoDB Local endpoint; omit for the in-memory store
+ * @returns {Promise<Object>} { url, handler, store, apns, idToken, notify, close }
+ */
+async function createLocalServer({ port = 0, apnsPort = 0, dynamodbEndpoint = process.env.DYNAMODB_ENDPOINT } = {}) {
+  Object.keys(DEFAULT_ENVIRONMENT).forEach((name) => {
+    if (!process.env[name]) {
+      process.env[name] = DEFAULT_ENVIRONMENT[name];
+    }
+  });
+
+  const apnsKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const googleKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const apns = createMockAPNs({
+    publicKey: apnsKey.publicKey,
+    keyId: process.env.APNS_KEY_ID,
+    teamId: process.env.APNS_TEAM_ID
+  });
+  await apns.listen(apnsPort);
+
+  const googleJwks = {
+    keys: [{ ...googleKey.publicKey.export({ format: 'jwk' }), kid: GOOGLE_KEY_ID, alg: 'RS256', use: 'sig' }]
+  };
+  Object.assign(process.env, localEnvironment({ apnsPort: apns.port, googleJwks }));
+
+  // Loaded only now: the function reads its configuration when the module loads
+  const lambda = require('../index');
+  const store = dynamodbEndpoint
+    ? await dynamoDBLocal(dynamodbEndpoint, process.env.DYNAMODB_TABLE_NAME)
+    : new MemoryDocumentClient();
+
+  lambda.setClients({
+    dynamodb: store,
+    secretsManager: secretsManagerStandIn({
+      [process.env.APNS_SECRET_NAME]: apnsKey.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      [process.env.SESSION_SECRET_NAME]: crypto.randomBytes(32).toString('hex')
+    })
+  });
+
+  // Google-signed token as the app (audience: the first client ID) or Pub/Sub would present it
+  function signGoogleToken(claims) {
+    return jwt.sign({ email_verified: true, ...claims }, googleKey.privateKey, {
+      algorithm: 'RS256',
+      keyid: GOOGLE_KEY_ID,
+      issuer: GOOGLE_ISSUER,
+      expiresIn: ID_TOKEN_TTL_SECONDS
+    });
+  }
+
+  function idToken(email) {
+    return signGoogleToken({ email: email, aud: process.env.GOOGLE_CLIENT_IDS.split(',')[0].trim() });
+  }
+
+  /**
+   * Deliver a Gmail change notification the way Pub/Sub pushes it
+   * @returns {Promise<Object>} The handler's response
+   */
+  function notify({ email, historyId, messageId = crypto.randomUUID() }) {
+    const data = Buffer.from(JSON.stringify({ emailAddress: email, historyId: historyId })).toString('base64');
+    const token = signGoogleToken({ email: process.env.PUBSUB_SERVICE_ACCOUNT, aud: process.env.PUBSUB_AUDIENCE });
+
+    return lambda.handler({
+      version: '2.0',
+      rawPath: '/gmail-notification',
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      requestContext: {
+        domainName: 'localhost',
+        requestId: crypto.randomUUID(),
+        http: { method: 'POST', path: '/gmail-notification' }
+      },
+      body: JSON.stringify({
+        message: { data: data, messageId: messageId, publishTime: new Date().toISOString() },
+        subscription: 'projects/local/subscriptions/gmail-push'
+      })
+    });
+  }
+
+  async function handleLocalRequest(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/_local/id-token') {
+      const email = url.searchParams.get('email');
+      if (!email) {
+        sendJson(res, 400, { error: 'email is required' });
+        return;
+      }
+      sendJson(res, 200, { idToken: idToken(email) });
+    } else if (req.method === 'POST' && url.pathname === '/_local/notify') {
+      let params;
+      try {
+        params = JSON.parse(body.toString('utf8'));
+      } catch (error) {
+        params = {};
+      }
+      if (!params.email || !params.historyId) {
+        sendJson(res, 400, { error: 'email and historyId are required' });
+        return;
+      }
+      send(res, await notify(params));
+    } else if (req.method === 'GET' && url.pathname === '/_local/apns') {
+      sendJson(res, 200, { requests: apns.requests });
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const body = await readBody(req);
+      if (req.url.startsWith('/_local/')) {
+        await handleLocalRequest(req, res, body);
+        return;
+      }
+      send(res, await lambda.handler(toFunctionUrlEvent(req, body), { awsRequestId: crypto.randomUUID() }));
+    } catch (error) {
+      console.error(error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    handler: lambda.handler,
+    store: store,
+    apns: apns,
+    idToken: idToken,
+    notify: notify,
+
+    async close() {
+      const closed = new Promise(resolve => server.close(() => resolve()));
+      server.closeAllConnections();
+      await closed;
+      await apns.close();
+    }
+  };
+}
+
+if (require.main === module) {
+  createLocalServer({
+    port: parseInt(process.env.PORT || '3000', 10),
+    apnsPort: parseInt(process.env.MOCK_APNS_PORT || '0', 10)
+  }).then((local) => {
+    console.log(`Local server listening on ${local.url}`);
+    console.log(`Mock APNs listening on http://127.0.0.1:${local.apns.port}`);
+    console.log(`Devices are stored ${process.env.DYNAMODB_ENDPOINT ? `in DynamoDB Local at ${process.env.DYNAMODB_ENDPOINT}` : 'in memory'}`);
+  }).catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createLocalServer,
+  toFunctionUrlEvent
+};
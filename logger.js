@@ -0,0 +1,143 @@
+/**
+ * Structured logging
+ *
+ * Writes one JSON line per entry with `timestamp`, `level`, `message`, the correlation IDs
+ * of the current invocation (`requestId`, Pub/Sub `messageId`, ...) and any extra fields.
+ * Entries below LOG_LEVEL (debug, info, warn, error; default info) are dropped.
+ *
+ * Mailbox addresses and push tokens never appear in clear text: fields named in
+ * REDACTED_FIELDS are hashed, so the same value can still be correlated across lines.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+// Correlation fields of the running invocation (or SQS record)
+const contextStorage = new AsyncLocalStorage();
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Hash the local part of an email address, keeping the domain for debugging
+ * @param {string} email
+ * @returns {string} e.g. `3f2a9c1b7d0e@gmail.com`
+ */
+function redactEmail(email) {
+  if (typeof email !== 'string') {
+    return email;
+  }
+  const at = email.lastIndexOf('@');
+  return at === -1 ? hash(email) : `${hash(email)}${email.slice(at)}`;
+}
+
+/**
+ * Hash a device token or Web Push endpoint
+ * @param {string} token
+ * @returns {string} e.g. `tok_3f2a9c1b7d0e`
+ */
+function redactToken(token) {
+  return typeof token === 'string' ? `tok_${hash(token)}` : token;
+}
+
+const REDACTED_FIELDS = {
+  email: redactEmail,
+  callerEmail: redactEmail,
+  deviceToken: redactToken
+};
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  const serialized = { name: error.name, message: error.message };
+  ['code', 'statusCode', 'reason', 'apnsId', 'apnsUniqueId', 'attempts'].forEach((key) => {
+    if (error[key] !== undefined) {
+      serialized[key] = error[key];
+    }
+  });
+  if (!error.statusCode) {
+    serialized.stack = error.stack;
+  }
+  return serialized;
+}
+
+function format(fields) {
+  const formatted = {};
+
+  Object.keys(fields).forEach((key) => {
+    const value = fields[key];
+    if (value === undefined) {
+      return;
+    }
+    if (REDACTED_FIELDS[key]) {
+      formatted[key] = REDACTED_FIELDS[key](value);
+    } else if (value instanceof Error) {
+      formatted[key] = serializeError(value);
+    } else {
+      formatted[key] = value;
+    }
+  });
+  return formatted;
+}
+
+function enabled(level) {
+  const threshold = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS[DEFAULT_LEVEL];
+  return LEVELS[level] >= threshold;
+}
+
+function write(level, message, fields = {}) {
+  if (!enabled(level)) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level: level,
+    message: message,
+    ...format({ ...contextStorage.getStore(), ...fields })
+  });
+
+  // Warnings and errors go to stderr so they stand out in CloudWatch
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Run fn with correlation fields attached to every entry it logs, including from
+ * asynchronous work it starts. Nested calls inherit the outer fields.
+ * @param {Object} fields - e.g. `{ requestId }`
+ * @param {Function} fn
+ */
+function withContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Add correlation fields to the current context, e.g. once the Pub/Sub messageId is known
+ * @param {Object} fields
+ */
+function addContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  withContext,
+  addContext,
+  redactEmail,
+  redactToken
+};
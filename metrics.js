@@ -0,0 +1,61 @@
+/**
+ * CloudWatch metrics
+ *
+ * Metrics are written to stdout in the Embedded Metric Format (EMF): CloudWatch Logs
+ * extracts them from the log line, so no PutMetricData calls (or AWS credentials) are
+ * needed. Every metric gets the `Environment` dimension (ENVIRONMENT) on top of the
+ * dimensions passed in.
+ *
+ * https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+ */
+const NAMESPACE = 'GmailPush';
+
+function environment() {
+  return process.env.ENVIRONMENT || 'unknown';
+}
+
+function emit(name, value, unit, dimensions = {}, properties = {}) {
+  const allDimensions = { Environment: environment(), ...dimensions };
+
+  console.log(JSON.stringify({
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: NAMESPACE,
+        Dimensions: [Object.keys(allDimensions)],
+        Metrics: [{ Name: name, Unit: unit }]
+      }]
+    },
+    ...properties,
+    ...allDimensions,
+    [name]: value
+  }));
+}
+
+/**
+ * Record a count, e.g. `count('Deliveries', 3, { Platform: 'ios', Outcome: 'delivered' })`
+ * @param {string} name - Metric name
+ * @param {number} value
+ * @param {Object} dimensions - Dimension values (strings)
+ * @param {Object} properties - Extra fields for Logs Insights that are not dimensions
+ */
+function count(name, value, dimensions, properties) {
+  emit(name, value, 'Count', dimensions, properties);
+}
+
+/**
+ * Record a duration in milliseconds
+ * @param {string} name - Metric name
+ * @param {number} milliseconds
+ * @param {Object} dimensions - Dimension values (strings)
+ * @param {Object} properties - Extra fields for Logs Insights that are not dimensions
+ */
+function timing(name, milliseconds, dimensions, properties) {
+  emit(name, milliseconds, 'Milliseconds', dimensions, properties);
+}
+
+module.exports = {
+  NAMESPACE,
+  count,
+  timing
+};
@@ -19,6 +19,39 @@ const mockDynamoDB = {
   })),
   query: jest.fn().mockImplementation((params) => ({
     promise: jest.fn().mockResolvedValue({ Items: [], ...params })
+  })),
+  get: jest.fn().mockImplementation(() => ({
+    promise: jest.fn().mockResolvedValue({})
+  })),
+  update: jest.fn().mockImplementation(() => ({
+    promise: jest.fn().mockResolvedValue({})
+  })),
+  scan: jest.fn().mockImplementation(() => ({
+    promise: jest.fn().mockResolvedValue({ Items: [] })
+  }))
+};
+
+// KMS stand-in: "encrypts" by prefixing and checks the encryption context round-trips
+const mockKMS = {
+  encrypt: jest.fn().mockImplementation(({ Plaintext, EncryptionContext }) => ({
+    promise: jest.fn().mockResolvedValue({
+      CiphertextBlob: Buffer.from(`kms:${EncryptionContext.email}:${Plaintext}`)
+    })
+  })),
+  decrypt: jest.fn().mockImplementation(({ CiphertextBlob, EncryptionContext }) => {
+    const [, email, ...plaintext] = CiphertextBlob.toString().split(':');
+    return {
+      promise: email === EncryptionContext.email
+        ? jest.fn().mockResolvedValue({ Plaintext: Buffer.from(plaintext.join(':')) })
+        : jest.fn().mockRejectedValue(new Error('InvalidCiphertextException'))
+    };
+  })
+};
+
+// SQS stand-in: sent messages are kept in order
+const mockSQS = {
+  sendMessage: jest.fn().mockImplementation(() => ({
+    promise: jest.fn().mockResolvedValue({ MessageId: 'sqs-message-id' })
   }))
 };
 
@@ -26,21 +59,219 @@ jest.mock('aws-sdk', () => ({
   DynamoDB: {
     DocumentClient: jest.fn(() => mockDynamoDB)
   },
+  KMS: jest.fn(() => mockKMS),
+  SQS: jest.fn(() => mockSQS),
   SecretsManager: jest.fn(() => ({
     getSecretValue: jest.fn().mockImplementation((params) => ({
-      promise: jest.fn().mockResolvedValue({ SecretString: 'mock-secret' })
+      promise: jest.fn().mockResolvedValue({ SecretString: mockSecrets[params.SecretId] || 'mock-secret' })
     }))
   }))
 }));
 
-// Mock other dependencies
-jest.mock('jsonwebtoken');
+// Secret values by SecretId; anything else resolves to 'mock-secret'
+const mockSecrets = {};
+
+// Mock APNs: requests are recorded and answered by mockApns.respond(request)
+const mockApns = {
+  requests: [],
+  sessions: [],
+  inFlight: 0,
+  maxInFlight: 0,
+  maxConcurrentStreams: undefined,
+  respond: () => ({ status: 200 }),
+  // Answers pings; false fails them like a session that is gone
+  pingable: true
+};
+
+jest.mock('http2', () => {
+  const { EventEmitter } = require('events');
+
+  return {
+    connect: jest.fn((authority) => {
+      const session = new EventEmitter();
+      session.closed = false;
+      session.destroyed = false;
+      session.remoteSettings = { maxConcurrentStreams: mockApns.maxConcurrentStreams };
+      session.unref = jest.fn();
+      session.close = jest.fn(() => {
+        session.closed = true;
+      });
+      session.destroy = jest.fn(() => {
+        session.destroyed = true;
+        session.emit('close');
+      });
+      session.ping = jest.fn((callback) => {
+        setImmediate(() => (mockApns.pingable
+          ? callback(null, 1, Buffer.alloc(8))
+          : callback(Object.assign(new Error('Ping failed'), { code: 'ERR_HTTP2_PING_CANCEL' }))));
+        return true;
+      });
+      session.request = jest.fn((headers) => {
+        const stream = new EventEmitter();
+        stream.setTimeout = jest.fn((ms, callback) => stream.on('timeout', callback));
+        stream.destroy = jest.fn();
+        stream.end = (payload) => {
+          const request = { authority, headers, payload: JSON.parse(payload) };
+          mockApns.requests.push(request);
+          mockApns.inFlight++;
+          mockApns.maxInFlight = Math.max(mockApns.maxInFlight, mockApns.inFlight);
+          const { status, body, error, timeout, headers: responseHeaders } = mockApns.respond(request);
+          setImmediate(() => {
+            mockApns.inFlight--;
+            if (timeout) {
+              stream.emit('timeout');
+              return;
+            }
+            if (error) {
+              stream.emit('error', error);
+              return;
+            }
+            stream.emit('response', { ':status': status, 'apns-id': headers['apns-id'], ...responseHeaders });
+            if (body) {
+              stream.emit('data', JSON.stringify(body));
+            }
+            stream.emit('end');
+          });
+        };
+        return stream;
+      });
+      mockApns.sessions.push(session);
+      return session;
+    })
+  };
+});
+
+// Mock other dependencies (token verification runs for real against a local JWKS)
+jest.mock('jsonwebtoken', () => ({
+  ...jest.requireActual('jsonwebtoken'),
+  sign: jest.fn()
+}));
 jest.mock('uuid');
 
+const crypto = require('crypto');
+const realJwt = jest.requireActual('jsonwebtoken');
+
+// Local stand-in for Google's OIDC signing key
+const googleKeyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const googleJwks = {
+  keys: [{ ...googleKeyPair.publicKey.export({ format: 'jwk' }), kid: 'test-kid', alg: 'RS256', use: 'sig' }]
+};
+
+// A well-formed APNs device token (64 hex characters)
+const APNS_TOKEN = '740f4707bebcf74f9b7c25d48e3358945f6aa01da5ddb387462c7eaf61bb78ad';
+const PUBSUB_AUDIENCE = 'https://test.lambda-url.us-east-1.on.aws/gmail-notification';
+const PUBSUB_SERVICE_ACCOUNT = 'gmail-push@test-project.iam.gserviceaccount.com';
+const GOOGLE_CLIENT_ID = 'test-client-id.apps.googleusercontent.com';
+
+function signGoogleToken(claims = {}, options = {}) {
+  return realJwt.sign({
+    iss: 'https://accounts.google.com',
+    aud: PUBSUB_AUDIENCE,
+    email: PUBSUB_SERVICE_ACCOUNT,
+    email_verified: true,
+    sub: '1234567890',
+    ...claims
+  }, options.privateKey || googleKeyPair.privateKey, {
+    algorithm: 'RS256',
+    keyid: 'test-kid',
+    ...(claims.exp ? {} : { expiresIn: 3600 }),
+    ...options.signOptions
+  });
+}
+
+function userToken(email = 'test@example.com', claims = {}) {
+  return signGoogleToken({ aud: GOOGLE_CLIENT_ID, email: email, ...claims });
+}
+
+function deviceEvent(method, body, token = userToken(body && body.email), path = '/device') {
+  return {
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    requestContext: {
+      http: {
+        method: method,
+        path: path
+      }
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+function gmailNotificationEvent(envelope, token = signGoogleToken()) {
+  return {
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    requestContext: {
+      domainName: 'test.lambda-url.us-east-1.on.aws',
+      http: {
+        method: 'POST',
+        path: '/gmail-notification'
+      }
+    },
+    body: JSON.stringify(envelope)
+  };
+}
+
+function mockDevices(devices) {
+  mockDynamoDB.query.mockImplementationOnce(() => ({
+    promise: jest.fn().mockResolvedValue({ Items: devices })
+  }));
+}
+
+function mockMailbox(item) {
+  mockDynamoDB.get.mockImplementation(() => ({
+    promise: jest.fn().mockResolvedValue(item ? { Item: item } : {})
+  }));
+}
+
+function encryptedToken(email, token) {
+  return Buffer.from(`kms:${email}:${token}`).toString('base64');
+}
+
+// JSON lines written by the logger, in order
+function loggedEntries() {
+  return [...console.log.mock.calls, ...console.error.mock.calls]
+    .map(([line]) => JSON.parse(line));
+}
+
+// Embedded Metric Format records written to stdout, in order
+function emittedMetrics() {
+  return console.log.mock.calls
+    .map(([line]) => JSON.parse(line))
+    .filter(entry => entry._aws);
+}
+
+// Updates of mailbox record fields (excluding historyId ordering checks)
+function mailboxStateUpdates() {
+  return mockDynamoDB.update.mock.calls
+    .map(([params]) => params)
+    .filter(params => params.ExpressionAttributeNames && params.Key.deviceToken === '#mailbox');
+}
+
+function gmailEnvelope(data = { emailAddress: 'test@example.com', historyId: '1234567890' }, extra = {}) {
+  return {
+    message: {
+      data: Buffer.from(JSON.stringify(data)).toString('base64'),
+      messageId: 'pubsub-message-1',
+      ...extra.message
+    },
+    subscription: 'projects/test-project/subscriptions/gmail-dev-sub',
+    ...extra.envelope
+  };
+}
+
 describe('Gmail Push Notification Lambda', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    mockApns.requests = [];
+    mockApns.sessions = [];
+    mockApns.inFlight = 0;
+    mockApns.maxInFlight = 0;
+    mockApns.maxConcurrentStreams = undefined;
+    mockApns.respond = () => ({ status: 200 });
+    mockApns.pingable = true;
+    mockMailbox({});
+    // Re-require index.js per test so it picks up the environment below
+    jest.resetModules();
 
     // Reset and mock process.env
     process.env = {
@@ -48,7 +279,11 @@ describe('Gmail Push Notification Lambda', () => {
       APNS_TEAM_ID: 'TESTTEAM123',
       APNS_KEY_ID: 'TESTKEY1234',
       APNS_SECRET_NAME: 'test/apns/private-key',
-      APNS_BUNDLE_ID: 'com.test.gmailpush'
+      APNS_BUNDLE_ID: 'com.test.gmailpush',
+      PUBSUB_SERVICE_ACCOUNT: PUBSUB_SERVICE_ACCOUNT,
+      GOOGLE_JWKS: JSON.stringify(googleJwks),
+      GOOGLE_CLIENT_IDS: `other-client-id, ${GOOGLE_CLIENT_ID}`,
+      SESSION_SECRET_NAME: 'test/session/secret'
     };
 
     // Mock jwt.sign
@@ -68,6 +303,7 @@ describe('Gmail Push Notification Lambda', () => {
 
     test('should handle device registration request', async () => {
       const event = {
+        headers: { authorization: `Bearer ${userToken()}` },
         requestContext: {
           http: {
             method: 'POST',
@@ -76,7 +312,7 @@ describe('Gmail Push Notification Lambda', () => {
         },
         body: JSON.stringify({
           email: 'test@example.com',
-          deviceToken: 'test-token-123'
+          deviceToken: APNS_TOKEN
         })
       };
 
@@ -93,15 +329,21 @@ describe('Gmail Push Notification Lambda', () => {
         TableName: 'test-table',
         Item: {
           email: 'test@example.com',
-          deviceToken: 'test-token-123',
+          deviceToken: APNS_TOKEN,
+          pushToken: APNS_TOKEN,
+          provider: 'gmail',
+          platform: 'ios',
+          notificationMode: 'silent',
           registeredAt: expect.any(String),
-          lastActive: expect.any(String)
+          lastActive: expect.any(String),
+          ttl: expect.any(Number)
         }
       });
     });
 
     test('should handle device unregistration request', async () => {
       const event = {
+        headers: { authorization: `Bearer ${userToken()}` },
         requestContext: {
           http: {
             method: 'DELETE',
@@ -127,24 +369,7 @@ describe('Gmail Push Notification Lambda', () => {
     });
 
     test('should handle Gmail notification request', async () => {
-      const gmailData = JSON.stringify({
-        emailAddress: 'test@example.com',
-        historyId: '1234567890'
-      });
-      const base64Data = Buffer.from(gmailData).toString('base64');
-      const event = {
-        requestContext: {
-          http: {
-            method: 'POST',
-            path: '/gmail-notification'
-          }
-        },
-        body: JSON.stringify({
-          message: {
-            data: base64Data
-          }
-        })
-      };
+      const event = gmailNotificationEvent(gmailEnvelope());
 
       const result = await lambda.handler(event);
 
@@ -158,7 +383,7 @@ describe('Gmail Push Notification Lambda', () => {
       expect(mockDynamoDB.query).toHaveBeenCalled();
     });
 
-    test('should return 400 for invalid request format', async () => {
+    test('should return 404 for unknown paths', async () => {
       const event = {
         requestContext: {
           http: {
@@ -170,14 +395,16 @@ describe('Gmail Push Notification Lambda', () => {
 
       const result = await lambda.handler(event);
 
-      expect(result.statusCode).toBe(400);
+      expect(result.statusCode).toBe(404);
       expect(JSON.parse(result.body)).toEqual({
-        error: 'Invalid request format'
+        error: 'No route for /invalid',
+        code: 'not_found'
       });
     });
 
-    test('should return 400 for missing required fields in device request', async () => {
+    test('should return 422 for missing required fields in device request', async () => {
       const event = {
+        headers: { authorization: `Bearer ${userToken()}` },
         requestContext: {
           http: {
             method: 'POST',
@@ -192,14 +419,17 @@ describe('Gmail Push Notification Lambda', () => {
 
       const result = await lambda.handler(event);
 
-      expect(result.statusCode).toBe(400);
+      expect(result.statusCode).toBe(422);
       expect(JSON.parse(result.body)).toEqual({
-        error: 'Email and deviceToken are required'
+        error: 'deviceToken is required',
+        code: 'missing_field',
+        field: 'deviceToken'
       });
     });
 
-    test('should return 500 for invalid JSON in request body', async () => {
+    test('should return 400 for invalid JSON in request body', async () => {
       const event = {
+        headers: { authorization: `Bearer ${userToken()}` },
         requestContext: {
           http: {
             method: 'POST',
@@ -211,30 +441,23 @@ describe('Gmail Push Notification Lambda', () => {
 
       const result = await lambda.handler(event);
 
-      expect(result.statusCode).toBe(500);
+      expect(result.statusCode).toBe(400);
       expect(JSON.parse(result.body)).toEqual({
-        error: 'Internal server error',
-        message: expect.stringContaining('Unexpected token')
+        error: 'Request body is not valid JSON',
+        code: 'invalid_json'
       });
     });
 
     test('should handle missing message body in Gmail notification', async () => {
-      const event = {
-        requestContext: {
-          http: {
-            method: 'POST',
-            path: '/gmail-notification'
-          }
-        },
-        body: JSON.stringify({})
-      };
+      const event = gmailNotificationEvent({});
 
       const result = await lambda.handler(event);
 
-      expect(result.statusCode).toBe(500);
+      expect(result.statusCode).toBe(422);
       expect(JSON.parse(result.body)).toEqual({
-        error: 'Failed to process Gmail notification',
-        message: 'Invalid Pub/Sub message format'
+        error: 'message is required',
+        code: 'missing_field',
+        field: 'message'
       });
     });
   });
@@ -248,6 +471,7 @@ describe('Gmail Push Notification Lambda', () => {
 
     test('should include CORS headers in device endpoints', async () => {
       const event = {
+        headers: { authorization: `Bearer ${userToken()}` },
         requestContext: {
           http: {
             method: 'POST',
@@ -256,7 +480,7 @@ describe('Gmail Push Notification Lambda', () => {
         },
         body: JSON.stringify({
           email: 'test@example.com',
-          deviceToken: 'test-token'
+          deviceToken: APNS_TOKEN
         })
       };
 
@@ -265,30 +489,13 @@ describe('Gmail Push Notification Lambda', () => {
       expect(result.headers).toEqual({
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
+        'Access-Control-Allow-Methods': 'POST, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
       });
     });
 
     test('should include CORS headers for Gmail notification endpoints', async () => {
-      const gmailData = JSON.stringify({
-        emailAddress: 'test@example.com',
-        historyId: '1234567890'
-      });
-      const base64Data = Buffer.from(gmailData).toString('base64');
-      const event = {
-        requestContext: {
-          http: {
-            method: 'POST',
-            path: '/gmail-notification'
-          }
-        },
-        body: JSON.stringify({
-          message: {
-            data: base64Data
-          }
-        })
-      };
+      const event = gmailNotificationEvent(gmailEnvelope());
 
       const result = await handler(event);
 
@@ -316,27 +523,3390 @@ describe('Gmail Push Notification Lambda', () => {
     });
 
     test('should handle invalid Gmail message format', async () => {
-      const event = {
-        requestContext: {
-          http: {
-            method: 'POST',
-            path: '/gmail-notification'
-          }
-        },
-        body: JSON.stringify({
-          message: {
-            data: 'invalid base64 json'
-          }
-        })
-      };
+      const event = gmailNotificationEvent({
+        message: {
+          data: Buffer.from('not json').toString('base64')
+        }
+      });
 
       const result = await handler(event);
 
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body)).toEqual({
+        error: 'message.data must be a base64-encoded JSON object',
+        code: 'invalid_format',
+        field: 'message.data'
+      });
+    });
+  });
+
+  describe('Pub/Sub Authentication', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    test('should accept a valid token for the push endpoint audience', async () => {
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+    });
+
+    test('should honour PUBSUB_AUDIENCE when configured', async () => {
+      process.env.PUBSUB_AUDIENCE = 'custom-audience';
+      jest.resetModules();
+      handler = require('../index.js').handler;
+
+      const accepted = await handler(gmailNotificationEvent(gmailEnvelope(), signGoogleToken({ aud: 'custom-audience' })));
+      const rejected = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(accepted.statusCode).toBe(200);
+      expect(rejected.statusCode).toBe(401);
+    });
+
+    test('should reject requests without a bearer token', async () => {
+      const result = await handler(gmailNotificationEvent(gmailEnvelope(), null));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body)).toEqual({ error: 'Missing bearer token' });
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject tokens not signed by Google', async () => {
+      const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const token = signGoogleToken({}, { privateKey: otherKey.privateKey });
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope(), token));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toContain('invalid signature');
+    });
+
+    test('should reject expired tokens', async () => {
+      const token = signGoogleToken({ exp: Math.floor(Date.now() / 1000) - 60 });
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope(), token));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toContain('jwt expired');
+    });
+
+    test('should reject tokens for another audience', async () => {
+      const token = signGoogleToken({ aud: 'https://someone-else.example.com/push' });
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope(), token));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toContain('audience invalid');
+    });
+
+    test('should reject tokens from another issuer', async () => {
+      const token = signGoogleToken({ iss: 'https://evil.example.com' });
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope(), token));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body).error).toContain('issuer invalid');
+    });
+
+    test('should reject tokens signed with an unknown key', async () => {
+      const token = signGoogleToken({}, { signOptions: { keyid: 'unknown-kid' } });
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope(), token));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body)).toEqual({ error: 'Bearer token signed with unknown key' });
+    });
+
+    test('should return 403 for tokens from another service account', async () => {
+      const token = signGoogleToken({ email: 'intruder@other-project.iam.gserviceaccount.com' });
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope(), token));
+
+      expect(result.statusCode).toBe(403);
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 for subscriptions outside the allow-list', async () => {
+      process.env.PUBSUB_ALLOWED_SUBSCRIPTIONS = 'gmail-prod-sub, projects/test-project/subscriptions/gmail-staging-sub';
+      jest.resetModules();
+      handler = require('../index.js').handler;
+
+      const rejected = await handler(gmailNotificationEvent(gmailEnvelope()));
+      const byFullName = await handler(gmailNotificationEvent(gmailEnvelope(undefined, {
+        envelope: { subscription: 'projects/test-project/subscriptions/gmail-staging-sub' }
+      })));
+      const byShortName = await handler(gmailNotificationEvent(gmailEnvelope(undefined, {
+        envelope: { subscription: 'projects/test-project/subscriptions/gmail-prod-sub' }
+      })));
+
+      expect(rejected.statusCode).toBe(403);
+      expect(JSON.parse(rejected.body)).toEqual({
+        error: 'Subscription not allowed: projects/test-project/subscriptions/gmail-dev-sub'
+      });
+      expect(byFullName.statusCode).toBe(200);
+      expect(byShortName.statusCode).toBe(200);
+    });
+
+    test('should fail closed when the service account is not configured', async () => {
+      delete process.env.PUBSUB_SERVICE_ACCOUNT;
+      jest.resetModules();
+      handler = require('../index.js').handler;
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
       expect(result.statusCode).toBe(500);
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Device Authentication', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    test('should reject device requests without a bearer token', async () => {
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }, null));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body)).toEqual({ error: 'Missing bearer token' });
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should reject Google ID tokens issued to another client', async () => {
+      const token = userToken('test@example.com', { aud: 'someone-elses-client-id' });
+
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }, token));
+
+      expect(result.statusCode).toBe(401);
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should reject Google ID tokens without a verified email', async () => {
+      const token = userToken('test@example.com', { email_verified: false });
+
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }, token));
+
+      expect(result.statusCode).toBe(401);
+      expect(JSON.parse(result.body)).toEqual({ error: 'Bearer token has no verified email' });
+    });
+
+    test('should return 403 when registering a device for another mailbox', async () => {
+      const token = userToken('attacker@example.com');
+
+      const result = await handler(deviceEvent('POST', { email: 'victim@example.com', deviceToken: APNS_TOKEN }, token));
+
+      expect(result.statusCode).toBe(403);
+      expect(JSON.parse(result.body)).toEqual({ error: 'Bearer token does not belong to this email' });
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 when unregistering another mailbox\'s device', async () => {
+      const token = userToken('attacker@example.com');
+
+      const result = await handler(deviceEvent('DELETE', { email: 'victim@example.com', deviceToken: 'token' }, token));
+
+      expect(result.statusCode).toBe(403);
+      expect(mockDynamoDB.delete).not.toHaveBeenCalled();
+    });
+
+    test('should match emails case-insensitively', async () => {
+      const token = userToken('Test@Example.com');
+
+      const result = await handler(deviceEvent('POST', { email: 'test@EXAMPLE.com', deviceToken: APNS_TOKEN }, token));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item.email).toBe('test@example.com');
+    });
+
+    test('should store mailbox settings under the lowercase address', async () => {
+      const token = userToken('Test@Example.com');
+
+      const result = await handler(deviceEvent('PUT', { email: 'Test@Example.com', preferences: { timezone: 'Europe/Berlin' } }, token, '/preferences'));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ email: 'test@example.com', deviceToken: '#preferences' });
+    });
+
+    describe('Session tokens', () => {
+      function sessionToken(email, prov) {
+        return realJwt.sign({ sub: email, prov: prov }, 'mock-secret', {
+          algorithm: 'HS256',
+          audience: 'mailreader-session',
+          issuer: 'mailreader-server',
+          expiresIn: 3600
+        });
+      }
+
+      beforeEach(() => {
+        require('jsonwebtoken').sign.mockImplementation(realJwt.sign);
+      });
+
+      test('should exchange a Google ID token for a session token', async () => {
+        const result = await handler(deviceEvent('POST', undefined, userToken(), '/session'));
+        const session = JSON.parse(result.body);
+
+        expect(result.statusCode).toBe(200);
+        expect(session).toEqual({
+          sessionToken: expect.any(String),
+          email: 'test@example.com',
+          expiresAt: expect.any(String)
+        });
+        expect(realJwt.verify(session.sessionToken, 'mock-secret')).toMatchObject({
+          sub: 'test@example.com',
+          prov: 'google',
+          iss: 'mailreader-server',
+          aud: 'mailreader-session'
+        });
+      });
+
+      test('should not mint a session without a valid Google ID token', async () => {
+        const result = await handler(deviceEvent('POST', undefined, null, '/session'));
+
+        expect(result.statusCode).toBe(401);
+      });
+
+      test('should accept session tokens on device requests', async () => {
+        const sessionResult = await handler(deviceEvent('POST', undefined, userToken(), '/session'));
+        const { sessionToken } = JSON.parse(sessionResult.body);
+
+        const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }, sessionToken));
+
+        expect(result.statusCode).toBe(200);
+        expect(mockDynamoDB.put).toHaveBeenCalled();
+      });
+
+      test('should return 403 for session tokens of another mailbox', async () => {
+        const sessionResult = await handler(deviceEvent('POST', undefined, userToken('attacker@example.com'), '/session'));
+        const { sessionToken } = JSON.parse(sessionResult.body);
+
+        const result = await handler(deviceEvent('DELETE', { email: 'victim@example.com', deviceToken: 'token' }, sessionToken));
+
+        expect(result.statusCode).toBe(403);
+      });
+
+      test('should reject session tokens signed with another secret', async () => {
+        const forged = realJwt.sign({ sub: 'victim@example.com' }, 'guessed-secret', {
+          algorithm: 'HS256',
+          audience: 'mailreader-session',
+          issuer: 'mailreader-server',
+          expiresIn: 3600
+        });
+
+        const result = await handler(deviceEvent('POST', { email: 'victim@example.com', deviceToken: APNS_TOKEN }, forged));
+
+        expect(result.statusCode).toBe(401);
+        expect(JSON.parse(result.body).error).toContain('Invalid session token');
+      });
+
+      test('should reject session tokens that do not say who verified the address', async () => {
+        const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }, sessionToken('test@example.com', undefined)));
+
+        expect(result.statusCode).toBe(401);
+        expect(mockDynamoDB.put).not.toHaveBeenCalled();
+      });
+
+      test('should limit Microsoft sessions to Outlook devices and settings', async () => {
+        process.env.ADMIN_EMAILS = 'test@example.com';
+        jest.resetModules();
+        handler = require('../index.js').handler;
+        const token = sessionToken('test@example.com', 'microsoft');
+        const body = { email: 'test@example.com', deviceToken: APNS_TOKEN };
+
+        expect((await handler(deviceEvent('POST', body, token))).statusCode).toBe(403);
+        expect((await handler(deviceEvent('POST', { email: 'test@example.com', refreshToken: 'refresh-token' }, token, '/gmail-credentials'))).statusCode).toBe(403);
+        expect((await handler(deviceEvent('POST', { deviceToken: APNS_TOKEN }, token, '/admin/test-push'))).statusCode).toBe(403);
+        expect(mockDynamoDB.put).not.toHaveBeenCalled();
+
+        // A Gmail device of the mailbox is out of reach
+        mockDynamoDB.get.mockImplementationOnce(() => ({
+          promise: jest.fn().mockResolvedValue({ Item: { ...body, provider: 'gmail' } })
+        }));
+        expect((await handler(deviceEvent('DELETE', body, token))).statusCode).toBe(403);
+        expect(mockDynamoDB.delete).not.toHaveBeenCalled();
+
+        expect((await handler(deviceEvent('POST', { ...body, provider: 'outlook' }, token))).statusCode).toBe(200);
+
+        mockDevices([{ ...body, provider: 'gmail' }, { email: 'test@example.com', deviceToken: 'outlook-token', provider: 'outlook' }]);
+        const listed = await handler({ ...deviceEvent('GET', undefined, token, '/devices'), queryStringParameters: { email: 'test@example.com' } });
+        expect(JSON.parse(listed.body).devices.map(device => device.deviceToken)).toEqual(['outlook-token']);
+      });
+    });
+  });
+
+  describe('Dead Token Pruning', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    test('should remove devices APNs reports as unregistered or bad', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'good-token' },
+        { email: 'test@example.com', deviceToken: 'unregistered-token' },
+        { email: 'test@example.com', deviceToken: 'bad-token' }
+      ]);
+      mockApns.respond = ({ headers }) => {
+        if (headers[':path'].endsWith('/unregistered-token')) {
+          return { status: 410, body: { reason: 'Unregistered', timestamp: 1700000000000 } };
+        }
+        if (headers[':path'].endsWith('/bad-token')) {
+          return { status: 400, body: { reason: 'BadDeviceToken' } };
+        }
+        return { status: 200 };
+      };
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
       expect(JSON.parse(result.body)).toEqual({
-        error: 'Failed to process Gmail notification',
-        message: expect.stringContaining('Failed to parse Gmail message')
+        success: true,
+        message: 'Notifications sent to 1 devices',
+        failed: 2,
+        pruned: 2,
+        deferred: 0,
+        downgraded: 0,
+        skippedDevices: []
+      });
+      expect(mockDynamoDB.delete).toHaveBeenCalledTimes(2);
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: 'unregistered-token' }
+      });
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: 'bad-token' }
+      });
+    });
+
+    test('should keep devices that failed for transient reasons', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'busy-token' }]);
+      mockApns.respond = () => ({ status: 429, body: { reason: 'TooManyRequests' } });
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 1, pruned: 0 });
+      expect(mockDynamoDB.delete).not.toHaveBeenCalled();
+    });
+
+    test('should report devices that could not be pruned', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'unregistered-token' }]);
+      mockApns.respond = () => ({ status: 410, body: { reason: 'Unregistered' } });
+      mockDynamoDB.delete.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(new Error('Throttled'))
+      }));
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 1, pruned: 0 });
+    });
+  });
+
+  describe('APNs Client', () => {
+    let handler;
+    let http2;
+    let jwt;
+
+    const threeDevices = [
+      { email: 'test@example.com', deviceToken: 'token-1' },
+      { email: 'test@example.com', deviceToken: 'token-2' },
+      { email: 'test@example.com', deviceToken: 'token-3' }
+    ];
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+      http2 = require('http2');
+      jwt = require('jsonwebtoken');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should share one session and provider token across a fan-out', async () => {
+      mockDevices(threeDevices);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(mockApns.requests).toHaveLength(3);
+      expect(http2.connect).toHaveBeenCalledTimes(1);
+      expect(http2.connect).toHaveBeenCalledWith('https://api.sandbox.push.apple.com');
+      expect(jwt.sign).toHaveBeenCalledTimes(1);
+      mockApns.requests.forEach(({ headers }) => {
+        expect(headers.authorization).toBe('bearer mock-jwt-token');
       });
     });
+
+    test('should reuse the session and token across warm invocations', async () => {
+      mockDevices(threeDevices);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      mockDevices(threeDevices);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(mockApns.requests).toHaveLength(6);
+      expect(http2.connect).toHaveBeenCalledTimes(1);
+      expect(jwt.sign).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refresh the provider token once it is 50 minutes old', async () => {
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      mockDevices(threeDevices);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      now.mockReturnValue(start + 49 * 60 * 1000);
+      mockDevices(threeDevices);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      expect(jwt.sign).toHaveBeenCalledTimes(1);
+
+      now.mockReturnValue(start + 50 * 60 * 1000);
+      mockDevices(threeDevices);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      expect(jwt.sign).toHaveBeenCalledTimes(2);
+    });
+
+    test('should only replace a rejected provider token after 20 minutes', async () => {
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+      mockApns.respond = () => ({ status: 403, body: { reason: 'ExpiredProviderToken' } });
+
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      expect(jwt.sign).toHaveBeenCalledTimes(1);
+
+      now.mockReturnValue(start + 20 * 60 * 1000);
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      expect(jwt.sign).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reconnect after the server sends GOAWAY', async () => {
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      mockApns.sessions[0].emit('goaway');
+
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(http2.connect).toHaveBeenCalledTimes(2);
+    });
+
+    test('should resend once on a fresh session when the session failed', async () => {
+      let attempts = 0;
+      mockApns.respond = () => {
+        attempts++;
+        return attempts === 1
+          ? { error: Object.assign(new Error('Session closed with error code 2'), { code: 'ERR_HTTP2_SESSION_ERROR' }) }
+          : { status: 200 };
+      };
+      mockDevices([threeDevices[0]]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 0 });
+      expect(http2.connect).toHaveBeenCalledTimes(2);
+      expect(mockApns.sessions[0].destroy).toHaveBeenCalled();
+    });
+
+    test('should resend a single failed stream without dropping the session', async () => {
+      let failed = false;
+      mockApns.respond = ({ headers }) => {
+        if (headers[':path'].endsWith('/token-1') && !failed) {
+          failed = true;
+          return { error: Object.assign(new Error('Stream closed with error code NGHTTP2_REFUSED_STREAM'), { code: 'ERR_HTTP2_STREAM_ERROR' }) };
+        }
+        return { status: 200 };
+      };
+      mockDevices(threeDevices);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 0 });
+      expect(mockApns.requests).toHaveLength(4);
+      expect(http2.connect).toHaveBeenCalledTimes(1);
+      expect(mockApns.sessions[0].destroy).not.toHaveBeenCalled();
+    });
+
+    test('should give up on a stream that does not answer and resend on a fresh session', async () => {
+      let attempts = 0;
+      mockApns.respond = () => {
+        attempts++;
+        return attempts === 1 ? { timeout: true } : { status: 200 };
+      };
+      mockDevices([threeDevices[0]]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 0 });
+      expect(http2.connect).toHaveBeenCalledTimes(2);
+      expect(mockApns.sessions[0].destroy).toHaveBeenCalled();
+      expect(mockApns.sessions[0].request.mock.results[0].value.destroy).toHaveBeenCalled();
+    });
+
+    test('should ping an idle session before reusing it', async () => {
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      now.mockReturnValue(start + 30 * 1000);
+      mockDevices([threeDevices[0]]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      expect(mockApns.sessions[0].ping).not.toHaveBeenCalled();
+
+      now.mockReturnValue(start + 2 * 60 * 1000);
+      mockApns.pingable = false;
+      mockDevices([threeDevices[0]]);
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 0 });
+      expect(mockApns.sessions[0].ping).toHaveBeenCalledTimes(1);
+      expect(mockApns.sessions[0].destroy).toHaveBeenCalled();
+      expect(http2.connect).toHaveBeenCalledTimes(2);
+    });
+
+    test('should respect the server\'s concurrent stream limit', async () => {
+      mockApns.maxConcurrentStreams = 2;
+      mockDevices([
+        ...threeDevices,
+        { email: 'test@example.com', deviceToken: 'token-4' },
+        { email: 'test@example.com', deviceToken: 'token-5' }
+      ]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ message: 'Notifications sent to 5 devices' });
+      expect(mockApns.maxInFlight).toBe(2);
+    });
+  });
+
+  describe('Notification Modes', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    test('should store the chosen mode at registration', async () => {
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN, mode: 'preview' }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ notificationMode: 'preview' });
+    });
+
+    test('should reject unknown modes', async () => {
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN, mode: 'loud' }));
+
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body)).toEqual({ error: 'mode must be one of: silent, alert, preview', code: 'invalid_value', field: 'mode' });
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should send silent background pushes by default', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'legacy-token' }]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const [{ headers, payload }] = mockApns.requests;
+      expect(headers['apns-push-type']).toBe('background');
+      expect(headers['apns-priority']).toBe('5');
+      expect(payload).toEqual({
+        aps: { 'content-available': 1 },
+        gmail: { email: 'test@example.com', historyId: '1234567890', timestamp: expect.any(String) }
+      });
+    });
+
+    test('should send visible alerts in alert mode', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'alert-token', notificationMode: 'alert' }]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const [{ headers, payload }] = mockApns.requests;
+      expect(headers['apns-push-type']).toBe('alert');
+      expect(headers['apns-priority']).toBe('10');
+      expect(payload.aps).toEqual({
+        alert: { title: 'New Gmail Message', body: 'You have a new email in your inbox' },
+        sound: 'default',
+        category: 'GMAIL_NOTIFICATION',
+        'thread-id': 'test@example.com'
+      });
+      expect(payload.gmail).toMatchObject({ historyId: '1234567890' });
+    });
+
+    test('should let the app extension fill in previews the server cannot provide', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'preview-token', notificationMode: 'preview' }]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const [{ headers, payload }] = mockApns.requests;
+      expect(headers['apns-push-type']).toBe('alert');
+      expect(payload.aps).toMatchObject({
+        alert: { title: 'New Gmail Message', body: 'You have a new email in your inbox' },
+        'mutable-content': 1
+      });
+    });
+  });
+
+  describe('Gmail Enrichment', () => {
+    let lambda;
+    let fakeGmail;
+
+    function gmailMessage(id, from, subject, labelIds = ['INBOX', 'UNREAD']) {
+      return {
+        id: id,
+        threadId: `thread-${id}`,
+        labelIds: labelIds,
+        snippet: `Snippet of ${id}`,
+        payload: {
+          headers: [
+            { name: 'From', value: from },
+            { name: 'Subject', value: subject }
+          ]
+        }
+      };
+    }
+
+    beforeEach(() => {
+      lambda = require('../index.js');
+
+      const messages = {
+        m1: gmailMessage('m1', '"Alice Example" <alice@example.com>', 'Lunch?'),
+        m2: gmailMessage('m2', 'bob@example.com', 'Quarterly report'),
+        m3: gmailMessage('m3', 'carol@example.com', 'Draft', ['DRAFT'])
+      };
+
+      fakeGmail = {
+        refreshAccessToken: jest.fn().mockResolvedValue({ accessToken: 'access-token', expiresIn: 3600 }),
+        listHistory: jest.fn().mockResolvedValue({
+          history: [
+            { messagesAdded: [{ message: { id: 'm1', threadId: 'thread-m1', labelIds: ['INBOX', 'UNREAD'] } }] },
+            { messagesAdded: [{ message: { id: 'm3', threadId: 'thread-m3', labelIds: ['DRAFT'] } }] },
+            { messagesAdded: [{ message: { id: 'm2', threadId: 'thread-m2', labelIds: ['INBOX', 'UNREAD'] } }] }
+          ],
+          historyId: '1234567890'
+        }),
+        getMessage: jest.fn((accessToken, id) => Promise.resolve(messages[id]))
+      };
+      lambda.setClients({ gmail: fakeGmail });
+    });
+
+    test('should store refresh tokens encrypted for the mailbox owner', async () => {
+      process.env.TOKEN_KMS_KEY_ID = 'alias/test-tokens';
+      jest.resetModules();
+      lambda = require('../index.js');
+
+      const result = await lambda.handler(deviceEvent('POST', {
+        email: 'test@example.com',
+        refreshToken: 'refresh-token'
+      }, userToken(), '/gmail-credentials'));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockKMS.encrypt).toHaveBeenCalledWith({
+        KeyId: 'alias/test-tokens',
+        Plaintext: 'refresh-token',
+        EncryptionContext: { email: 'test@example.com' }
+      });
+      const update = mailboxStateUpdates()[0];
+      expect(update.Key).toEqual({ email: 'test@example.com', deviceToken: '#mailbox' });
+      expect(Object.values(update.ExpressionAttributeValues)).toContain(encryptedToken('test@example.com', 'refresh-token'));
+      expect(JSON.stringify(update)).not.toContain('"refresh-token"');
+    });
+
+    test('should not store refresh tokens for another mailbox', async () => {
+      const result = await lambda.handler(deviceEvent('POST', {
+        email: 'victim@example.com',
+        refreshToken: 'refresh-token'
+      }, userToken('attacker@example.com'), '/gmail-credentials'));
+
+      expect(result.statusCode).toBe(403);
+      expect(mailboxStateUpdates()).toHaveLength(0);
+    });
+
+    test('should enrich pushes with new INBOX message metadata', async () => {
+      mockMailbox({ gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token'), lastHistoryId: '1234500000' });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'preview-token', notificationMode: 'preview' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+      expect(fakeGmail.refreshAccessToken).toHaveBeenCalledWith('refresh-token');
+      expect(fakeGmail.listHistory).toHaveBeenCalledWith('access-token', {
+        startHistoryId: '1234500000',
+        historyTypes: 'messageAdded',
+        labelId: 'INBOX'
+      });
+      expect(fakeGmail.getMessage).toHaveBeenCalledTimes(2);
+
+      const [{ payload }] = mockApns.requests;
+      expect(payload.aps).toMatchObject({
+        alert: { title: 'bob@example.com', body: 'Quarterly report' },
+        'thread-id': 'thread-m2'
+      });
+      expect(payload.gmail.newMessageCount).toBe(2);
+      expect(payload.gmail.messages).toEqual([
+        { id: 'm1', threadId: 'thread-m1', from: '"Alice Example" <alice@example.com>', subject: 'Lunch?', snippet: 'Snippet of m1', labelIds: ['INBOX', 'UNREAD'] },
+        { id: 'm2', threadId: 'thread-m2', from: 'bob@example.com', subject: 'Quarterly report', snippet: 'Snippet of m2', labelIds: ['INBOX', 'UNREAD'] }
+      ]);
+
+      const update = mailboxStateUpdates()[0];
+      expect(update.Key).toEqual({ email: 'test@example.com', deviceToken: '#mailbox' });
+      expect(update.ExpressionAttributeNames).toEqual({ '#f0': 'lastHistoryId' });
+      expect(update.ExpressionAttributeValues).toMatchObject({ ':v0': '1234567890' });
+    });
+
+    test('should use the sender display name and message count in alerts', async () => {
+      fakeGmail.listHistory.mockResolvedValue({
+        history: [{ messagesAdded: [{ message: { id: 'm1', labelIds: ['INBOX'] } }] }]
+      });
+      mockMailbox({ gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token'), lastHistoryId: '1' });
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'preview-token', notificationMode: 'preview' },
+        { email: 'test@example.com', deviceToken: 'alert-token', notificationMode: 'alert' }
+      ]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const preview = mockApns.requests.find(r => r.headers[':path'].endsWith('/preview-token'));
+      const alert = mockApns.requests.find(r => r.headers[':path'].endsWith('/alert-token'));
+      expect(preview.payload.aps.alert).toEqual({ title: 'Alice Example', body: 'Lunch?' });
+      expect(alert.payload.aps.alert).toEqual({ title: 'New Gmail Message', body: 'You have a new email in your inbox' });
+    });
+
+    test('should skip enrichment for mailboxes without credentials', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(fakeGmail.listHistory).not.toHaveBeenCalled();
+      expect(mailboxStateUpdates()).toHaveLength(0);
+      expect(mockApns.requests).toHaveLength(1);
+    });
+
+    test('should only record the historyId on the first notification', async () => {
+      mockMailbox({ gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token') });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(fakeGmail.listHistory).not.toHaveBeenCalled();
+      expect(mailboxStateUpdates()[0].ExpressionAttributeValues).toMatchObject({ ':v0': '1234567890' });
+    });
+
+    test('should fall back to the generic push when Gmail fails', async () => {
+      fakeGmail.listHistory.mockRejectedValue(Object.assign(new Error('Backend Error'), { statusCode: 503 }));
+      mockMailbox({ gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token'), lastHistoryId: '1' });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'alert-token', notificationMode: 'alert' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockApns.requests[0].payload.aps.alert.title).toBe('New Gmail Message');
+      // Not advanced, so the next notification retries this range
+      expect(mailboxStateUpdates()).toHaveLength(0);
+    });
+
+    test('should restart from the notification when the stored historyId expired', async () => {
+      fakeGmail.listHistory.mockRejectedValue(Object.assign(new Error('Not Found'), { statusCode: 404 }));
+      mockMailbox({ gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token'), lastHistoryId: '1' });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(mailboxStateUpdates()[0].ExpressionAttributeValues).toMatchObject({ ':v0': '1234567890' });
+    });
+
+    test('should remove revoked refresh tokens', async () => {
+      fakeGmail.refreshAccessToken.mockRejectedValue(Object.assign(new Error('revoked'), { statusCode: 400, reason: 'invalid_grant' }));
+      mockMailbox({ gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token'), lastHistoryId: '1' });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+      const update = mailboxStateUpdates()[0];
+      expect(update.UpdateExpression).toBe('SET updatedAt = :updatedAt REMOVE #f0');
+      expect(update.ExpressionAttributeNames).toEqual({ '#f0': 'gmailRefreshToken' });
+    });
+  });
+
+  describe('Redelivery Protection', () => {
+    let handler;
+
+    const conditionalCheckFailed = () => ({
+      promise: jest.fn().mockRejectedValue(Object.assign(new Error('The conditional request failed'), {
+        code: 'ConditionalCheckFailedException'
+      }))
+    });
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    test('should claim each Pub/Sub message with a TTL before fan-out', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(mockDynamoDB.put).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Item: {
+          email: '#pubsub:pubsub-message-1',
+          deviceToken: '#pubsub-message',
+          receivedAt: expect.any(String),
+          ttl: expect.any(Number)
+        },
+        ConditionExpression: 'attribute_not_exists(email)'
+      });
+      const { ttl } = mockDynamoDB.put.mock.calls[0][0].Item;
+      expect(ttl - Date.now() / 1000).toBeGreaterThan(6 * 24 * 60 * 60);
+    });
+
+    test('should skip redelivered Pub/Sub messages', async () => {
+      mockDynamoDB.put.mockImplementationOnce(conditionalCheckFailed);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({
+        success: true,
+        skipped: 'duplicate',
+        message: 'Pub/Sub message pubsub-message-1 already processed'
+      });
+      expect(mockApns.requests).toHaveLength(0);
+      expect(loggedEntries()).toContainEqual(expect.objectContaining({
+        level: 'info',
+        message: 'Skipping duplicate Pub/Sub message',
+        messageId: 'pubsub-message-1'
+      }));
+    });
+
+    test('should skip notifications older than the last one notified', async () => {
+      mockDynamoDB.update.mockImplementationOnce(conditionalCheckFailed);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toEqual({
+        success: true,
+        skipped: 'stale',
+        message: 'historyId 1234567890 is older than the last notification'
+      });
+      expect(mockApns.requests).toHaveLength(0);
+      expect(mockDynamoDB.update).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: '#mailbox' },
+        UpdateExpression: 'SET lastNotifiedHistoryKey = :historyKey, updatedAt = :updatedAt',
+        ConditionExpression: 'attribute_not_exists(lastNotifiedHistoryKey) OR lastNotifiedHistoryKey <= :historyKey',
+        ExpressionAttributeValues: { ':historyKey': '00000000001234567890', ':updatedAt': expect.any(String) }
+      });
+    });
+
+    test('should compare historyIds beyond 2^53 without rounding', async () => {
+      await handler(gmailNotificationEvent(gmailEnvelope({
+        emailAddress: 'test@example.com',
+        historyId: '12345678901234567891'
+      })));
+
+      // Number() would round this to 12345678901234567000, equal to its neighbours
+      expect(mockDynamoDB.update).toHaveBeenCalledWith(expect.objectContaining({
+        ExpressionAttributeValues: { ':historyKey': '12345678901234567891', ':updatedAt': expect.any(String) }
+      }));
+    });
+
+    test('should release the claim when processing fails so the retry is delivered', async () => {
+      mockDynamoDB.query.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(new Error('Service unavailable'))
+      }));
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(500);
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: '#pubsub:pubsub-message-1', deviceToken: '#pubsub-message' }
+      });
+    });
+
+    test('should not treat mailbox records as devices', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: '#mailbox', lastNotifiedHistoryKey: '00000000000000000001' },
+        { email: 'test@example.com', deviceToken: 'token' }
+      ]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(mockApns.requests).toHaveLength(1);
+    });
+  });
+
+  describe('Android Delivery (FCM)', () => {
+    const http = require('http');
+    const serviceAccountKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let server;
+    let baseUrl;
+    let fcm;
+    let handler;
+
+    // Local stand-in for Google's token endpoint and the FCM v1 API
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          const reply = (status, json) => {
+            res.writeHead(status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(json));
+          };
+
+          if (req.url === '/token') {
+            const assertion = new URLSearchParams(body).get('assertion');
+            try {
+              fcm.assertions.push(realJwt.verify(assertion, serviceAccountKey.publicKey, { algorithms: ['RS256'] }));
+              reply(200, { access_token: 'fcm-access-token', expires_in: 3600, token_type: 'Bearer' });
+            } catch (error) {
+              reply(400, { error: 'invalid_grant' });
+            }
+            return;
+          }
+
+          const request = { url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) };
+          fcm.requests.push(request);
+          const { status, json } = fcm.respond(request);
+          reply(status, json);
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      fcm = {
+        assertions: [],
+        requests: [],
+        respond: () => ({ status: 200, json: { name: 'projects/test-firebase/messages/1' } })
+      };
+
+      process.env.FCM_SECRET_NAME = 'test/fcm/service-account';
+      process.env.FCM_API_BASE_URL = baseUrl;
+      mockSecrets['test/fcm/service-account'] = JSON.stringify({
+        type: 'service_account',
+        project_id: 'test-firebase',
+        private_key_id: 'fcm-key-1',
+        private_key: serviceAccountKey.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        client_email: 'firebase-adminsdk@test-firebase.iam.gserviceaccount.com',
+        token_uri: `${baseUrl}/token`
+      });
+
+      jest.resetModules();
+      // Sign real RS256 assertions for FCM; keep the APNs provider token mocked
+      require('jsonwebtoken').sign.mockImplementation((payload, key, options) =>
+        options.algorithm === 'RS256' ? realJwt.sign(payload, key, options) : 'mock-jwt-token'
+      );
+      handler = require('../index.js').handler;
+    });
+
+    test('should store the platform at registration', async () => {
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: 'fcm-token', platform: 'android' }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ platform: 'android' });
+    });
+
+    test('should reject unknown platforms', async () => {
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN, platform: 'symbian' }));
+
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body)).toEqual({ error: 'platform must be one of: ios, android, web', code: 'invalid_value', field: 'platform' });
+    });
+
+    test('should route each device to its platform\'s provider', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'apns-token', platform: 'ios' },
+        { email: 'test@example.com', deviceToken: 'fcm-token', platform: 'android', notificationMode: 'alert' }
+      ]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ message: 'Notifications sent to 2 devices', failed: 0 });
+      expect(mockApns.requests).toHaveLength(1);
+      expect(mockApns.requests[0].headers[':path']).toBe('/3/device/apns-token');
+
+      expect(fcm.assertions).toEqual([expect.objectContaining({
+        iss: 'firebase-adminsdk@test-firebase.iam.gserviceaccount.com',
+        scope: 'https://www.googleapis.com/auth/firebase.messaging',
+        aud: `${baseUrl}/token`
+      })]);
+      expect(fcm.requests).toHaveLength(1);
+      expect(fcm.requests[0].url).toBe('/v1/projects/test-firebase/messages:send');
+      expect(fcm.requests[0].authorization).toBe('Bearer fcm-access-token');
+      expect(fcm.requests[0].body.message).toEqual({
+        token: 'fcm-token',
+        data: { gmail: expect.any(String) },
+        notification: { title: 'New Gmail Message', body: 'You have a new email in your inbox' },
+        android: {
+          priority: 'HIGH',
+          notification: { tag: 'test@example.com', click_action: 'GMAIL_NOTIFICATION', default_sound: true }
+        }
+      });
+      expect(JSON.parse(fcm.requests[0].body.message.data.gmail)).toMatchObject({ historyId: '1234567890' });
+    });
+
+    test('should send data-only messages to silent Android devices', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'fcm-token', platform: 'android' }]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(fcm.requests[0].body.message).toEqual({
+        token: 'fcm-token',
+        data: { gmail: expect.any(String) },
+        android: { priority: 'NORMAL' }
+      });
+    });
+
+    test('should reuse the FCM access token across sends', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'fcm-1', platform: 'android' },
+        { email: 'test@example.com', deviceToken: 'fcm-2', platform: 'android' }
+      ]);
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+      mockDevices([{ email: 'test@example.com', deviceToken: 'fcm-1', platform: 'android' }]);
+      await handler(gmailNotificationEvent(gmailEnvelope(undefined, { message: { messageId: 'pubsub-message-2' } })));
+
+      expect(fcm.requests).toHaveLength(3);
+      expect(fcm.assertions).toHaveLength(1);
+    });
+
+    test('should prune Android devices FCM reports as unregistered', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'fcm-gone', platform: 'android' },
+        { email: 'test@example.com', deviceToken: 'fcm-busy', platform: 'android' }
+      ]);
+      fcm.respond = ({ body }) => body.message.token === 'fcm-gone'
+        ? {
+          status: 404,
+          json: {
+            error: {
+              code: 404,
+              status: 'NOT_FOUND',
+              message: 'Requested entity was not found.',
+              details: [{ '@type': 'type.googleapis.com/google.firebase.fcm.v1.FcmError', errorCode: 'UNREGISTERED' }]
+            }
+          }
+        }
+        : { status: 503, json: { error: { code: 503, status: 'UNAVAILABLE', message: 'Try later' } } };
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 2, pruned: 1 });
+      expect(mockDynamoDB.delete).toHaveBeenCalledTimes(1);
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: 'fcm-gone' }
+      });
+    });
+
+    test('should let tests plug in their own providers', async () => {
+      const lambda = require('../index.js');
+      const send = jest.fn().mockResolvedValue({ success: true });
+      lambda.setClients({ push: { ios: { send }, android: { send } } });
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'apns-token' },
+        { email: 'test@example.com', deviceToken: 'fcm-token', platform: 'android' }
+      ]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(mockApns.requests).toHaveLength(0);
+      expect(fcm.requests).toHaveLength(0);
+    });
+  });
+
+  describe('Web Push Delivery', () => {
+    const http = require('http');
+    let server;
+    let baseUrl;
+    let pushService;
+    let handler;
+
+    // Browser side of a subscription: P-256 key pair and auth secret
+    const browser = crypto.createECDH('prime256v1');
+    browser.generateKeys();
+    const authSecret = crypto.randomBytes(16);
+
+    // Application server (VAPID) key pair in the raw form web-push tooling produces
+    const vapid = crypto.createECDH('prime256v1');
+    vapid.generateKeys();
+    const vapidPublicKey = vapid.getPublicKey().toString('base64url');
+
+    function subscription(path = '/push/sub-1') {
+      return {
+        endpoint: `${baseUrl}${path}`,
+        keys: {
+          p256dh: browser.getPublicKey().toString('base64url'),
+          auth: authSecret.toString('base64url')
+        }
+      };
+    }
+
+    function webDevice(path = '/push/sub-1', extra = {}) {
+      const { endpoint, keys } = subscription(path);
+      return { email: 'test@example.com', deviceToken: endpoint, platform: 'web', webPushKeys: keys, ...extra };
+    }
+
+    // Receiver side of RFC 8291, independent of the implementation under test
+    function decrypt(body) {
+      const salt = body.subarray(0, 16);
+      const recordSize = body.readUInt32BE(16);
+      const keyIdLength = body.readUInt8(20);
+      const asPublic = body.subarray(21, 21 + keyIdLength);
+      const ciphertext = body.subarray(21 + keyIdLength);
+
+      const ecdhSecret = browser.computeSecret(asPublic);
+      const prkKey = crypto.createHmac('sha256', authSecret).update(ecdhSecret).digest();
+      const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), browser.getPublicKey(), asPublic, Buffer.from([1])]);
+      const ikm = crypto.createHmac('sha256', prkKey).update(keyInfo).digest();
+      const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+      const cek = crypto.createHmac('sha256', prk).update(Buffer.from('Content-Encoding: aes128gcm\0\x01')).digest().subarray(0, 16);
+      const nonce = crypto.createHmac('sha256', prk).update(Buffer.from('Content-Encoding: nonce\0\x01')).digest().subarray(0, 12);
+
+      const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+      decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+      const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+
+      expect(recordSize).toBe(4096);
+      expect(padded[padded.length - 1]).toBe(2);
+      return JSON.parse(padded.subarray(0, padded.length - 1).toString());
+    }
+
+    // Local stand-in for a browser push service
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+          const request = { url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+          pushService.requests.push(request);
+          res.writeHead(pushService.respond(request), { location: `${baseUrl}/messages/1` });
+          res.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      pushService = { requests: [], respond: () => 201 };
+
+      // The local push service stands in for the real ones
+      process.env.WEB_PUSH_ALLOWED_HOSTS = '127.0.0.1,fcm.googleapis.com';
+      process.env.VAPID_SECRET_NAME = 'test/vapid/keys';
+      mockSecrets['test/vapid/keys'] = JSON.stringify({
+        publicKey: vapidPublicKey,
+        privateKey: vapid.getPrivateKey().toString('base64url'),
+        subject: 'mailto:push@example.com'
+      });
+
+      jest.resetModules();
+      // Sign real VAPID tokens; keep the APNs provider token mocked
+      require('jsonwebtoken').sign.mockImplementation((payload, key, options) =>
+        key === 'mock-secret' ? 'mock-jwt-token' : realJwt.sign(payload, key, options)
+      );
+      handler = require('../index.js').handler;
+    });
+
+    test('should register a PushSubscription as a web device', async () => {
+      const result = await handler(deviceEvent('POST', {
+        email: 'test@example.com',
+        platform: 'web',
+        mode: 'alert',
+        subscription: { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: subscription().keys }
+      }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toEqual({
+        email: 'test@example.com',
+        deviceToken: 'https://fcm.googleapis.com/fcm/send/abc',
+        pushToken: 'https://fcm.googleapis.com/fcm/send/abc',
+        provider: 'gmail',
+        platform: 'web',
+        notificationMode: 'alert',
+        webPushKeys: subscription().keys,
+        registeredAt: expect.any(String),
+        lastActive: expect.any(String),
+        ttl: expect.any(Number)
+      });
+    });
+
+    test('should reject incomplete subscriptions', async () => {
+      const result = await handler(deviceEvent('POST', {
+        email: 'test@example.com',
+        platform: 'web',
+        subscription: { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: subscription().keys.p256dh } }
+      }));
+
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body)).toMatchObject({ code: 'missing_field', field: 'subscription.keys.auth' });
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should only accept endpoints of the allowed push services', async () => {
+      const endpoints = ['https://push.example.com/abc', 'https://localhost/abc', 'https://[::1]/abc', 'https://169.254.169.254/abc', 'https://fcm.googleapis.com.example.com/abc'];
+
+      for (const endpoint of endpoints) {
+        const result = await handler(deviceEvent('POST', {
+          email: 'test@example.com',
+          platform: 'web',
+          subscription: { endpoint: endpoint, keys: subscription().keys }
+        }));
+        expect(JSON.parse(result.body)).toMatchObject({ code: 'invalid_format', field: 'subscription.endpoint' });
+      }
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should unregister a subscription by its endpoint', async () => {
+      const result = await handler(deviceEvent('DELETE', {
+        email: 'test@example.com',
+        platform: 'web',
+        subscription: { endpoint: 'https://fcm.googleapis.com/fcm/send/abc' }
+      }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: 'https://fcm.googleapis.com/fcm/send/abc' }
+      });
+    });
+
+    test('should serve the VAPID public key', async () => {
+      const result = await handler(deviceEvent('GET', undefined, null, '/web-push/public-key'));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({ publicKey: vapidPublicKey });
+    });
+
+    test('should deliver an encrypted, VAPID-signed message to the subscription endpoint', async () => {
+      mockDevices([webDevice('/push/sub-1', { notificationMode: 'alert' })]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ message: 'Notifications sent to 1 devices', failed: 0 });
+      const [request] = pushService.requests;
+      expect(request.url).toBe('/push/sub-1');
+      expect(request.headers).toMatchObject({
+        'content-encoding': 'aes128gcm',
+        'content-type': 'application/octet-stream',
+        ttl: '86400',
+        urgency: 'high'
+      });
+
+      const [, token, key] = /^vapid t=([^,]+), k=(.+)$/.exec(request.headers.authorization);
+      expect(key).toBe(vapidPublicKey);
+      const vapidVerifyKey = crypto.createPublicKey({
+        key: {
+          kty: 'EC',
+          crv: 'P-256',
+          x: vapid.getPublicKey().subarray(1, 33).toString('base64url'),
+          y: vapid.getPublicKey().subarray(33, 65).toString('base64url')
+        },
+        format: 'jwk'
+      });
+      expect(realJwt.verify(token, vapidVerifyKey, { algorithms: ['ES256'] })).toMatchObject({
+        aud: baseUrl,
+        sub: 'mailto:push@example.com'
+      });
+
+      expect(decrypt(request.body)).toEqual({
+        mode: 'alert',
+        gmail: { email: 'test@example.com', historyId: '1234567890', timestamp: expect.any(String) },
+        notification: { title: 'New Gmail Message', body: 'You have a new email in your inbox', tag: 'test@example.com' }
+      });
+    });
+
+    test('should send silent web pushes without a notification', async () => {
+      mockDevices([webDevice()]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const [request] = pushService.requests;
+      expect(request.headers.urgency).toBe('normal');
+      expect(decrypt(request.body)).toEqual({
+        mode: 'silent',
+        gmail: expect.objectContaining({ historyId: '1234567890' })
+      });
+    });
+
+    test('should expire subscriptions the push service reports gone', async () => {
+      mockDevices([webDevice('/push/gone'), webDevice('/push/missing'), webDevice('/push/busy')]);
+      pushService.respond = ({ url }) => ({ '/push/gone': 410, '/push/missing': 404, '/push/busy': 429 }[url]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 3, pruned: 2 });
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: `${baseUrl}/push/gone` }
+      });
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: `${baseUrl}/push/missing` }
+      });
+    });
+
+    test('should prune stored endpoints that are not on an allowed push service', async () => {
+      mockDevices([{ ...webDevice(), deviceToken: `http://localhost:${new URL(baseUrl).port}/push/sub-1` }]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 1, pruned: 1 });
+      expect(pushService.requests).toHaveLength(0);
+    });
+  });
+
+  describe('Notification Preferences', () => {
+    let lambda;
+
+    function preferencesEvent(method, body, token = userToken(), query) {
+      return {
+        ...deviceEvent(method, body, token, '/preferences'),
+        queryStringParameters: query
+      };
+    }
+
+    function mockPreferences(items) {
+      mockDynamoDB.query.mockImplementationOnce(() => ({
+        promise: jest.fn().mockResolvedValue({ Items: items })
+      }));
+    }
+
+    function notifyAt(isoTime) {
+      lambda.setClients({ now: () => new Date(isoTime) });
+      return lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+    }
+
+    beforeEach(() => {
+      lambda = require('../index.js');
+    });
+
+    test('should store mailbox and device preferences', async () => {
+      const preferences = {
+        timezone: 'America/New_York',
+        quietHours: [{ start: '22:00', end: '07:00' }],
+        quietHoursAction: 'silent'
+      };
+
+      const result = await lambda.handler(preferencesEvent('PUT', {
+        email: 'test@example.com',
+        deviceToken: 'phone-token',
+        preferences: preferences
+      }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Item: {
+          email: 'test@example.com',
+          deviceToken: '#preferences:phone-token',
+          preferences: preferences,
+          updatedAt: expect.any(String)
+        }
+      });
+    });
+
+    test('should return stored preferences for the caller', async () => {
+      mockMailbox({ preferences: { muteUntil: '2026-01-01T00:00:00Z' } });
+
+      const result = await lambda.handler(preferencesEvent('GET', undefined));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({
+        email: 'test@example.com',
+        preferences: { muteUntil: '2026-01-01T00:00:00Z' }
+      });
+      expect(mockDynamoDB.get).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: '#preferences' }
+      });
+    });
+
+    test('should reject invalid preferences', async () => {
+      const invalid = [
+        [{ timezone: 'Mars/Olympus' }, 'invalid_format', 'preferences.timezone'],
+        [{ quietHours: [{ start: '25:00', end: '07:00' }] }, 'invalid_format', 'preferences.quietHours[0].start'],
+        [{ quietHours: [{ end: '07:00' }] }, 'missing_field', 'preferences.quietHours[0].start'],
+        [{ categories: ['spam'] }, 'invalid_value', 'preferences.categories[0]'],
+        [{ labels: 'INBOX' }, 'invalid_type', 'preferences.labels'],
+        [{ volume: 11 }, 'unknown_field', 'preferences.volume']
+      ];
+
+      for (const [preferences, code, field] of invalid) {
+        const result = await lambda.handler(preferencesEvent('PUT', { email: 'test@example.com', preferences }));
+        expect(result.statusCode).toBe(422);
+        expect(JSON.parse(result.body)).toEqual({ error: expect.stringContaining(field), code, field });
+      }
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should not expose another mailbox', async () => {
+      const result = await lambda.handler(preferencesEvent('GET', undefined, userToken('attacker@example.com'), {
+        email: 'victim@example.com'
+      }));
+
+      expect(result.statusCode).toBe(403);
+      expect(mockDynamoDB.get).not.toHaveBeenCalled();
+    });
+
+    test('should skip muted devices', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'muted-token' },
+        { email: 'test@example.com', deviceToken: 'active-token' }
+      ]);
+      mockPreferences([
+        { email: 'test@example.com', deviceToken: '#preferences:muted-token', preferences: { muteUntil: '2026-10-20T00:00:00Z' } }
+      ]);
+
+      const result = await notifyAt('2026-10-19T12:00:00Z');
+
+      expect(JSON.parse(result.body)).toMatchObject({
+        message: 'Notifications sent to 1 devices',
+        skippedDevices: [{ deviceToken: 'muted-token', reason: 'muted' }]
+      });
+      expect(mockApns.requests.map(r => r.headers[':path'])).toEqual(['/3/device/active-token']);
+    });
+
+    test('should apply quiet hours across midnight in the local time zone', async () => {
+      const quiet = { timezone: 'America/New_York', quietHours: [{ start: '22:00', end: '07:00', days: ['sun'] }] };
+
+      // 02:30 Monday in New York, inside Sunday night's window
+      mockDevices([{ email: 'test@example.com', deviceToken: 'phone-token' }]);
+      mockPreferences([{ email: 'test@example.com', deviceToken: '#preferences', preferences: quiet }]);
+      let result = await notifyAt('2026-10-19T06:30:00Z');
+      expect(JSON.parse(result.body).skippedDevices).toEqual([{ deviceToken: 'phone-token', reason: 'quiet_hours' }]);
+
+      // 02:30 Tuesday: Monday night has no window
+      mockDevices([{ email: 'test@example.com', deviceToken: 'phone-token' }]);
+      mockPreferences([{ email: 'test@example.com', deviceToken: '#preferences', preferences: quiet }]);
+      result = await notifyAt('2026-10-20T06:30:00Z');
+      expect(JSON.parse(result.body).skippedDevices).toEqual([]);
+      expect(mockApns.requests).toHaveLength(1);
+    });
+
+    test('should downgrade to silent pushes when quiet hours ask for it', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'alert-token', notificationMode: 'alert' }]);
+      mockPreferences([
+        { email: 'test@example.com', deviceToken: '#preferences', preferences: { quietHours: [{ start: '22:00', end: '07:00' }] } },
+        { email: 'test@example.com', deviceToken: '#preferences:alert-token', preferences: { quietHoursAction: 'silent' } }
+      ]);
+
+      const result = await notifyAt('2026-10-19T23:15:00Z');
+
+      expect(JSON.parse(result.body)).toMatchObject({ downgraded: 1, skippedDevices: [] });
+      expect(mockApns.requests[0].headers['apns-push-type']).toBe('background');
+    });
+
+    test('should only notify for matching labels once messages are known', async () => {
+      const fakeGmail = {
+        refreshAccessToken: jest.fn().mockResolvedValue({ accessToken: 'access-token', expiresIn: 3600 }),
+        listHistory: jest.fn().mockResolvedValue({
+          history: [{ messagesAdded: [{ message: { id: 'm1', labelIds: ['INBOX', 'CATEGORY_PROMOTIONS'] } }] }]
+        }),
+        getMessage: jest.fn().mockResolvedValue({
+          id: 'm1',
+          labelIds: ['INBOX', 'CATEGORY_PROMOTIONS'],
+          payload: { headers: [{ name: 'Subject', value: 'Sale' }] }
+        })
+      };
+      lambda.setClients({ gmail: fakeGmail });
+      mockMailbox({ gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token'), lastHistoryId: '1' });
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'primary-token' },
+        { email: 'test@example.com', deviceToken: 'deals-token' }
+      ]);
+      mockPreferences([
+        { email: 'test@example.com', deviceToken: '#preferences', preferences: { categories: ['primary'] } },
+        { email: 'test@example.com', deviceToken: '#preferences:deals-token', preferences: { categories: ['promotions'] } }
+      ]);
+
+      const result = await notifyAt('2026-10-19T12:00:00Z');
+
+      expect(JSON.parse(result.body).skippedDevices).toEqual([{ deviceToken: 'primary-token', reason: 'filtered' }]);
+      expect(mockApns.requests.map(r => r.headers[':path'])).toEqual(['/3/device/deals-token']);
+    });
+  });
+
+  describe('Gmail Watch Lifecycle', () => {
+    const NOW = Date.parse('2026-10-19T12:00:00Z');
+    const DAY = 24 * 60 * 60 * 1000;
+    let lambda;
+    let fakeGmail;
+
+    function credentials(extra = {}) {
+      return { email: 'test@example.com', deviceToken: '#mailbox', gmailRefreshToken: encryptedToken('test@example.com', 'refresh-token'), ...extra };
+    }
+
+    beforeEach(() => {
+      process.env.GMAIL_PUBSUB_TOPIC = 'projects/test-project/topics/gmail';
+      lambda = require('../index.js');
+
+      fakeGmail = {
+        refreshAccessToken: jest.fn().mockResolvedValue({ accessToken: 'access-token', expiresIn: 3600 }),
+        watch: jest.fn().mockResolvedValue({ historyId: '555', expiration: String(NOW + 7 * DAY) }),
+        stop: jest.fn().mockResolvedValue()
+      };
+      lambda.setClients({ gmail: fakeGmail, now: () => new Date(NOW) });
+    });
+
+    test('should start a watch when a device registers for a mailbox with credentials', async () => {
+      mockMailbox(credentials());
+
+      const result = await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }));
+
+      expect(result.statusCode).toBe(200);
+      expect(fakeGmail.watch).toHaveBeenCalledWith('access-token', {
+        topicName: 'projects/test-project/topics/gmail',
+        labelIds: ['INBOX'],
+        labelFilterBehavior: 'include'
+      });
+      expect(mailboxStateUpdates()[0].ExpressionAttributeValues).toMatchObject({ ':v0': NOW + 7 * DAY, ':v1': '555' });
+    });
+
+    test('should leave an active watch alone', async () => {
+      mockMailbox(credentials({ watchExpiration: NOW + 5 * DAY }));
+
+      await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }));
+
+      expect(fakeGmail.watch).not.toHaveBeenCalled();
+    });
+
+    test('should still register the device when the watch cannot be started', async () => {
+      mockMailbox(credentials());
+      fakeGmail.watch.mockRejectedValue(new Error('Gmail unavailable'));
+
+      const result = await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put).toHaveBeenCalled();
+    });
+
+    test('should stop the watch when the last device is unregistered', async () => {
+      mockMailbox(credentials({ watchExpiration: NOW + 5 * DAY, watchHistoryId: '555' }));
+      mockDevices([]);
+
+      const result = await lambda.handler(deviceEvent('DELETE', { email: 'test@example.com', deviceToken: 'token' }));
+
+      expect(result.statusCode).toBe(200);
+      expect(fakeGmail.stop).toHaveBeenCalledWith('access-token');
+      expect(mailboxStateUpdates()[0].UpdateExpression).toBe('SET updatedAt = :updatedAt REMOVE #f0, #f1');
+      expect(mailboxStateUpdates()[0].ExpressionAttributeNames).toEqual({ '#f0': 'watchExpiration', '#f1': 'watchHistoryId' });
+    });
+
+    test('should stop the watch when a push prunes the last device', async () => {
+      mockMailbox(credentials({ watchExpiration: NOW + 5 * DAY, watchHistoryId: '555' }));
+      mockDevices([{ email: 'test@example.com', deviceToken: 'dead-token' }]);
+      mockDevices([]);
+      mockApns.respond = () => ({ status: 410, body: { reason: 'Unregistered' } });
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ pruned: 1 });
+      expect(fakeGmail.stop).toHaveBeenCalledWith('access-token');
+    });
+
+    test('should stop the watch when a replayed delivery prunes the last device', async () => {
+      mockMailbox(credentials({ watchExpiration: NOW + 5 * DAY, watchHistoryId: '555' }));
+      mockDevices([{ email: 'test@example.com', deviceToken: 'dead-token' }]);
+      mockDevices([]);
+      mockApns.respond = () => ({ status: 410, body: { reason: 'Unregistered' } });
+
+      const result = await lambda.handler({
+        Records: [{
+          messageId: 'sqs-0',
+          eventSource: 'aws:sqs',
+          body: JSON.stringify({
+            type: 'delivery-retry',
+            email: 'test@example.com',
+            deviceToken: 'dead-token',
+            notificationMode: 'alert',
+            notification: { alert: { title: 'New Gmail Message', body: 'You have a new email in your inbox' }, gmailData: { email: 'test@example.com' } }
+          })
+        }]
+      });
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({ TableName: 'test-table', Key: { email: 'test@example.com', deviceToken: 'dead-token' } });
+      expect(fakeGmail.stop).toHaveBeenCalledWith('access-token');
+    });
+
+    test('should keep the watch while other devices remain', async () => {
+      mockMailbox(credentials({ watchExpiration: NOW + 5 * DAY }));
+      mockDevices([{ email: 'test@example.com', deviceToken: 'other-token' }]);
+
+      await lambda.handler(deviceEvent('DELETE', { email: 'test@example.com', deviceToken: 'token' }));
+
+      expect(fakeGmail.stop).not.toHaveBeenCalled();
+    });
+
+    test('should renew expiring watches on the schedule', async () => {
+      mockDynamoDB.scan.mockImplementationOnce(() => ({
+        promise: jest.fn().mockResolvedValue({
+          Items: [credentials({ watchExpiration: NOW + DAY })],
+          LastEvaluatedKey: { email: 'test@example.com', deviceToken: '#mailbox' }
+        })
+      })).mockImplementationOnce(() => ({
+        promise: jest.fn().mockResolvedValue({
+          Items: [credentials({
+            email: 'gone@example.com',
+            gmailRefreshToken: encryptedToken('gone@example.com', 'refresh-token'),
+            watchExpiration: NOW + DAY
+          })]
+        })
+      }));
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+      mockDevices([]);
+
+      const result = await lambda.handler({
+        source: 'aws.events',
+        'detail-type': 'Scheduled Event',
+        detail: {}
+      });
+
+      expect(result).toEqual({ renewed: 1, stopped: 1, failed: 0 });
+      expect(mockDynamoDB.scan).toHaveBeenCalledTimes(2);
+      expect(mockDynamoDB.scan.mock.calls[0][0].ExpressionAttributeValues).toEqual({
+        ':mailbox': '#mailbox',
+        ':renewBefore': NOW + 2 * DAY
+      });
+      expect(mockDynamoDB.scan.mock.calls[1][0].ExclusiveStartKey).toEqual({ email: 'test@example.com', deviceToken: '#mailbox' });
+      expect(fakeGmail.watch).toHaveBeenCalledTimes(1);
+      expect(fakeGmail.stop).toHaveBeenCalledTimes(1);
+      expect(mailboxStateUpdates().map(update => update.Key.email)).toEqual(['test@example.com', 'gone@example.com']);
+    });
+  });
+
+  describe('Microsoft Graph', () => {
+    const NOW = Date.parse('2026-10-19T12:00:00Z');
+    const DAY = 24 * 60 * 60 * 1000;
+    const NOTIFICATION_URL = 'https://test.lambda-url.us-east-1.on.aws/graph-notification';
+    const OUTLOOK_EMAIL = 'user@outlook.com';
+    const QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/fanout';
+    let lambda;
+    let fakeGraph;
+
+    function graphCredentials(extra = {}) {
+      return { email: OUTLOOK_EMAIL, deviceToken: '#mailbox', graphRefreshToken: encryptedToken(OUTLOOK_EMAIL, 'ms-refresh-token'), ...extra };
+    }
+
+    // Answer DynamoDB gets by sort key: the mailbox record and subscription records
+    function mockRecords(records) {
+      mockDynamoDB.get.mockImplementation(({ Key }) => ({
+        promise: jest.fn().mockResolvedValue(records[Key.deviceToken] && records[Key.deviceToken].email === Key.email
+          ? { Item: records[Key.deviceToken] }
+          : {})
+      }));
+    }
+
+    function subscriptionRecord(clientState = 'client-state') {
+      return { email: '#graph:sub-1', deviceToken: '#graph-subscription', account: OUTLOOK_EMAIL, clientState: clientState };
+    }
+
+    function graphNotificationEvent(body, query) {
+      return {
+        headers: { 'content-type': 'application/json; charset=utf-8' },
+        queryStringParameters: query,
+        requestContext: { http: { method: 'POST', path: '/graph-notification' } },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      };
+    }
+
+    function messageCreated(extra = {}) {
+      return {
+        subscriptionId: 'sub-1',
+        subscriptionExpirationDateTime: '2026-10-22T12:00:00.0000000+00:00',
+        clientState: 'client-state',
+        changeType: 'created',
+        resource: 'Users/user-id/Messages/msg-1',
+        resourceData: { '@odata.type': '#Microsoft.Graph.Message', '@odata.id': 'Users/user-id/Messages/msg-1', id: 'msg-1' },
+        tenantId: 'tenant-id',
+        ...extra
+      };
+    }
+
+    beforeEach(() => {
+      process.env.GRAPH_NOTIFICATION_URL = NOTIFICATION_URL;
+      process.env.COALESCE_QUEUE_URL = QUEUE_URL;
+      process.env.GMAIL_PUBSUB_TOPIC = 'projects/test-project/topics/gmail';
+      process.env.TOKEN_KMS_KEY_ID = 'alias/test-tokens';
+      lambda = require('../index.js');
+
+      fakeGraph = {
+        refreshAccessToken: jest.fn().mockResolvedValue({ accessToken: 'graph-access-token', expiresIn: 3600, refreshToken: 'rotated-refresh-token' }),
+        getProfile: jest.fn().mockResolvedValue({ mail: 'User@Outlook.com', userPrincipalName: 'user@outlook.com' }),
+        createSubscription: jest.fn((accessToken, params) => Promise.resolve({ id: 'sub-2', expirationDateTime: params.expirationDateTime })),
+        renewSubscription: jest.fn((accessToken, id, params) => Promise.resolve({ id: id, expirationDateTime: params.expirationDateTime })),
+        deleteSubscription: jest.fn().mockResolvedValue()
+      };
+      lambda.setClients({
+        graph: fakeGraph,
+        gmail: { refreshAccessToken: jest.fn(), watch: jest.fn(), stop: jest.fn() },
+        now: () => new Date(NOW)
+      });
+    });
+
+    test('should echo the validation token when Graph checks the notification URL', async () => {
+      const result = await lambda.handler(graphNotificationEvent(undefined, { validationToken: 'Validation: Testing client application reachability' }));
+
+      expect(result).toEqual({
+        statusCode: 200,
+        headers: { 'Content-Type': 'text/plain', 'X-Content-Type-Options': 'nosniff' },
+        body: 'Validation: Testing client application reachability'
+      });
+    });
+
+    test('should exchange a refresh token for a session and store the rotated token', async () => {
+      mockDevices([{ email: OUTLOOK_EMAIL, deviceToken: APNS_TOKEN, provider: 'outlook' }]);
+      mockRecords({ '#mailbox': graphCredentials() });
+
+      const result = await lambda.handler(deviceEvent('POST', { refreshToken: 'ms-refresh-token' }, null, '/graph-credentials'));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toMatchObject({ success: true, sessionToken: 'mock-jwt-token', email: OUTLOOK_EMAIL });
+      expect(fakeGraph.getProfile).toHaveBeenCalledWith('graph-access-token');
+      expect(mockKMS.encrypt).toHaveBeenCalledWith(expect.objectContaining({
+        Plaintext: 'rotated-refresh-token',
+        EncryptionContext: { email: OUTLOOK_EMAIL }
+      }));
+      expect(fakeGraph.createSubscription).toHaveBeenCalledWith('graph-access-token', {
+        changeType: 'created',
+        notificationUrl: NOTIFICATION_URL,
+        lifecycleNotificationUrl: NOTIFICATION_URL,
+        resource: "me/mailFolders('Inbox')/messages",
+        expirationDateTime: new Date(NOW + 3 * DAY).toISOString(),
+        clientState: expect.stringMatching(/^[A-Za-z0-9_-]{43}$/)
+      });
+      const { clientState } = fakeGraph.createSubscription.mock.calls[0][1];
+      expect(mockDynamoDB.put).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Item: { email: '#graph:sub-2', deviceToken: '#graph-subscription', account: OUTLOOK_EMAIL, clientState: clientState, createdAt: expect.any(String) }
+      });
+      expect(mailboxStateUpdates().pop().ExpressionAttributeValues).toMatchObject({ ':v0': 'sub-2', ':v1': NOW + 3 * DAY });
+    });
+
+    test('should not subscribe without a queue to deliver the notifications from', async () => {
+      delete process.env.COALESCE_QUEUE_URL;
+      delete process.env.GMAIL_PUBSUB_TOPIC;
+      jest.resetModules();
+      lambda = require('../index.js');
+      lambda.setClients({ graph: fakeGraph, now: () => new Date(NOW) });
+      mockDevices([{ email: OUTLOOK_EMAIL, deviceToken: APNS_TOKEN, provider: 'outlook' }]);
+      mockRecords({ '#mailbox': graphCredentials() });
+
+      const result = await lambda.handler(deviceEvent('POST', { refreshToken: 'ms-refresh-token' }, null, '/graph-credentials'));
+      const renewal = await lambda.handler({ source: 'aws.events', 'detail-type': 'Scheduled Event', detail: {} });
+
+      expect(result.statusCode).toBe(200);
+      expect(fakeGraph.createSubscription).not.toHaveBeenCalled();
+      expect(renewal).toEqual({ renewed: 0, stopped: 0, failed: 0 });
+      expect(mockDynamoDB.scan).not.toHaveBeenCalled();
+    });
+
+    test('should reject refresh tokens Microsoft does not accept', async () => {
+      fakeGraph.refreshAccessToken.mockRejectedValue(Object.assign(new Error('Graph API request failed: 400 invalid_grant'), {
+        statusCode: 400,
+        reason: 'invalid_grant'
+      }));
+
+      const result = await lambda.handler(deviceEvent('POST', { refreshToken: 'ms-refresh-token' }, null, '/graph-credentials'));
+
+      expect(result.statusCode).toBe(401);
+      expect(mailboxStateUpdates()).toHaveLength(0);
+    });
+
+    test('should reject Microsoft accounts without an address', async () => {
+      fakeGraph.getProfile.mockResolvedValue({ mail: null, userPrincipalName: 'not-an-address' });
+
+      const result = await lambda.handler(deviceEvent('POST', { refreshToken: 'ms-refresh-token' }, null, '/graph-credentials'));
+
+      expect(result.statusCode).toBe(422);
+      expect(mailboxStateUpdates()).toHaveLength(0);
+    });
+
+    test('should take the address from the user principal name, never from mail', async () => {
+      fakeGraph.getProfile.mockResolvedValue({ mail: 'victim@gmail.com', userPrincipalName: 'Admin@Attacker.onmicrosoft.com' });
+
+      const result = await lambda.handler(deviceEvent('POST', { refreshToken: 'ms-refresh-token' }, null, '/graph-credentials'));
+
+      expect(JSON.parse(result.body).email).toBe('admin@attacker.onmicrosoft.com');
+      expect(require('jsonwebtoken').sign).toHaveBeenCalledWith(
+        { sub: 'admin@attacker.onmicrosoft.com', prov: 'microsoft' }, expect.anything(), expect.anything()
+      );
+
+      // Guests carry another tenant's mangled copy of their address
+      fakeGraph.getProfile.mockResolvedValue({ mail: 'victim@gmail.com', userPrincipalName: 'victim_gmail.com#EXT#@attacker.onmicrosoft.com' });
+      const guest = await lambda.handler(deviceEvent('POST', { refreshToken: 'ms-refresh-token' }, null, '/graph-credentials'));
+      expect(guest.statusCode).toBe(422);
+    });
+
+    test('should record the provider at registration and subscribe instead of watching Gmail', async () => {
+      mockRecords({ '#mailbox': graphCredentials({ gmailRefreshToken: encryptedToken(OUTLOOK_EMAIL, 'refresh-token') }) });
+
+      const result = await lambda.handler(deviceEvent('POST', { email: OUTLOOK_EMAIL, provider: 'outlook', deviceToken: APNS_TOKEN }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ email: OUTLOOK_EMAIL, provider: 'outlook' });
+      expect(fakeGraph.refreshAccessToken).toHaveBeenCalledWith('ms-refresh-token');
+      expect(fakeGraph.createSubscription).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject unknown providers and provider changes', async () => {
+      const unknown = await lambda.handler(deviceEvent('POST', { email: OUTLOOK_EMAIL, provider: 'yahoo', deviceToken: APNS_TOKEN }));
+      const change = await lambda.handler(deviceEvent('PATCH', { email: OUTLOOK_EMAIL, provider: 'outlook', deviceToken: APNS_TOKEN, name: 'Phone' }));
+
+      expect(JSON.parse(unknown.body)).toMatchObject({ code: 'invalid_value', field: 'provider' });
+      expect(JSON.parse(change.body)).toMatchObject({ code: 'invalid_value', field: 'provider' });
+    });
+
+    test('should notify the Outlook devices of the subscription\'s account', async () => {
+      mockRecords({ '#graph-subscription': subscriptionRecord() });
+      mockDevices([
+        { email: OUTLOOK_EMAIL, deviceToken: 'outlook-token', provider: 'outlook', notificationMode: 'alert' },
+        { email: OUTLOOK_EMAIL, deviceToken: 'gmail-token', notificationMode: 'alert' }
+      ]);
+
+      const result = await lambda.handler(graphNotificationEvent({ value: [messageCreated()] }));
+
+      expect(result.statusCode).toBe(202);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ email: '#graph:sub-1:msg-1', deviceToken: '#graph-message' });
+      expect(mockApns.requests).toHaveLength(0);
+      expect(mockSQS.sendMessage).toHaveBeenCalledTimes(1);
+      const { QueueUrl, MessageBody } = mockSQS.sendMessage.mock.calls[0][0];
+      expect(QueueUrl).toBe(QUEUE_URL);
+
+      await lambda.handler({ Records: [{ messageId: 'sqs-0', eventSource: 'aws:sqs', body: MessageBody }] });
+
+      expect(mockApns.requests).toHaveLength(1);
+      expect(mockApns.requests[0].headers[':path']).toBe('/3/device/outlook-token');
+      expect(mockApns.requests[0].payload).toEqual({
+        aps: expect.objectContaining({ alert: { title: 'New Outlook Message', body: 'You have a new email in your inbox' }, category: 'OUTLOOK_NOTIFICATION' }),
+        outlook: { email: OUTLOOK_EMAIL, messageId: 'msg-1', timestamp: expect.any(String) }
+      });
+    });
+
+    test('should not notify Outlook devices of Gmail notifications', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'outlook-token', provider: 'outlook' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ message: 'No devices to notify' });
+      expect(mockApns.requests).toHaveLength(0);
+    });
+
+    test('should drop notifications with an unknown subscription or the wrong clientState', async () => {
+      mockRecords({ '#graph-subscription': subscriptionRecord('other-client-state') });
+
+      const result = await lambda.handler(graphNotificationEvent({
+        value: [messageCreated(), messageCreated({ subscriptionId: 'sub-unknown' })]
+      }));
+
+      expect(result.statusCode).toBe(202);
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+      expect(emittedMetrics().filter(entry => entry.GraphNotifications).map(entry => entry.Outcome)).toEqual(['rejected', 'rejected']);
+    });
+
+    test('should validate the notification collection', async () => {
+      const missing = await lambda.handler(graphNotificationEvent({ value: [{ changeType: 'created' }] }));
+      const invalid = await lambda.handler(graphNotificationEvent({ value: 'nope' }));
+
+      expect(missing.statusCode).toBe(422);
+      expect(JSON.parse(missing.body)).toMatchObject({ code: 'missing_field', field: 'value[0].subscriptionId' });
+      expect(JSON.parse(invalid.body)).toMatchObject({ code: 'invalid_type', field: 'value' });
+    });
+
+    test('should let Graph redeliver when processing fails', async () => {
+      mockRecords({ '#graph-subscription': subscriptionRecord() });
+      mockSQS.sendMessage.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(new Error('SQS unavailable'))
+      }));
+
+      const result = await lambda.handler(graphNotificationEvent({ value: [messageCreated()] }));
+
+      expect(result.statusCode).toBe(500);
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: '#graph:sub-1:msg-1', deviceToken: '#graph-message' }
+      });
+    });
+
+    test('should renew the subscription when Graph asks for reauthorization', async () => {
+      mockRecords({
+        '#graph-subscription': subscriptionRecord(),
+        '#mailbox': graphCredentials({ graphSubscriptionId: 'sub-1', graphSubscriptionExpiration: NOW + DAY })
+      });
+
+      const result = await lambda.handler(graphNotificationEvent({
+        value: [{ subscriptionId: 'sub-1', clientState: 'client-state', lifecycleEvent: 'reauthorizationRequired', tenantId: 'tenant-id' }]
+      }));
+
+      expect(result.statusCode).toBe(202);
+      expect(fakeGraph.renewSubscription).toHaveBeenCalledWith('graph-access-token', 'sub-1', {
+        expirationDateTime: new Date(NOW + 3 * DAY).toISOString()
+      });
+      expect(fakeGraph.createSubscription).not.toHaveBeenCalled();
+    });
+
+    test('should renew expiring subscriptions on the schedule and recreate ones Graph dropped', async () => {
+      delete process.env.GMAIL_PUBSUB_TOPIC;
+      jest.resetModules();
+      lambda = require('../index.js');
+      lambda.setClients({ graph: fakeGraph, now: () => new Date(NOW) });
+      fakeGraph.renewSubscription.mockRejectedValueOnce(Object.assign(new Error('Graph API request failed: 404 ResourceNotFound'), { statusCode: 404 }));
+      mockDynamoDB.scan.mockImplementationOnce(() => ({
+        promise: jest.fn().mockResolvedValue({
+          Items: [
+            graphCredentials({ graphSubscriptionId: 'sub-1', graphSubscriptionExpiration: NOW + DAY }),
+            graphCredentials({ email: 'gone@outlook.com', graphRefreshToken: encryptedToken('gone@outlook.com', 'ms-refresh-token'), graphSubscriptionId: 'sub-3' })
+          ]
+        })
+      }));
+      mockDevices([{ email: OUTLOOK_EMAIL, deviceToken: 'token', provider: 'outlook' }]);
+      mockDevices([{ email: 'gone@outlook.com', deviceToken: 'token' }]);
+
+      const result = await lambda.handler({ source: 'aws.events', 'detail-type': 'Scheduled Event', detail: {} });
+
+      expect(result).toEqual({ renewed: 1, stopped: 1, failed: 0 });
+      expect(fakeGraph.createSubscription).toHaveBeenCalledTimes(1);
+      expect(fakeGraph.deleteSubscription).toHaveBeenCalledWith('graph-access-token', 'sub-3');
+      expect(mockDynamoDB.delete.mock.calls.map(([params]) => params.Key.email)).toEqual(['#graph:sub-1', '#graph:sub-3']);
+    });
+
+    test('should remove the subscription when the last Outlook device is unregistered', async () => {
+      mockRecords({ '#mailbox': graphCredentials({ graphSubscriptionId: 'sub-1', graphSubscriptionExpiration: NOW + DAY }) });
+      mockDevices([]);
+      mockDevices([]);
+
+      const result = await lambda.handler(deviceEvent('DELETE', { email: OUTLOOK_EMAIL, deviceToken: APNS_TOKEN }));
+
+      expect(result.statusCode).toBe(200);
+      expect(fakeGraph.deleteSubscription).toHaveBeenCalledWith('graph-access-token', 'sub-1');
+    });
+  });
+
+  describe('Device Management', () => {
+    let handler;
+
+    function devicesEvent(method, body, token = userToken(), query) {
+      return {
+        ...deviceEvent(method, body, token, '/devices'),
+        queryStringParameters: query
+      };
+    }
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    test('should store device metadata at registration', async () => {
+      await handler(deviceEvent('POST', {
+        email: 'test@example.com',
+        deviceToken: APNS_TOKEN,
+        name: 'Work iPhone',
+        appVersion: '2.3.0',
+        sandbox: true
+      }));
+
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ name: 'Work iPhone', appVersion: '2.3.0', apnsEnvironment: 'sandbox' });
+    });
+
+    test('should list the caller\'s devices without delivery keys', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: '#mailbox', gmailRefreshToken: 'secret' },
+        { email: 'test@example.com', deviceToken: 'ios-token', name: 'Phone', appVersion: '2.3.0', registeredAt: '2026-01-01T00:00:00.000Z', lastActive: '2026-10-01T00:00:00.000Z' },
+        { email: 'test@example.com', deviceToken: 'https://push.example.com/sub', platform: 'web', notificationMode: 'alert', webPushKeys: { p256dh: 'p', auth: 'a' }, registeredAt: '2026-02-01T00:00:00.000Z', lastActive: '2026-02-01T00:00:00.000Z' }
+      ]);
+
+      const result = await handler(devicesEvent('GET', undefined));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({
+        email: 'test@example.com',
+        devices: [
+          { deviceToken: 'ios-token', provider: 'gmail', platform: 'ios', name: 'Phone', appVersion: '2.3.0', mode: 'silent', apnsEnvironment: null, apnsTopic: null, sandbox: false, registeredAt: '2026-01-01T00:00:00.000Z', lastActive: '2026-10-01T00:00:00.000Z' },
+          { deviceToken: 'https://push.example.com/sub', provider: 'gmail', platform: 'web', name: null, appVersion: null, mode: 'alert', apnsEnvironment: null, apnsTopic: null, sandbox: false, registeredAt: '2026-02-01T00:00:00.000Z', lastActive: '2026-02-01T00:00:00.000Z' }
+        ]
+      });
+    });
+
+    test('should not list another user\'s devices', async () => {
+      const result = await handler(devicesEvent('GET', undefined, userToken('attacker@example.com'), { email: 'victim@example.com' }));
+
+      expect(result.statusCode).toBe(403);
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+    });
+
+    test('should update device metadata', async () => {
+      mockDynamoDB.update.mockImplementationOnce((params) => ({
+        promise: jest.fn().mockResolvedValue({
+          Attributes: { email: 'test@example.com', deviceToken: 'token', notificationMode: 'alert', apnsEnvironment: 'sandbox', registeredAt: 'r', lastActive: 'l' }
+        })
+      }));
+
+      const result = await handler(deviceEvent('PATCH', {
+        email: 'test@example.com',
+        deviceToken: 'token',
+        name: null,
+        mode: 'alert',
+        sandbox: true
+      }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.update).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: 'token' },
+        UpdateExpression: 'SET #f1 = :v1, #f2 = :v2 REMOVE #f0',
+        ConditionExpression: 'attribute_exists(deviceToken) AND (attribute_not_exists(#ttl) OR #ttl > :now)',
+        ExpressionAttributeNames: { '#ttl': 'ttl', '#f0': 'name', '#f1': 'notificationMode', '#f2': 'apnsEnvironment' },
+        ExpressionAttributeValues: { ':now': expect.any(Number), ':v1': 'alert', ':v2': 'sandbox' },
+        ReturnValues: 'ALL_NEW'
+      });
+      expect(JSON.parse(result.body).device).toMatchObject({ deviceToken: 'token', name: null, mode: 'alert', apnsEnvironment: 'sandbox', sandbox: true });
+    });
+
+    test('should reject invalid or missing metadata updates', async () => {
+      for (const [body, error] of [
+        [{ sandbox: 'yes' }, { error: 'sandbox must be a boolean', code: 'invalid_type', field: 'sandbox' }],
+        [{ name: '' }, { error: 'name must be a non-empty string', code: 'invalid_format', field: 'name' }],
+        [{ name: 'x'.repeat(101) }, { error: 'name must be at most 100 characters', code: 'too_long', field: 'name' }],
+        [{}, { error: 'Provide at least one of: name, appVersion, mode, apnsEnvironment, sandbox, apnsTopic', code: 'missing_field' }]
+      ]) {
+        const result = await handler(deviceEvent('PATCH', { email: 'test@example.com', deviceToken: 'token', ...body }));
+        expect(result.statusCode).toBe(422);
+        expect(JSON.parse(result.body)).toEqual(error);
+      }
+      expect(mockDynamoDB.update).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when updating an unknown device', async () => {
+      mockDynamoDB.update.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(Object.assign(new Error('The conditional request failed'), {
+          code: 'ConditionalCheckFailedException'
+        }))
+      }));
+
+      const result = await handler(deviceEvent('PATCH', { email: 'test@example.com', deviceToken: 'unknown', name: 'Phone' }));
+
+      expect(result.statusCode).toBe(404);
+      expect(JSON.parse(result.body)).toEqual({ error: 'Device not found' });
+    });
+
+    test('should not update another user\'s device', async () => {
+      const result = await handler(deviceEvent('PATCH', { email: 'victim@example.com', deviceToken: 'token', name: 'Mine' }, userToken('attacker@example.com')));
+
+      expect(result.statusCode).toBe(403);
+      expect(mockDynamoDB.update).not.toHaveBeenCalled();
+    });
+
+    test('should sign out every device of the mailbox', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'phone-token' },
+        { email: 'test@example.com', deviceToken: 'tablet-token' }
+      ]);
+
+      const result = await handler(devicesEvent('DELETE', { email: 'test@example.com' }));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({ success: true, message: '2 devices unregistered', removed: 2 });
+      expect(mockDynamoDB.delete.mock.calls.map(([params]) => params.Key.deviceToken)).toEqual(['phone-token', 'tablet-token']);
+    });
+
+    test('should use the sandbox gateway for sandbox devices in production', async () => {
+      process.env.ENVIRONMENT = 'prod';
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'store-token' },
+        { email: 'test@example.com', deviceToken: 'debug-token', sandbox: true }
+      ]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const hosts = Object.fromEntries(mockApns.requests.map(r => [r.headers[':path'].split('/').pop(), r.authority]));
+      expect(hosts).toEqual({
+        'store-token': 'https://api.push.apple.com',
+        'debug-token': 'https://api.sandbox.push.apple.com'
+      });
+    });
+  });
+
+  describe('APNs Environments', () => {
+    let handler;
+
+    beforeEach(() => {
+      process.env.ENVIRONMENT = 'prod';
+      handler = require('../index.js').handler;
+    });
+
+    test('should record the APNs environment and topic at registration', async () => {
+      const result = await handler(deviceEvent('POST', {
+        email: 'test@example.com',
+        deviceToken: APNS_TOKEN,
+        apnsEnvironment: 'sandbox',
+        apnsTopic: 'com.test.app.beta'
+      }));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ apnsEnvironment: 'sandbox', apnsTopic: 'com.test.app.beta' });
+    });
+
+    test('should reject unknown environments', async () => {
+      const result = await handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN, apnsEnvironment: 'staging' }));
+
+      expect(result.statusCode).toBe(422);
+      expect(JSON.parse(result.body)).toEqual({ error: 'apnsEnvironment must be one of: production, sandbox', code: 'invalid_value', field: 'apnsEnvironment' });
+    });
+
+    test('should route each device to its environment and topic', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'store-token', apnsEnvironment: 'production' },
+        { email: 'test@example.com', deviceToken: 'debug-token', apnsEnvironment: 'sandbox', apnsTopic: 'com.test.app.debug' },
+        { email: 'test@example.com', deviceToken: 'legacy-token' }
+      ]);
+
+      await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const sent = Object.fromEntries(mockApns.requests.map(r => [
+        r.headers[':path'].split('/').pop(),
+        [r.authority, r.headers['apns-topic']]
+      ]));
+      expect(sent).toEqual({
+        'store-token': ['https://api.push.apple.com', 'com.test.gmailpush'],
+        'debug-token': ['https://api.sandbox.push.apple.com', 'com.test.app.debug'],
+        'legacy-token': ['https://api.push.apple.com', 'com.test.gmailpush']
+      });
+    });
+
+    test('should retry BadDeviceToken in the other environment and correct the device', async () => {
+      mockApns.respond = ({ authority }) => authority === 'https://api.push.apple.com'
+        ? { status: 400, body: { reason: 'BadDeviceToken' } }
+        : { status: 200 };
+      mockDevices([{ email: 'test@example.com', deviceToken: 'debug-token', apnsEnvironment: 'production' }]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ message: 'Notifications sent to 1 devices', failed: 0, pruned: 0 });
+      expect(mockApns.requests.map(r => r.authority)).toEqual(['https://api.push.apple.com', 'https://api.sandbox.push.apple.com']);
+      expect(mockDynamoDB.update).toHaveBeenCalledWith(expect.objectContaining({
+        Key: { email: 'test@example.com', deviceToken: 'debug-token' },
+        ExpressionAttributeNames: { '#ttl': 'ttl', '#f0': 'apnsEnvironment' },
+        ExpressionAttributeValues: { ':now': expect.any(Number), ':v0': 'sandbox' }
+      }));
+      expect(mockDynamoDB.delete).not.toHaveBeenCalled();
+    });
+
+    test('should prune tokens rejected by both environments', async () => {
+      mockApns.respond = () => ({ status: 400, body: { reason: 'BadDeviceToken' } });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'bad-token', apnsEnvironment: 'sandbox' }]);
+
+      const result = await handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 1, pruned: 1 });
+      expect(mockApns.requests).toHaveLength(2);
+      expect(mockDynamoDB.update.mock.calls.filter(([params]) => params.Key.deviceToken === 'bad-token')).toHaveLength(0);
+    });
+  });
+
+  describe('Test Pushes', () => {
+    const ADMIN = 'support@example.com';
+    let handler;
+
+    function testPushEvent(body, token = userToken(ADMIN)) {
+      return deviceEvent('POST', body, token, '/admin/test-push');
+    }
+
+    beforeEach(() => {
+      process.env.ADMIN_EMAILS = `someone@example.com, ${ADMIN.toUpperCase()}`;
+      handler = require('../index.js').handler;
+    });
+
+    test('should only accept administrators', async () => {
+      const result = await handler(testPushEvent({ deviceToken: APNS_TOKEN }, userToken('test@example.com')));
+
+      expect(result.statusCode).toBe(403);
+      expect(mockApns.requests).toHaveLength(0);
+    });
+
+    test('should send to a token in the chosen environment and report the APNs result', async () => {
+      mockApns.respond = () => ({ status: 200, headers: { 'apns-unique-id': 'unique-id-1' } });
+
+      const result = await handler(testPushEvent({ deviceToken: APNS_TOKEN, apnsEnvironment: 'production', pushType: 'background' }));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({
+        success: true,
+        results: [{
+          deviceToken: APNS_TOKEN,
+          apnsEnvironment: 'production',
+          apnsTopic: 'com.test.gmailpush',
+          pushType: 'background',
+          status: 200,
+          reason: null,
+          apnsId: 'test-uuid-123',
+          apnsUniqueId: 'unique-id-1',
+          durationMs: expect.any(Number)
+        }]
+      });
+      expect(mockApns.requests[0]).toMatchObject({
+        authority: 'https://api.push.apple.com',
+        headers: { 'apns-push-type': 'background', 'apns-priority': '5' },
+        payload: { aps: { 'content-available': 1 }, gmail: { test: true } }
+      });
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+    });
+
+    test('should send to every iOS device of an email without switching environments', async () => {
+      mockApns.respond = ({ headers }) => headers[':path'].endsWith('old-token')
+        ? { status: 400, body: { reason: 'BadDeviceToken' } }
+        : { status: 200 };
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'phone-token', apnsEnvironment: 'sandbox', apnsTopic: 'com.test.app.debug' },
+        { email: 'test@example.com', deviceToken: 'old-token', apnsEnvironment: 'production' },
+        { email: 'test@example.com', deviceToken: 'fcm-token', platform: 'android' }
+      ]);
+
+      const result = await handler(testPushEvent({ email: 'test@example.com' }));
+      const body = JSON.parse(result.body);
+
+      expect(body.success).toBe(false);
+      expect(body.results.map(r => [r.deviceToken, r.apnsEnvironment, r.apnsTopic, r.status, r.reason])).toEqual([
+        ['phone-token', 'sandbox', 'com.test.app.debug', 200, null],
+        ['old-token', 'production', 'com.test.gmailpush', 400, 'BadDeviceToken']
+      ]);
+      expect(mockApns.requests).toHaveLength(2);
+      expect(mockApns.requests[0].payload.aps.alert).toEqual({ title: 'Test notification', body: 'Push notifications are working' });
+      expect(mockDynamoDB.update).not.toHaveBeenCalled();
+      expect(mockDynamoDB.delete).not.toHaveBeenCalled();
+    });
+
+    test('should send a custom payload', async () => {
+      const payload = { aps: { alert: 'Hello', badge: 3 }, custom: 'value' };
+
+      await handler(testPushEvent({ deviceToken: APNS_TOKEN, payload }));
+
+      expect(mockApns.requests[0]).toMatchObject({ headers: { 'apns-push-type': 'alert', 'apns-priority': '10' }, payload });
+    });
+
+    test('should reject requests without a target or for unknown devices', async () => {
+      const empty = await handler(testPushEvent({ pushType: 'alert' }));
+      expect(empty.statusCode).toBe(422);
+      expect(JSON.parse(empty.body).code).toBe('missing_field');
+
+      mockDevices([{ email: 'test@example.com', deviceToken: 'phone-token' }]);
+      const unknown = await handler(testPushEvent({ email: 'test@example.com', deviceToken: APNS_TOKEN }));
+      expect(unknown.statusCode).toBe(404);
+      expect(mockApns.requests).toHaveLength(0);
+    });
+  });
+
+  describe('Device Expiry', () => {
+    const NOW = Date.parse('2026-10-19T12:00:00Z');
+    const TTL = Math.floor(NOW / 1000) + 90 * 24 * 60 * 60;
+    let lambda;
+
+    function deviceUpdates() {
+      return mockDynamoDB.update.mock.calls
+        .map(([params]) => params)
+        .filter(params => params.Key.deviceToken !== '#mailbox');
+    }
+
+    beforeEach(() => {
+      lambda = require('../index.js');
+      lambda.setClients({ now: () => new Date(NOW) });
+    });
+
+    test('should set a 90-day ttl at registration', async () => {
+      await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }));
+
+      expect(mockDynamoDB.put.mock.calls[0][0].Item).toMatchObject({ lastActive: '2026-10-19T12:00:00.000Z', ttl: TTL });
+    });
+
+    test('should honour DEVICE_TTL_DAYS', async () => {
+      process.env.DEVICE_TTL_DAYS = '30';
+      jest.resetModules();
+      lambda = require('../index.js');
+      lambda.setClients({ now: () => new Date(NOW) });
+
+      await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }));
+
+      expect(mockDynamoDB.put.mock.calls[0][0].Item.ttl).toBe(Math.floor(NOW / 1000) + 30 * 24 * 60 * 60);
+    });
+
+    test('should slide the ttl on heartbeat', async () => {
+      mockDynamoDB.update.mockImplementationOnce((params) => ({
+        promise: jest.fn().mockResolvedValue({
+          Attributes: { email: 'test@example.com', deviceToken: 'token', lastActive: params.ExpressionAttributeValues[':v0'], ttl: params.ExpressionAttributeValues[':v1'] }
+        })
+      }));
+
+      const result = await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: 'token' }, userToken(), '/device/heartbeat'));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({
+        success: true,
+        lastActive: '2026-10-19T12:00:00.000Z',
+        expiresAt: '2027-01-17T12:00:00.000Z'
+      });
+      expect(deviceUpdates()).toEqual([expect.objectContaining({
+        Key: { email: 'test@example.com', deviceToken: 'token' },
+        ConditionExpression: 'attribute_exists(deviceToken) AND (attribute_not_exists(#ttl) OR #ttl > :now)',
+        ExpressionAttributeNames: { '#ttl': 'ttl', '#f0': 'lastActive', '#f1': 'ttl', '#f2': 'pushToken' },
+        ExpressionAttributeValues: { ':now': Math.floor(NOW / 1000), ':v0': '2026-10-19T12:00:00.000Z', ':v1': TTL, ':v2': 'token' }
+      })]);
+    });
+
+    test('should not revive expired devices on heartbeat', async () => {
+      mockDynamoDB.update.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(Object.assign(new Error('The conditional request failed'), {
+          code: 'ConditionalCheckFailedException'
+        }))
+      }));
+
+      const result = await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: 'gone' }, userToken(), '/device/heartbeat'));
+
+      expect(result.statusCode).toBe(404);
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should reject heartbeats for another mailbox', async () => {
+      const result = await lambda.handler(deviceEvent('POST', { email: 'victim@example.com', deviceToken: 'token' }, userToken('attacker@example.com'), '/device/heartbeat'));
+
+      expect(result.statusCode).toBe(403);
+      expect(mockDynamoDB.update).not.toHaveBeenCalled();
+    });
+
+    test('should refresh devices after delivery at most once a day', async () => {
+      mockApns.respond = ({ headers }) => headers[':path'].endsWith('/failing-token')
+        ? { status: 400, body: { reason: 'BadTopic' } }
+        : { status: 200 };
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'recent-token', lastActive: '2026-10-19T06:00:00.000Z' },
+        { email: 'test@example.com', deviceToken: 'stale-token', lastActive: '2026-10-10T00:00:00.000Z' },
+        { email: 'test@example.com', deviceToken: 'unknown-token' },
+        { email: 'test@example.com', deviceToken: 'failing-token', lastActive: '2026-10-01T00:00:00.000Z' }
+      ]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(deviceUpdates().map(params => params.Key.deviceToken)).toEqual(['stale-token', 'unknown-token']);
+      expect(deviceUpdates()[0].ExpressionAttributeValues).toEqual({ ':now': Math.floor(NOW / 1000), ':v0': '2026-10-19T12:00:00.000Z', ':v1': TTL, ':v2': 'stale-token' });
+    });
+
+    test('should answer 404 for expired devices DynamoDB has not deleted yet', async () => {
+      const { MemoryDocumentClient } = require('../local/memory-store');
+      const store = new MemoryDocumentClient();
+      const expired = { email: 'test@example.com', deviceToken: 'expired-token', pushToken: 'expired-token', notificationMode: 'alert', ttl: Math.floor(NOW / 1000) };
+      await store.put({ TableName: 'test-table', Item: expired }).promise();
+      lambda.setClients({ dynamodb: store });
+      const device = { email: 'test@example.com', deviceToken: 'expired-token' };
+
+      const heartbeat = await lambda.handler(deviceEvent('POST', device, userToken(), '/device/heartbeat'));
+      const patch = await lambda.handler(deviceEvent('PATCH', { ...device, mode: 'silent' }));
+      const badge = await lambda.handler(deviceEvent('POST', device, userToken(), '/device/badge'));
+
+      expect([heartbeat.statusCode, patch.statusCode, badge.statusCode]).toEqual([404, 404, 404]);
+      expect(store.items('test-table')).toEqual([expired]);
+    });
+
+    test('should ignore expired devices DynamoDB has not deleted yet', async () => {
+      const devices = [
+        { email: 'test@example.com', deviceToken: 'live-token', ttl: Math.floor(NOW / 1000) + 1 },
+        { email: 'test@example.com', deviceToken: 'expired-token', ttl: Math.floor(NOW / 1000) }
+      ];
+      mockDevices(devices);
+      mockDevices(devices);
+
+      const listed = await lambda.handler({ ...deviceEvent('GET', undefined, userToken(), '/devices'), queryStringParameters: { email: 'test@example.com' } });
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(mockApns.requests.map(request => request.headers[':path'])).toEqual(['/3/device/live-token']);
+      expect(JSON.parse(listed.body).devices.map(device => device.deviceToken)).toEqual(['live-token']);
+    });
+  });
+
+  describe('Delivery Retries', () => {
+    const DLQ_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/gmail-push-test-delivery-dlq';
+    let lambda;
+    let sleeps;
+
+    function queuedMessages() {
+      return mockSQS.sendMessage.mock.calls.map(([params]) => ({ ...params, MessageBody: JSON.parse(params.MessageBody) }));
+    }
+
+    function sqsEvent(messages) {
+      return {
+        Records: messages.map((message, index) => ({
+          messageId: `sqs-${index}`,
+          eventSource: 'aws:sqs',
+          body: JSON.stringify(message)
+        }))
+      };
+    }
+
+    function queuedDelivery(deviceToken, extra = {}) {
+      return {
+        type: 'delivery-retry',
+        email: 'test@example.com',
+        deviceToken: deviceToken,
+        notificationMode: 'alert',
+        notification: {
+          alert: { title: 'New Gmail Message', body: 'You have a new email in your inbox' },
+          gmailData: { email: 'test@example.com', historyId: '1234567890', timestamp: '2026-10-19T12:00:00.000Z' },
+          sound: 'default',
+          category: 'GMAIL_NOTIFICATION',
+          threadId: 'test@example.com'
+        },
+        ...extra
+      };
+    }
+
+    beforeEach(() => {
+      process.env.DELIVERY_DLQ_URL = DLQ_URL;
+      lambda = require('../index.js');
+      sleeps = [];
+      lambda.setClients({
+        now: () => new Date('2026-10-19T12:00:00Z'),
+        sleep: jest.fn(async (ms) => {
+          sleeps.push(ms);
+        })
+      });
+    });
+
+    test('should retry transient APNs failures with backoff', async () => {
+      let attempts = 0;
+      mockApns.respond = () => (++attempts < 3 ? { status: 503, body: { reason: 'ServiceUnavailable' } } : { status: 200 });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ message: 'Notifications sent to 1 devices', failed: 0, deferred: 0 });
+      expect(mockApns.requests).toHaveLength(3);
+      expect(sleeps).toHaveLength(2);
+      expect(sleeps[0]).toBeGreaterThanOrEqual(125);
+      expect(sleeps[0]).toBeLessThanOrEqual(250);
+      expect(sleeps[1]).toBeGreaterThanOrEqual(250);
+      expect(sleeps[1]).toBeLessThanOrEqual(500);
+      expect(mockSQS.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should queue sends that keep failing transiently', async () => {
+      mockApns.respond = () => ({ status: 429, body: { reason: 'TooManyRequests' } });
+      mockMailbox({ email: 'test@example.com', deviceToken: '#mailbox', unreadCount: 4 });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token', notificationMode: 'alert' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 1, pruned: 0, deferred: 1 });
+      expect(mockApns.requests).toHaveLength(3);
+      expect(queuedMessages()).toEqual([{
+        QueueUrl: DLQ_URL,
+        DelaySeconds: 60,
+        MessageBody: {
+          type: 'delivery-retry',
+          email: 'test@example.com',
+          deviceToken: 'token',
+          notificationMode: 'alert',
+          notification: expect.objectContaining({
+            gmailData: expect.objectContaining({ historyId: '1234567890' })
+          }),
+          badge: 4,
+          attempts: 3,
+          error: { statusCode: 429, reason: 'TooManyRequests', message: 'APNS request failed: 429 TooManyRequests' },
+          failedAt: '2026-10-19T12:00:00.000Z'
+        }
+      }]);
+    });
+
+    test('should not retry or queue permanent failures', async () => {
+      mockApns.respond = () => ({ status: 410, body: { reason: 'Unregistered', timestamp: 1700000000000 } });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token', apnsEnvironment: 'sandbox' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 1, pruned: 1, deferred: 0 });
+      expect(mockApns.requests).toHaveLength(1);
+      expect(mockSQS.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should treat connection resets as transient', async () => {
+      const send = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+        .mockResolvedValue({ success: true });
+      lambda.setClients({ push: { ios: { send } } });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 0 });
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    test('should only count sends as deferred when a queue is configured', async () => {
+      delete process.env.DELIVERY_DLQ_URL;
+      jest.resetModules();
+      lambda = require('../index.js');
+      lambda.setClients({ sleep: jest.fn().mockResolvedValue() });
+      mockApns.respond = () => ({ status: 500, body: { reason: 'InternalServerError' } });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token' }]);
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ failed: 1, deferred: 0 });
+      expect(mockSQS.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should replay queued deliveries from SQS', async () => {
+      mockApns.respond = ({ headers }) => headers[':path'].endsWith('/throttled-token')
+        ? { status: 429, body: { reason: 'TooManyRequests' } }
+        : { status: 200 };
+      const devices = [
+        { email: 'test@example.com', deviceToken: 'token', notificationMode: 'silent' },
+        { email: 'test@example.com', deviceToken: 'throttled-token' }
+      ];
+      mockDevices(devices);
+      mockDevices(devices);
+      mockDevices(devices);
+
+      const result = await lambda.handler(sqsEvent([
+        queuedDelivery('token'),
+        queuedDelivery('removed-token'),
+        queuedDelivery('throttled-token')
+      ]));
+
+      expect(result).toEqual({ batchItemFailures: [{ itemIdentifier: 'sqs-2' }] });
+      const replayed = mockApns.requests.find(r => r.headers[':path'].endsWith('/token'));
+      expect(replayed.headers['apns-push-type']).toBe('alert');
+      expect(mockApns.requests.some(r => r.headers[':path'].endsWith('/removed-token'))).toBe(false);
+      expect(mockSQS.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should replay the badge of the original push', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token', notificationMode: 'alert' }]);
+
+      const result = await lambda.handler(sqsEvent([queuedDelivery('token', { badge: 4 })]));
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(mockApns.requests[0].payload.aps.badge).toBe(4);
+    });
+
+    test('should prune devices rejected permanently on replay', async () => {
+      mockApns.respond = () => ({ status: 410, body: { reason: 'Unregistered' } });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token', apnsEnvironment: 'sandbox' }]);
+
+      const result = await lambda.handler(sqsEvent([queuedDelivery('token')]));
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith({
+        TableName: 'test-table',
+        Key: { email: 'test@example.com', deviceToken: 'token' }
+      });
+    });
+  });
+
+  describe('Asynchronous Fan-out', () => {
+    const FANOUT_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/gmail-push-test-fanout';
+    let lambda;
+
+    function fanoutJob(email = 'test@example.com') {
+      return {
+        type: 'gmail-notification',
+        email: email,
+        notification: {
+          alert: { title: 'New Gmail Message', body: 'You have a new email in your inbox' },
+          gmailData: { email: email, historyId: '1234567890', timestamp: '2026-10-19T12:00:00.000Z' },
+          sound: 'default',
+          category: 'GMAIL_NOTIFICATION',
+          threadId: email
+        }
+      };
+    }
+
+    beforeEach(() => {
+      process.env.FANOUT_QUEUE_URL = FANOUT_URL;
+      lambda = require('../index.js');
+    });
+
+    test('should queue one job per email and acknowledge with 204', async () => {
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(204);
+      expect(result.body).toBe('');
+      expect(mockSQS.sendMessage).toHaveBeenCalledTimes(1);
+      const { QueueUrl, MessageBody } = mockSQS.sendMessage.mock.calls[0][0];
+      expect(QueueUrl).toBe(FANOUT_URL);
+      expect(JSON.parse(MessageBody)).toEqual({
+        type: 'gmail-notification',
+        email: 'test@example.com',
+        notification: expect.objectContaining({
+          gmailData: { email: 'test@example.com', historyId: '1234567890', timestamp: expect.any(String) }
+        }),
+        messageId: 'pubsub-message-1'
+      });
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+      expect(mockApns.requests).toHaveLength(0);
+    });
+
+    test('should still drop duplicates before queueing', async () => {
+      mockDynamoDB.put.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(Object.assign(new Error('The conditional request failed'), {
+          code: 'ConditionalCheckFailedException'
+        }))
+      }));
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(JSON.parse(result.body)).toMatchObject({ skipped: 'duplicate' });
+      expect(mockSQS.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('should let Pub/Sub retry when the job cannot be queued', async () => {
+      mockSQS.sendMessage.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(new Error('SQS unavailable'))
+      }));
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(500);
+      expect(mockDynamoDB.delete).toHaveBeenCalledWith(expect.objectContaining({
+        Key: expect.objectContaining({ email: '#pubsub:pubsub-message-1' })
+      }));
+    });
+
+    test('should deliver queued jobs and report failed records', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'token', notificationMode: 'alert' }]);
+      mockDynamoDB.query.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(new Error('DynamoDB unavailable'))
+      }));
+
+      const result = await lambda.handler({
+        Records: [
+          { messageId: 'job-1', eventSource: 'aws:sqs', body: JSON.stringify(fanoutJob()) },
+          { messageId: 'job-2', eventSource: 'aws:sqs', body: JSON.stringify(fanoutJob('other@example.com')) }
+        ]
+      });
+
+      expect(result).toEqual({ batchItemFailures: [{ itemIdentifier: 'job-2' }] });
+      expect(mockApns.requests).toHaveLength(1);
+      expect(mockApns.requests[0].headers[':path']).toBe('/3/device/token');
+      expect(mockApns.requests[0].headers['apns-push-type']).toBe('alert');
+    });
+
+    test('should not fail the job once its devices were sent to', async () => {
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'token-1' },
+        { email: 'test@example.com', deviceToken: 'dead-token' }
+      ]);
+      mockApns.respond = ({ headers }) => (headers[':path'].endsWith('dead-token')
+        ? { status: 410, body: { reason: 'Unregistered' } }
+        : { status: 200 });
+      const metrics = require('../metrics');
+      const count = jest.spyOn(metrics, 'count').mockImplementation(() => {
+        throw new Error('stdout closed');
+      });
+
+      try {
+        const result = await lambda.handler({
+          Records: [{ messageId: 'job-1', eventSource: 'aws:sqs', body: JSON.stringify(fanoutJob()) }]
+        });
+
+        // Redelivering the record would resend to token-1
+        expect(result).toEqual({ batchItemFailures: [] });
+        expect(mockApns.requests).toHaveLength(2);
+      } finally {
+        count.mockRestore();
+      }
+    });
+  });
+
+  describe('Burst Coalescing', () => {
+    const { MemoryDocumentClient } = require('../local/memory-store');
+    const START = Date.parse('2026-10-19T12:00:00Z');
+    let lambda;
+    let store;
+    let clock;
+
+    function pubsubEvent(historyId) {
+      return gmailNotificationEvent(gmailEnvelope(
+        { emailAddress: 'test@example.com', historyId: historyId },
+        { message: { messageId: `pubsub-${historyId}` } }
+      ));
+    }
+
+    // Burst deliveries queued so far, as SQS would hand them to the function
+    function queuedBurstDeliveries() {
+      return {
+        Records: mockSQS.sendMessage.mock.calls.map(([params], index) => ({
+          messageId: `sqs-${index}`,
+          eventSource: 'aws:sqs',
+          body: params.MessageBody
+        }))
+      };
+    }
+
+    beforeEach(async () => {
+      process.env.COALESCE_WINDOW_SECONDS = '60';
+      process.env.COALESCE_QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/fanout';
+      lambda = require('../index.js');
+      store = new MemoryDocumentClient();
+      clock = START;
+      lambda.setClients({ dynamodb: store, now: () => new Date(clock) });
+      await store.put({
+        TableName: 'test-table',
+        Item: { email: 'test@example.com', deviceToken: APNS_TOKEN, notificationMode: 'alert' }
+      }).promise();
+    });
+
+    test('should deliver the first event at once and hold back the rest of the window', async () => {
+      const first = await lambda.handler(pubsubEvent('101'));
+      clock += 10000;
+      const second = await lambda.handler(pubsubEvent('102'));
+      clock += 5000;
+      const third = await lambda.handler(pubsubEvent('103'));
+
+      expect(JSON.parse(first.body).message).toBe('Notifications sent to 1 devices');
+      expect(JSON.parse(second.body)).toMatchObject({ success: true, skipped: 'coalesced' });
+      expect(JSON.parse(third.body)).toMatchObject({ success: true, skipped: 'coalesced' });
+      expect(mockApns.requests).toHaveLength(1);
+      expect(mockApns.requests[0].headers['apns-collapse-id']).toMatch(new RegExp(`^[0-9a-f]{32}-${START}$`));
+      expect(mockApns.requests[0].payload.gmail).toMatchObject({ historyId: '101', messageCount: 1 });
+
+      // Only the first held-back event schedules the delivery, for the end of the window
+      expect(mockSQS.sendMessage).toHaveBeenCalledTimes(1);
+      expect(mockSQS.sendMessage).toHaveBeenCalledWith({
+        QueueUrl: process.env.COALESCE_QUEUE_URL,
+        DelaySeconds: 50,
+        MessageBody: JSON.stringify({ type: 'coalesced-notification', email: 'test@example.com', provider: 'gmail' })
+      });
+    });
+
+    test('should deliver the newest held-back event with the burst count when the window ends', async () => {
+      await lambda.handler(pubsubEvent('101'));
+      clock += 10000;
+      await lambda.handler(pubsubEvent('102'));
+      await lambda.handler(pubsubEvent('103'));
+
+      clock = START + 60000;
+      const result = await lambda.handler(queuedBurstDeliveries());
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(mockApns.requests).toHaveLength(2);
+      const [leading, trailing] = mockApns.requests;
+      expect(trailing.headers['apns-collapse-id']).toBe(leading.headers['apns-collapse-id']);
+      expect(trailing.payload.gmail).toMatchObject({ historyId: '103', messageCount: 3 });
+      expect(trailing.payload.aps.alert.body).toBe('You have 3 new emails in your inbox');
+
+      // A redelivered job finds nothing left to send
+      await lambda.handler(queuedBurstDeliveries());
+      expect(mockApns.requests).toHaveLength(2);
+    });
+
+    test('should keep a burst going across windows and start a new one after a quiet window', async () => {
+      await lambda.handler(pubsubEvent('101'));
+      clock += 10000;
+      await lambda.handler(pubsubEvent('102'));
+      clock = START + 60000;
+      await lambda.handler(queuedBurstDeliveries());
+      mockSQS.sendMessage.mockClear();
+
+      // The delivery opened the next window
+      clock += 30000;
+      await lambda.handler(pubsubEvent('103'));
+      expect(mockApns.requests).toHaveLength(2);
+      expect(mockSQS.sendMessage.mock.calls[0][0].DelaySeconds).toBe(30);
+
+      clock += 30000;
+      await lambda.handler(queuedBurstDeliveries());
+      expect(mockApns.requests[2].payload.gmail.messageCount).toBe(3);
+
+      // Nothing arrived in the last window, so the next event starts a new burst
+      clock += 60000;
+      await lambda.handler(pubsubEvent('104'));
+      expect(mockApns.requests).toHaveLength(4);
+      expect(mockApns.requests[3].payload.gmail.messageCount).toBe(1);
+      expect(mockApns.requests[3].headers['apns-collapse-id']).not.toBe(mockApns.requests[0].headers['apns-collapse-id']);
+    });
+
+    test('should let Pub/Sub retry when the delivery cannot be scheduled', async () => {
+      await lambda.handler(pubsubEvent('101'));
+      mockSQS.sendMessage.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(new Error('SQS unavailable'))
+      }));
+
+      const failed = await lambda.handler(pubsubEvent('102'));
+      expect(failed.statusCode).toBe(500);
+
+      const retried = await lambda.handler(pubsubEvent('102'));
+      expect(JSON.parse(retried.body).skipped).toBe('coalesced');
+      expect(mockSQS.sendMessage).toHaveBeenCalledTimes(2);
+      // The failed attempt is not counted
+      const burst = store.items('test-table').find(item => item.deviceToken === '#coalesce:gmail');
+      expect(burst).toMatchObject({ messageCount: 2, pendingNotification: expect.any(Object) });
+    });
+
+    test('should not coalesce or set a collapse ID without a window', async () => {
+      process.env.COALESCE_WINDOW_SECONDS = '0';
+      jest.resetModules();
+      lambda = require('../index.js');
+      lambda.setClients({ dynamodb: store, now: () => new Date(clock) });
+
+      await lambda.handler(pubsubEvent('101'));
+      await lambda.handler(pubsubEvent('102'));
+
+      expect(mockApns.requests).toHaveLength(2);
+      expect(mockApns.requests[0].headers['apns-collapse-id']).toBeUndefined();
+      expect(mockSQS.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Unread Badge', () => {
+    const { MemoryDocumentClient } = require('../local/memory-store');
+    const WORK_EMAIL = 'work@example.com';
+    const INSTALLATION_ID = 'installation-secret-0123456789';
+    const OWNER = crypto.createHash('sha256').update(INSTALLATION_ID).digest('base64url');
+    let lambda;
+    let store;
+    let fakeGmail;
+    let unread;
+
+    function putItem(item) {
+      return store.put({ TableName: 'test-table', Item: item }).promise();
+    }
+
+    function mailbox(email) {
+      return store.items('test-table').find(item => item.email === email && item.deviceToken === '#mailbox') || {};
+    }
+
+    function badgeEvent(body, token) {
+      return deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN, ...body }, token, '/device/badge');
+    }
+
+    beforeEach(async () => {
+      lambda = require('../index.js');
+      store = new MemoryDocumentClient();
+      // INBOX unread counts by refresh token
+      unread = { 'test-refresh': 5, 'work-refresh': 3 };
+      fakeGmail = {
+        refreshAccessToken: jest.fn(refreshToken => Promise.resolve({ accessToken: `access:${refreshToken}`, expiresIn: 3600 })),
+        getLabel: jest.fn((accessToken, id) => Promise.resolve({
+          id: id,
+          messagesTotal: 40,
+          messagesUnread: unread[accessToken.slice('access:'.length)]
+        }))
+      };
+      lambda.setClients({ dynamodb: store, gmail: fakeGmail });
+
+      // One iPhone signed in to two Gmail accounts, and a silent device
+      await putItem({ email: 'test@example.com', deviceToken: APNS_TOKEN, pushToken: APNS_TOKEN, notificationMode: 'alert', owner: OWNER });
+      await putItem({ email: 'test@example.com', deviceToken: 'silent-token', pushToken: 'silent-token' });
+      await putItem({ email: WORK_EMAIL, deviceToken: APNS_TOKEN, pushToken: APNS_TOKEN, notificationMode: 'alert', owner: OWNER });
+      await putItem({ email: 'test@example.com', deviceToken: '#mailbox', gmailRefreshToken: encryptedToken('test@example.com', 'test-refresh') });
+      await putItem({ email: WORK_EMAIL, deviceToken: '#mailbox', gmailRefreshToken: encryptedToken(WORK_EMAIL, 'work-refresh'), unreadCount: 2 });
+    });
+
+    test('should badge alerts with the unread count of every account on the device', async () => {
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+      expect(fakeGmail.getLabel).toHaveBeenCalledTimes(1);
+      expect(fakeGmail.getLabel).toHaveBeenCalledWith('access:test-refresh', 'INBOX');
+      expect(mailbox('test@example.com').unreadCount).toBe(5);
+
+      const alert = mockApns.requests.find(r => r.headers[':path'].endsWith(`/${APNS_TOKEN}`));
+      const silent = mockApns.requests.find(r => r.headers[':path'].endsWith('/silent-token'));
+      // 5 just read for test@example.com, 2 stored for work@example.com
+      expect(alert.payload.aps.badge).toBe(7);
+      expect(silent.payload.aps).toEqual({ 'content-available': 1 });
+    });
+
+    test('should fall back to the stored count when Gmail fails', async () => {
+      fakeGmail.getLabel.mockRejectedValue(Object.assign(new Error('Backend Error'), { statusCode: 503 }));
+      await putItem({ ...mailbox('test@example.com'), unreadCount: 4 });
+
+      const result = await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(result.statusCode).toBe(200);
+      expect(mockApns.requests.find(r => r.headers[':path'].endsWith(`/${APNS_TOKEN}`)).payload.aps.badge).toBe(6);
+    });
+
+    test('should resync the badge from every account of the device', async () => {
+      // Registered before the pushToken-index; found through the caller's own mailbox
+      await putItem({ email: 'test@example.com', deviceToken: APNS_TOKEN, notificationMode: 'alert', owner: OWNER });
+
+      const result = await lambda.handler(badgeEvent({}));
+
+      expect(result.statusCode).toBe(200);
+      expect(JSON.parse(result.body)).toEqual({ success: true, badge: 8 });
+      expect(fakeGmail.getLabel).toHaveBeenCalledTimes(2);
+      expect(mailbox(WORK_EMAIL).unreadCount).toBe(3);
+      // The call counts as activity and fills in the index key
+      expect(store.items('test-table').find(item => item.email === 'test@example.com' && item.deviceToken === APNS_TOKEN))
+        .toMatchObject({ pushToken: APNS_TOKEN, lastActive: expect.any(String) });
+    });
+
+    test('should reset the count of the caller\'s account', async () => {
+      const result = await lambda.handler(badgeEvent({ action: 'reset' }));
+
+      expect(JSON.parse(result.body)).toEqual({ success: true, badge: 2 });
+      expect(mailbox('test@example.com').unreadCount).toBe(0);
+      expect(fakeGmail.getLabel).not.toHaveBeenCalled();
+    });
+
+    test('should store the installation as the owner of the registration', async () => {
+      const result = await lambda.handler(deviceEvent('POST', { email: 'new@example.com', deviceToken: 'a'.repeat(64), installationId: INSTALLATION_ID }));
+      const change = await lambda.handler(deviceEvent('PATCH', { email: 'new@example.com', deviceToken: 'a'.repeat(64), installationId: INSTALLATION_ID }));
+
+      expect(result.statusCode).toBe(200);
+      expect(store.items('test-table').find(item => item.email === 'new@example.com')).toMatchObject({ owner: OWNER });
+      expect(JSON.stringify(store.items('test-table'))).not.toContain(INSTALLATION_ID);
+      expect(JSON.parse(change.body)).toMatchObject({ code: 'invalid_value', field: 'installationId' });
+    });
+
+    test('should not count accounts another installation registered the token for', async () => {
+      await putItem({ email: 'attacker@example.com', deviceToken: APNS_TOKEN, pushToken: APNS_TOKEN, notificationMode: 'alert', owner: 'attacker-owner' });
+      await putItem({ email: 'attacker@example.com', deviceToken: '#mailbox', unreadCount: 100 });
+      await putItem({ email: 'legacy@example.com', deviceToken: APNS_TOKEN, pushToken: APNS_TOKEN, notificationMode: 'alert' });
+      await putItem({ email: 'legacy@example.com', deviceToken: '#mailbox', unreadCount: 50 });
+
+      const victim = await lambda.handler(badgeEvent({}));
+      const attacker = await lambda.handler(badgeEvent({ email: 'attacker@example.com' }, userToken('attacker@example.com')));
+      const legacy = await lambda.handler(badgeEvent({ email: 'legacy@example.com' }, userToken('legacy@example.com')));
+
+      expect(JSON.parse(victim.body).badge).toBe(8);
+      expect(JSON.parse(attacker.body).badge).toBe(100);
+      expect(JSON.parse(legacy.body).badge).toBe(50);
+      // Only the victim's own resync read the victim's Gmail accounts
+      expect(fakeGmail.getLabel).toHaveBeenCalledTimes(2);
+    });
+
+    test('should only update badges of the caller\'s own devices', async () => {
+      expect((await lambda.handler(badgeEvent({ email: WORK_EMAIL }, userToken('test@example.com')))).statusCode).toBe(403);
+      expect((await lambda.handler(badgeEvent({ deviceToken: 'other-token' }))).statusCode).toBe(404);
+      expect((await lambda.handler(badgeEvent({ action: 'clear' }))).statusCode).toBe(422);
+      expect(fakeGmail.getLabel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Structured Logging', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    test('should correlate entries with the request and Pub/Sub message without leaking PII', async () => {
+      mockApns.respond = () => ({ status: 500, body: { reason: 'InternalServerError' } });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'secret-device-token' }]);
+      const event = gmailNotificationEvent(gmailEnvelope());
+      event.requestContext.requestId = 'function-url-request-1';
+
+      await handler(event, { awsRequestId: 'lambda-request-1' });
+
+      const entries = loggedEntries();
+      expect(entries[0]).toEqual(expect.objectContaining({
+        level: 'info',
+        message: 'Lambda invoked',
+        requestId: 'function-url-request-1',
+        method: 'POST',
+        path: '/gmail-notification'
+      }));
+      expect(entries.find(entry => entry.message === 'Notification failed for device')).toEqual(expect.objectContaining({
+        level: 'error',
+        requestId: 'function-url-request-1',
+        messageId: 'pubsub-message-1',
+        deviceToken: expect.stringMatching(/^tok_/),
+        error: expect.objectContaining({ statusCode: 500, reason: 'InternalServerError', apnsId: 'test-uuid-123' })
+      }));
+
+      const output = JSON.stringify(entries);
+      expect(output).not.toContain('test@example.com');
+      expect(output).not.toContain('secret-device-token');
+      expect(output).not.toContain('authorization');
+      expect(output).not.toContain(process.env.APNS_TEAM_ID);
+    });
+
+    test('should fall back to the Lambda request ID', async () => {
+      await handler({ source: 'aws.events', 'detail-type': 'Scheduled Event' }, { awsRequestId: 'lambda-request-1' });
+
+      expect(loggedEntries()[0]).toEqual(expect.objectContaining({ message: 'Lambda invoked', requestId: 'lambda-request-1' }));
+    });
+  });
+
+  describe('Metrics', () => {
+    let lambda;
+
+    beforeEach(() => {
+      process.env.ENVIRONMENT = 'prod';
+      process.env.DELIVERY_DLQ_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/delivery-dlq';
+      lambda = require('../index.js');
+    });
+
+    test('should count deliveries by platform and outcome', async () => {
+      const send = jest.fn(async (device) => {
+        if (device.deviceToken === 'fcm-gone') {
+          throw Object.assign(new Error('FCM request failed: 404 UNREGISTERED'), { permanent: true });
+        }
+        if (device.deviceToken === 'fcm-busy') {
+          throw Object.assign(new Error('FCM request failed: 503 UNAVAILABLE'), { transient: true });
+        }
+        return { success: true };
+      });
+      lambda.setClients({ push: { ios: { send }, android: { send } }, sleep: () => Promise.resolve() });
+      mockDevices([
+        { email: 'test@example.com', deviceToken: 'apns-token' },
+        { email: 'test@example.com', deviceToken: 'fcm-gone', platform: 'android' },
+        { email: 'test@example.com', deviceToken: 'fcm-busy', platform: 'android' }
+      ]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const metrics = emittedMetrics();
+      const deliveries = metrics.filter(metric => metric.Deliveries !== undefined)
+        .map(({ Platform, Outcome, Deliveries }) => ({ Platform, Outcome, Deliveries }));
+      expect(deliveries).toEqual([
+        { Platform: 'ios', Outcome: 'delivered', Deliveries: 1 },
+        { Platform: 'android', Outcome: 'pruned', Deliveries: 1 },
+        { Platform: 'android', Outcome: 'deferred', Deliveries: 1 }
+      ]);
+      expect(metrics.find(metric => metric.FanoutSize !== undefined)).toMatchObject({ Environment: 'prod', FanoutSize: 3 });
+      expect(metrics.find(metric => metric.GmailNotifications !== undefined)).toMatchObject({ Outcome: 'processed' });
+      expect(metrics.filter(metric => metric.DeliveryLatency !== undefined)).toHaveLength(5);
+    });
+
+    test('should write metrics in the Embedded Metric Format', async () => {
+      mockDevices([{ email: 'test@example.com', deviceToken: 'apns-token' }]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(emittedMetrics().find(metric => metric.Deliveries !== undefined)).toEqual({
+        _aws: {
+          Timestamp: expect.any(Number),
+          CloudWatchMetrics: [{
+            Namespace: 'GmailPush',
+            Dimensions: [['Environment', 'Platform', 'Outcome']],
+            Metrics: [{ Name: 'Deliveries', Unit: 'Count' }]
+          }]
+        },
+        Environment: 'prod',
+        Platform: 'ios',
+        Outcome: 'delivered',
+        Deliveries: 1
+      });
+    });
+
+    test('should record APNs latency and responses by reason', async () => {
+      mockApns.respond = () => ({ status: 410, body: { reason: 'Unregistered' } });
+      mockDevices([{ email: 'test@example.com', deviceToken: 'apns-token' }]);
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      const metrics = emittedMetrics();
+      expect(metrics.find(metric => metric.APNsLatency !== undefined)).toMatchObject({
+        Environment: 'prod',
+        Platform: 'ios',
+        APNsLatency: expect.any(Number),
+        apnsEnvironment: 'production',
+        reason: 'Unregistered'
+      });
+      expect(metrics.find(metric => metric.APNsResponses !== undefined)).toMatchObject({ Reason: 'Unregistered', APNsResponses: 1 });
+      expect(metrics.find(metric => metric.Deliveries !== undefined)).toMatchObject({ Outcome: 'pruned' });
+    });
+
+    test('should count deduplicated notifications', async () => {
+      mockDynamoDB.put.mockImplementationOnce(() => ({
+        promise: jest.fn().mockRejectedValue(Object.assign(new Error('The conditional request failed'), {
+          code: 'ConditionalCheckFailedException'
+        }))
+      }));
+
+      await lambda.handler(gmailNotificationEvent(gmailEnvelope()));
+
+      expect(emittedMetrics()).toEqual([
+        expect.objectContaining({ Environment: 'prod', Outcome: 'duplicate', GmailNotifications: 1 })
+      ]);
+    });
+
+    test('should count device requests by operation, platform and outcome', async () => {
+      await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: 'fcm-token', platform: 'android' }));
+      await lambda.handler(deviceEvent('DELETE', { email: 'other@example.com', deviceToken: 'apns-token' }, userToken()));
+
+      const requests = emittedMetrics().filter(metric => metric.DeviceRequests !== undefined)
+        .map(({ Operation, Platform, Outcome, statusCode }) => ({ Operation, Platform, Outcome, statusCode }));
+      expect(requests).toEqual([
+        { Operation: 'register', Platform: 'android', Outcome: 'success', statusCode: 200 },
+        { Operation: 'unregister', Platform: 'unknown', Outcome: 'rejected', statusCode: 403 }
+      ]);
+    });
+  });
+
+  describe('Request Validation', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = require('../index.js').handler;
+    });
+
+    async function errorOf(event) {
+      const result = await handler(event);
+      return { statusCode: result.statusCode, ...JSON.parse(result.body) };
+    }
+
+    test('should return 415 for bodies that are not JSON', async () => {
+      const event = deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN });
+      event.headers['content-type'] = 'application/x-www-form-urlencoded';
+
+      expect(await errorOf(event)).toEqual({
+        statusCode: 415,
+        error: 'Content-Type must be application/json',
+        code: 'unsupported_media_type'
+      });
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should accept JSON content types with parameters', async () => {
+      const event = deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN });
+      event.headers['content-type'] = 'application/json; charset=utf-8';
+
+      const result = await handler(event);
+
+      expect(result.statusCode).toBe(200);
+    });
+
+    test('should return 400 for missing or non-object bodies', async () => {
+      const missing = deviceEvent('POST', undefined);
+      const list = deviceEvent('POST', undefined);
+      list.body = '[]';
+
+      expect(await errorOf(missing)).toMatchObject({ statusCode: 400, code: 'missing_body' });
+      expect(await errorOf(list)).toMatchObject({ statusCode: 400, code: 'invalid_body' });
+    });
+
+    test('should return 422 with the offending field', async () => {
+      const cases = [
+        [{ email: 'not-an-email', deviceToken: APNS_TOKEN }, 'invalid_format', 'email'],
+        [{ email: 'test@example.com', deviceToken: APNS_TOKEN, color: 'red' }, 'unknown_field', 'color'],
+        [{ email: 'test@example.com', deviceToken: 42 }, 'invalid_type', 'deviceToken'],
+        [{ email: 'test@example.com', deviceToken: 'x'.repeat(1025), platform: 'android' }, 'too_long', 'deviceToken'],
+        [{ email: 'test@example.com', deviceToken: 'é'.repeat(513) }, 'too_long', 'deviceToken'],
+        [{ email: 'test@example.com', platform: 'web', subscription: { endpoint: `https://fcm.googleapis.com/fcm/send/${'x'.repeat(1000)}`, keys: {} } }, 'too_long', 'subscription.endpoint'],
+        [{ email: 'test@example.com', deviceToken: 'not-hex' }, 'invalid_format', 'deviceToken'],
+        [{ email: 'test@example.com', deviceToken: 'fcm token!', platform: 'android' }, 'invalid_format', 'deviceToken'],
+        [{ email: 'test@example.com', deviceToken: APNS_TOKEN, sandbox: true, apnsEnvironment: 'production' }, 'invalid_value', 'sandbox']
+      ];
+
+      for (const [body, code, field] of cases) {
+        expect(await errorOf(deviceEvent('POST', body, userToken()))).toMatchObject({ statusCode: 422, code, field });
+      }
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should check the shape of Web Push subscriptions', async () => {
+      const cases = [
+        [{ endpoint: 'http://push.example.com/abc', keys: { p256dh: 'x', auth: 'y' } }, 'invalid_format', 'subscription.endpoint'],
+        [{ endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'BPub', auth: 'c2VjcmV0c2VjcmV0c2VjcmV0' } }, 'invalid_format', 'subscription.keys.p256dh'],
+        [{ endpoint: 'https://fcm.googleapis.com/fcm/send/abc' }, 'missing_field', 'subscription.keys']
+      ];
+
+      for (const [subscription, code, field] of cases) {
+        const result = await errorOf(deviceEvent('POST', { email: 'test@example.com', platform: 'web', subscription }));
+        expect(result).toMatchObject({ statusCode: 422, code, field });
+      }
+    });
+
+    test('should only check token formats when registering', async () => {
+      const result = await handler(deviceEvent('DELETE', { email: 'test@example.com', deviceToken: 'legacy-token' }));
+
+      expect(result.statusCode).toBe(200);
+    });
+
+    test('should validate the other routes', async () => {
+      expect(await errorOf(deviceEvent('POST', { email: 'test@example.com' }, userToken(), '/device/heartbeat')))
+        .toMatchObject({ statusCode: 422, code: 'missing_field', field: 'deviceToken' });
+      expect(await errorOf(deviceEvent('POST', { email: 'test@example.com', refreshToken: '' }, userToken(), '/gmail-credentials')))
+        .toMatchObject({ statusCode: 422, code: 'invalid_format', field: 'refreshToken' });
+      expect(await errorOf(deviceEvent('DELETE', {}, userToken(), '/devices')))
+        .toMatchObject({ statusCode: 422, code: 'missing_field', field: 'email' });
+    });
+
+    test('should authenticate before validating', async () => {
+      const result = await handler(deviceEvent('POST', { deviceToken: 'bad' }, null));
+
+      expect(result.statusCode).toBe(401);
+    });
+
+    test('should validate the Pub/Sub envelope and Gmail payload', async () => {
+      const cases = [
+        [gmailEnvelope(undefined, { envelope: { extra: true } }), 'unknown_field', 'extra'],
+        [gmailEnvelope(undefined, { message: { data: 'not base64!' } }), 'invalid_format', 'message.data'],
+        [gmailEnvelope({ emailAddress: 'nobody', historyId: '1' }), 'invalid_format', 'message.data.emailAddress'],
+        [gmailEnvelope({ historyId: '1' }), 'missing_field', 'message.data.emailAddress'],
+        [gmailEnvelope({ emailAddress: 'test@example.com', historyId: 'latest' }), 'invalid_format', 'message.data.historyId']
+      ];
+
+      for (const [envelope, code, field] of cases) {
+        expect(await errorOf(gmailNotificationEvent(envelope))).toMatchObject({ statusCode: 422, code, field });
+      }
+
+      const invalidJson = gmailNotificationEvent(gmailEnvelope());
+      invalidJson.body = '{';
+      expect(await errorOf(invalidJson)).toMatchObject({ statusCode: 400, code: 'invalid_json' });
+      expect(mockDynamoDB.query).not.toHaveBeenCalled();
+    });
+
+    test('should accept every field Pub/Sub sends', async () => {
+      const envelope = gmailEnvelope(undefined, {
+        message: { message_id: 'pubsub-message-1', publishTime: '2026-10-19T12:00:00.000Z', publish_time: '2026-10-19T12:00:00.000Z', attributes: {} },
+        envelope: { deliveryAttempt: 2 }
+      });
+
+      const result = await handler(gmailNotificationEvent(envelope));
+
+      expect(result.statusCode).toBe(200);
+    });
+  });
+
+  describe('HTTP Routing', () => {
+    let lambda;
+
+    beforeEach(() => {
+      lambda = require('../index.js');
+    });
+
+    function httpEvent(method, path, headers = {}) {
+      return { headers, requestContext: { http: { method, path } } };
+    }
+
+    test('should answer 405 with an Allow header for unsupported methods', async () => {
+      const result = await lambda.handler(httpEvent('GET', '/device'));
+
+      expect(result.statusCode).toBe(405);
+      expect(result.headers.Allow).toBe('POST, PATCH, DELETE, OPTIONS');
+      expect(result.headers['Access-Control-Allow-Origin']).toBe('*');
+      expect(JSON.parse(result.body)).toEqual({ error: 'Method GET not allowed on /device', code: 'method_not_allowed' });
+      expect(mockDynamoDB.put).not.toHaveBeenCalled();
+    });
+
+    test('should let browsers read the 404 for unknown paths', async () => {
+      process.env.CORS_ALLOWED_ORIGINS = 'https://mail.example.com';
+      jest.resetModules();
+      lambda = require('../index.js');
+
+      const result = await lambda.handler(httpEvent('GET', '/unknown', { Origin: 'https://mail.example.com' }));
+
+      expect(result.statusCode).toBe(404);
+      expect(result.headers).toEqual({
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': 'https://mail.example.com',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        Vary: 'Origin'
+      });
+    });
+
+    test('should not advertise OPTIONS for the Pub/Sub endpoint', async () => {
+      const result = await lambda.handler(httpEvent('OPTIONS', '/gmail-notification'));
+
+      expect(result.statusCode).toBe(405);
+      expect(result.headers).toEqual({ 'Content-Type': 'application/json', Allow: 'POST' });
+    });
+
+    test('should answer CORS preflights without invoking the handler', async () => {
+      const result = await lambda.handler(httpEvent('OPTIONS', '/preferences', { Origin: 'https://mail.example.com' }));
+
+      expect(result).toEqual({
+        statusCode: 204,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Max-Age': '86400'
+        },
+        body: ''
+      });
+    });
+
+    test('should only echo origins on the CORS allow-list', async () => {
+      process.env.CORS_ALLOWED_ORIGINS = 'https://mail.example.com, https://admin.example.com';
+      jest.resetModules();
+      lambda = require('../index.js');
+
+      const allowed = await lambda.handler(httpEvent('OPTIONS', '/device', { origin: 'https://mail.example.com' }));
+      const denied = await lambda.handler(httpEvent('OPTIONS', '/device', { origin: 'https://evil.example.com' }));
+      const error = await lambda.handler(deviceEvent('POST', { email: 'test@example.com' }));
+
+      expect(allowed.headers).toMatchObject({ 'Access-Control-Allow-Origin': 'https://mail.example.com', Vary: 'Origin' });
+      expect(denied.headers['Access-Control-Allow-Origin']).toBeUndefined();
+      expect(error.statusCode).toBe(422);
+      expect(error.headers).toMatchObject({ Vary: 'Origin', 'Access-Control-Allow-Methods': 'POST, PATCH, DELETE, OPTIONS' });
+    });
+
+    test('should add CORS headers to error responses', async () => {
+      const result = await lambda.handler(deviceEvent('POST', { email: 'test@example.com', deviceToken: APNS_TOKEN }, null));
+
+      expect(result.statusCode).toBe(401);
+      expect(result.headers).toEqual({
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+      });
+    });
+
+    test('should accept API Gateway REST proxy events', async () => {
+      const result = await lambda.handler({
+        resource: '/{proxy+}',
+        path: '/device',
+        httpMethod: 'POST',
+        headers: { Authorization: `Bearer ${userToken()}`, 'Content-Type': 'application/json' },
+        queryStringParameters: null,
+        requestContext: { requestId: 'rest-request-1', stage: 'prod', path: '/prod/device' },
+        body: JSON.stringify({ email: 'test@example.com', deviceToken: APNS_TOKEN }),
+        isBase64Encoded: false
+      });
+
+      expect(result.statusCode).toBe(200);
+      expect(mockDynamoDB.put.mock.calls[0][0].Item.deviceToken).toBe(APNS_TOKEN);
+      expect(loggedEntries()[0]).toMatchObject({ message: 'Lambda invoked', requestId: 'rest-request-1', method: 'POST', path: '/device' });
+    });
+
+    test('should verify Pub/Sub tokens against the staged REST URL', async () => {
+      const token = signGoogleToken({ aud: 'https://abc123.execute-api.us-east-1.amazonaws.com/prod/gmail-notification' });
+
+      const result = await lambda.handler({
+        path: '/gmail-notification',
+        httpMethod: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        requestContext: { domainName: 'abc123.execute-api.us-east-1.amazonaws.com', stage: 'prod', path: '/prod/gmail-notification' },
+        body: JSON.stringify(gmailEnvelope())
+      });
+
+      expect(result.statusCode).toBe(200);
+    });
+
+    test('should ignore a trailing slash', async () => {
+      const result = await lambda.handler(httpEvent('GET', '/web-push/public-key/'));
+
+      expect(result.statusCode).not.toBe(404);
+    });
   });
-});
\ No newline at end of file
+});
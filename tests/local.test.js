@@ -0,0 +1,262 @@
+/**
+ * Test suite for local mode
+ *
+ * Runs the whole path offline, with real JWT signing and HTTP/2:
+ * - Local server requests become Function URL events
+ * - Registration and Gmail notifications reach the mock APNs, which verifies them
+ * - Scripted APNs errors (410 Unregistered prunes the device)
+ * - The test push CLI against /admin/test-push
+ * - Mock APNs provider token checks
+ * - In-memory DynamoDB expressions
+ */
+
+const crypto = require('crypto');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const { createLocalServer, toFunctionUrlEvent } = require('../local/server');
+const { createMockAPNs } = require('../local/mock-apns');
+const { MemoryDocumentClient } = require('../local/memory-store');
+const testPushCli = require('../bin/test-push');
+
+const EMAIL = 'someone@example.com';
+const DEVICE_TOKEN = 'ab'.repeat(32);
+
+function apnsRequest(port, headers, body) {
+  return new Promise((resolve, reject) => {
+    const session = http2.connect(`http://127.0.0.1:${port}`);
+    session.on('error', reject);
+    const req = session.request({ ':method': 'POST', ...headers });
+    let data = '';
+    let responseHeaders;
+    req.on('response', (received) => {
+      responseHeaders = received;
+    });
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      session.close();
+      resolve({ status: responseHeaders[':status'], headers: responseHeaders, body: data ? JSON.parse(data) : null });
+    });
+    req.end(body);
+  });
+}
+
+describe('Local server', () => {
+  let local;
+
+  async function signIn() {
+    const { idToken } = await (await fetch(`${local.url}/_local/id-token?email=${EMAIL}`)).json();
+    const response = await fetch(`${local.url}/session`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${idToken}` }
+    });
+    return (await response.json()).sessionToken;
+  }
+
+  async function registerDevice(sessionToken) {
+    return fetch(`${local.url}/device`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${sessionToken}`, 'content-type': 'application/json' },
+      body: JSON.stringify({ email: EMAIL, deviceToken: DEVICE_TOKEN, mode: 'alert' })
+    });
+  }
+
+  beforeAll(async () => {
+    process.env.ADMIN_EMAILS = 'support@example.com';
+    local = await createLocalServer();
+  });
+
+  afterAll(async () => {
+    await local.close();
+  });
+
+  beforeEach(() => {
+    local.apns.reset();
+  });
+
+  test('should convert requests into Function URL events', () => {
+    const event = toFunctionUrlEvent({
+      method: 'GET',
+      url: '/devices?email=a%40example.com&tag=1&tag=2',
+      httpVersion: '1.1',
+      headers: { host: 'localhost:3000', 'x-forwarded-for': ['1', '2'] },
+      socket: { remoteAddress: '127.0.0.1' }
+    }, Buffer.alloc(0));
+
+    expect(event).toMatchObject({
+      version: '2.0',
+      rawPath: '/devices',
+      rawQueryString: 'email=a%40example.com&tag=1&tag=2',
+      headers: { host: 'localhost:3000', 'x-forwarded-for': '1,2' },
+      queryStringParameters: { email: 'a@example.com', tag: '1,2' },
+      requestContext: { domainName: 'localhost:3000', http: { method: 'GET', path: '/devices' } },
+      body: undefined
+    });
+  });
+
+  test('should deliver a Gmail notification through the mock APNs', async () => {
+    const registration = await registerDevice(await signIn());
+    expect(registration.status).toBe(200);
+
+    const response = await fetch(`${local.url}/_local/notify`, {
+      method: 'POST',
+      body: JSON.stringify({ email: EMAIL, historyId: '100' })
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ success: true, failed: 0 });
+    expect(local.apns.requests).toEqual([expect.objectContaining({
+      deviceToken: DEVICE_TOKEN,
+      status: 200,
+      apnsUniqueId: expect.any(String),
+      headers: expect.objectContaining({
+        'apns-topic': 'com.example.mailreader',
+        'apns-push-type': 'alert',
+        'apns-priority': '10'
+      }),
+      payload: expect.objectContaining({
+        aps: expect.objectContaining({ alert: expect.any(Object) }),
+        gmail: expect.objectContaining({ email: EMAIL, historyId: '100' })
+      })
+    })]);
+  });
+
+  test('should prune a device when the mock APNs answers 410 Unregistered', async () => {
+    await registerDevice(await signIn());
+    local.apns.respondTo(DEVICE_TOKEN, { status: 410, reason: 'Unregistered' });
+
+    const response = await local.notify({ email: EMAIL, historyId: '200' });
+
+    expect(JSON.parse(response.body)).toMatchObject({ failed: 1, pruned: 1 });
+    expect(local.apns.requests.map(request => request.reason)).toEqual(['Unregistered']);
+    const devices = local.store.items(process.env.DYNAMODB_TABLE_NAME)
+      .filter(item => item.email === EMAIL && !item.deviceToken.startsWith('#'));
+    expect(devices).toEqual([]);
+  });
+
+  test('should report APNs results through the test push CLI', async () => {
+    await registerDevice(await signIn());
+    const output = { log: jest.fn(), error: jest.fn() };
+    const args = ['--url', local.url, '--token', local.idToken('support@example.com'), '--email', EMAIL];
+
+    expect(await testPushCli.main(args, output)).toBe(0);
+    expect(output.log).toHaveBeenCalledWith(expect.stringMatching(/^abababab… sandbox alert 200 Success apns-id=\S+ apns-unique-id=\S+ \d+ ms$/));
+
+    local.apns.respondNext({ status: 400, reason: 'TopicDisallowed' });
+    expect(await testPushCli.main([...args, '--type', 'background', '--json'], output)).toBe(1);
+    expect(JSON.parse(output.log.mock.calls[1][0]).results[0]).toMatchObject({ pushType: 'background', status: 400, reason: 'TopicDisallowed' });
+    expect(local.apns.requests[1].headers['apns-push-type']).toBe('background');
+
+    expect(await testPushCli.main(['--url', local.url, '--token', local.idToken(EMAIL), '--device', DEVICE_TOKEN], output)).toBe(2);
+    expect(output.error).toHaveBeenLastCalledWith('Test push failed: 403 Caller is not an administrator');
+  });
+});
+
+describe('Mock APNs', () => {
+  const keys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  let apns;
+
+  function providerToken(privateKey = keys.privateKey, { keyid = 'KEY1234567', issuer = 'TEAM123456' } = {}) {
+    return jwt.sign({}, privateKey, { algorithm: 'ES256', keyid, issuer });
+  }
+
+  function push(token, headers = {}, payload = { aps: { 'content-available': 1 } }) {
+    return apnsRequest(apns.port, {
+      ':path': `/3/device/${DEVICE_TOKEN}`,
+      authorization: `bearer ${token}`,
+      'apns-topic': 'com.example.mailreader',
+      'apns-push-type': 'background',
+      'apns-priority': '5',
+      ...headers
+    }, JSON.stringify(payload));
+  }
+
+  beforeEach(async () => {
+    apns = createMockAPNs({ publicKey: keys.publicKey, keyId: 'KEY1234567', teamId: 'TEAM123456', topics: ['com.example.mailreader'] });
+    await apns.listen();
+  });
+
+  afterEach(async () => {
+    await apns.close();
+  });
+
+  test('should accept a valid push with apns-id and apns-unique-id', async () => {
+    const response = await push(providerToken(), { 'apns-id': '123e4567-e89b-12d3-a456-426614174000' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['apns-id']).toBe('123e4567-e89b-12d3-a456-426614174000');
+    expect(response.headers['apns-unique-id']).toEqual(expect.any(String));
+  });
+
+  test('should reject provider tokens that are not signed with the APNs key', async () => {
+    const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).privateKey;
+
+    expect((await push(providerToken(otherKey))).body).toEqual({ reason: 'InvalidProviderToken' });
+    expect((await push(providerToken(undefined, { keyid: 'OTHERKEY00' }))).body).toEqual({ reason: 'InvalidProviderToken' });
+    expect((await push(providerToken(undefined, { issuer: 'OTHERTEAM0' }))).status).toBe(403);
+    expect((await push('')).body).toEqual({ reason: 'MissingProviderToken' });
+  });
+
+  test('should reject malformed headers and payloads', async () => {
+    const token = providerToken();
+
+    expect((await push(token, { 'apns-topic': 'com.example.other' })).body).toEqual({ reason: 'TopicDisallowed' });
+    expect((await push(token, { 'apns-priority': '10' })).body).toEqual({ reason: 'BadPriority' });
+    expect((await push(token, { ':path': '/3/device/not-a-token' })).body).toEqual({ reason: 'BadDeviceToken' });
+
+    const tooLarge = await push(token, {}, { aps: {}, padding: 'x'.repeat(4096) });
+    expect(tooLarge).toMatchObject({ status: 413, body: { reason: 'PayloadTooLarge' } });
+  });
+
+  test('should answer with scripted errors', async () => {
+    apns.respondNext({ status: 429, reason: 'TooManyRequests' });
+    apns.respondTo(DEVICE_TOKEN, { status: 410, reason: 'Unregistered', timestamp: 1700000000000 });
+
+    expect((await push(providerToken())).body).toEqual({ reason: 'TooManyRequests' });
+    expect((await push(providerToken())).body).toEqual({ reason: 'Unregistered', timestamp: 1700000000000 });
+    expect(apns.requests.map(request => request.status)).toEqual([429, 410]);
+  });
+});
+
+describe('In-memory DynamoDB', () => {
+  const TableName = 'devices';
+  let store;
+
+  beforeEach(async () => {
+    store = new MemoryDocumentClient();
+    await store.put({ TableName, Item: { email: EMAIL, deviceToken: 'b', platform: 'ios' } }).promise();
+    await store.put({ TableName, Item: { email: EMAIL, deviceToken: 'a', platform: 'web' } }).promise();
+    await store.put({ TableName, Item: { email: EMAIL, deviceToken: '#mailbox' } }).promise();
+  });
+
+  test('should reject puts whose condition fails', async () => {
+    await expect(store.put({
+      TableName,
+      Item: { email: EMAIL, deviceToken: 'a' },
+      ConditionExpression: 'attribute_not_exists(deviceToken)'
+    }).promise()).rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+  });
+
+  test('should evaluate key conditions, filters and updates', async () => {
+    const { Items } = await store.query({
+      TableName,
+      KeyConditionExpression: 'email = :email',
+      FilterExpression: 'NOT begins_with(deviceToken, :sentinel) AND (#platform = :ios OR #platform = :web)',
+      ExpressionAttributeNames: { '#platform': 'platform' },
+      ExpressionAttributeValues: { ':email': EMAIL, ':sentinel': '#', ':ios': 'ios', ':web': 'web' }
+    }).promise();
+    expect(Items.map(item => item.deviceToken)).toEqual(['a', 'b']);
+
+    const { Attributes } = await store.update({
+      TableName,
+      Key: { email: EMAIL, deviceToken: 'b' },
+      UpdateExpression: 'SET #name = :name REMOVE platform',
+      ConditionExpression: 'attribute_exists(deviceToken)',
+      ExpressionAttributeNames: { '#name': 'name' },
+      ExpressionAttributeValues: { ':name': 'Phone' },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    expect(Attributes).toEqual({ email: EMAIL, deviceToken: 'b', name: 'Phone' });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Test suite for the structured logger
+ *
+ * Tests:
+ * - JSON line format and LOG_LEVEL filtering
+ * - Redaction of email addresses and push tokens
+ * - Correlation context across asynchronous work
+ */
+
+const log = require('../logger');
+
+function entries(mock) {
+  return mock.mock.calls.map(([line]) => JSON.parse(line));
+}
+
+describe('Logger', () => {
+  beforeEach(() => {
+    delete process.env.LOG_LEVEL;
+  });
+
+  test('should write leveled JSON lines', () => {
+    log.info('Notifications sent', { successful: 2 });
+    log.error('Device request error', { error: new Error('boom') });
+
+    expect(entries(console.log)).toEqual([{
+      timestamp: expect.any(String),
+      level: 'info',
+      message: 'Notifications sent',
+      successful: 2
+    }]);
+    expect(entries(console.error)).toEqual([{
+      timestamp: expect.any(String),
+      level: 'error',
+      message: 'Device request error',
+      error: { name: 'Error', message: 'boom', stack: expect.stringContaining('boom') }
+    }]);
+  });
+
+  test('should drop entries below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+
+    log.debug('debug');
+    log.info('info');
+    log.warn('Transient delivery failure');
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(entries(console.error).map(entry => entry.level)).toEqual(['warn']);
+  });
+
+  test('should default to info', () => {
+    process.env.LOG_LEVEL = 'verbose';
+
+    log.debug('debug');
+    log.info('info');
+
+    expect(entries(console.log).map(entry => entry.message)).toEqual(['info']);
+  });
+
+  test('should hash emails and tokens consistently', () => {
+    log.info('Skipping device', { email: 'someone@example.com', deviceToken: 'abcdef0123456789' });
+    log.info('Skipping device', { email: 'someone@example.com', deviceToken: 'abcdef0123456789' });
+
+    const [first, second] = entries(console.log);
+    expect(first.email).toMatch(/^[0-9a-f]{12}@example\.com$/);
+    expect(first.deviceToken).toMatch(/^tok_[0-9a-f]{12}$/);
+    expect(second).toMatchObject({ email: first.email, deviceToken: first.deviceToken });
+    expect(JSON.stringify(first)).not.toContain('someone');
+    expect(JSON.stringify(first)).not.toContain('abcdef0123456789');
+  });
+
+  test('should keep structured error fields without stacks for HTTP errors', () => {
+    const error = Object.assign(new Error('APNS request failed: 429 TooManyRequests'), {
+      name: 'APNSError',
+      statusCode: 429,
+      reason: 'TooManyRequests',
+      apnsId: 'apns-id-1'
+    });
+
+    log.warn('Transient delivery failure', { error });
+
+    expect(entries(console.error)[0].error).toEqual({
+      name: 'APNSError',
+      message: 'APNS request failed: 429 TooManyRequests',
+      statusCode: 429,
+      reason: 'TooManyRequests',
+      apnsId: 'apns-id-1'
+    });
+  });
+
+  test('should attach correlation fields to nested asynchronous work', async () => {
+    await log.withContext({ requestId: 'request-1' }, async () => {
+      await Promise.resolve();
+      log.addContext({ messageId: 'pubsub-1' });
+      await Promise.all(['a', 'b'].map(id => log.withContext({ sqsMessageId: id }, async () => {
+        await Promise.resolve();
+        log.info('Record processed');
+      })));
+    });
+    log.info('Outside');
+
+    expect(entries(console.log)).toEqual([
+      expect.objectContaining({ requestId: 'request-1', messageId: 'pubsub-1', sqsMessageId: 'a' }),
+      expect.objectContaining({ requestId: 'request-1', messageId: 'pubsub-1', sqsMessageId: 'b' }),
+      expect.not.objectContaining({ requestId: 'request-1' })
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Test suite for CloudWatch Embedded Metric Format output
+ *
+ * Tests:
+ * - EMF document shape, units and the Environment dimension
+ * - Properties kept out of the dimensions
+ */
+
+const metrics = require('../metrics');
+
+function records() {
+  return console.log.mock.calls.map(([line]) => JSON.parse(line));
+}
+
+describe('Metrics', () => {
+  beforeEach(() => {
+    delete process.env.ENVIRONMENT;
+  });
+
+  test('should write counts as EMF documents with the Environment dimension', () => {
+    process.env.ENVIRONMENT = 'dev';
+
+    metrics.count('Deliveries', 2, { Platform: 'ios', Outcome: 'delivered' });
+
+    expect(records()).toEqual([{
+      _aws: {
+        Timestamp: expect.any(Number),
+        CloudWatchMetrics: [{
+          Namespace: 'GmailPush',
+          Dimensions: [['Environment', 'Platform', 'Outcome']],
+          Metrics: [{ Name: 'Deliveries', Unit: 'Count' }]
+        }]
+      },
+      Environment: 'dev',
+      Platform: 'ios',
+      Outcome: 'delivered',
+      Deliveries: 2
+    }]);
+  });
+
+  test('should write timings in milliseconds with extra properties', () => {
+    metrics.timing('APNsLatency', 42, { Platform: 'ios' }, { reason: 'Success' });
+
+    const [record] = records();
+    expect(record._aws.CloudWatchMetrics[0].Metrics).toEqual([{ Name: 'APNsLatency', Unit: 'Milliseconds' }]);
+    expect(record._aws.CloudWatchMetrics[0].Dimensions).toEqual([['Environment', 'Platform']]);
+    expect(record).toMatchObject({ Environment: 'unknown', Platform: 'ios', reason: 'Success', APNsLatency: 42 });
+  });
+
+  test('should not let properties override dimensions', () => {
+    metrics.count('DeviceRequests', 1, { Outcome: 'success' }, { Outcome: 'overridden' });
+
+    expect(records()[0].Outcome).toBe('success');
+  });
+});
@@ -17,8 +17,32 @@ beforeEach(() => {
   console.error = jest.fn((message) => {
     // Only log critical errors that aren't from expected test scenarios
     if (!message.includes('Device request error') && 
+        !message.includes('Session request error') &&
+        !message.includes('Notification failed for device') &&
+        !message.includes('Failed to prune device') &&
+        !message.includes('failed after delivery') &&
+        !message.includes('Gmail enrichment failed') &&
+        !message.includes('Web Push key request error') &&
+        !message.includes('Failed to correct APNs environment') &&
+        !message.includes('Heartbeat request error') &&
+        !message.includes('Failed to refresh activity of device') &&
+        !message.includes('Failed to queue retry for device') &&
+        !message.includes('SQS message') &&
+        !message.includes('Transient delivery failure') &&
+        !message.includes('Gmail credentials were revoked') &&
+        !message.includes('Devices request error') &&
+        !message.includes('Preferences request error') &&
+        !message.includes('Gmail watch update failed') &&
+        !message.includes('Gmail credentials request error') &&
         !message.includes('Gmail notification error') &&
-        !message.includes('Failed to parse Gmail message')) {
+        !message.includes('Graph notification error') &&
+        !message.includes('Graph credentials request error') &&
+        !message.includes('Ignoring Graph notification') &&
+        !message.includes('Test push request error') &&
+        !message.includes('Unread count refresh failed') &&
+        !message.includes('Badge request error') &&
+        !message.includes('Failed to parse Gmail message') &&
+        !message.includes('APNs session did not answer a ping')) {
       originalConsoleError(message);
     }
   });